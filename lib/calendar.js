@@ -0,0 +1,472 @@
+const puppeteer = require("puppeteer");
+const { escapeHtml } = require("./escape");
+const { translate, getDefaultLocale, formatDate } = require("./i18n");
+
+// Printable calendar
+// A month (landscape) or a whole year (portrait) laid out on one A4 or
+// Letter sheet, each day coloured by the person on duty, with a legend and
+// the overrides and absences that fall in it. The page is built as HTML and
+// printed to PDF or PNG by a headless Chromium shared between requests.
+
+const CALENDAR_FORMATS = ["pdf", "png"];
+
+// Sheet sizes in millimetres, portrait
+const PAPER_SIZES = {
+  a4: { width: 210, height: 297 },
+  letter: { width: 215.9, height: 279.4 },
+};
+const DEFAULT_PAPER = "a4";
+
+// Years a calendar can be printed for
+const MIN_YEAR = 1970;
+const MAX_YEAR = 2100;
+
+const CONTENT_TYPES = {
+  pdf: "application/pdf",
+  png: "image/png",
+};
+
+// Light enough to print the day number and name over in black
+const PALETTE = [
+  "#aed9f5",
+  "#f9c6a8",
+  "#bfe5b4",
+  "#f5b8cf",
+  "#d7c6f2",
+  "#fbe7a1",
+  "#a9e4dc",
+  "#e4d2b8",
+  "#c9d2f9",
+  "#e8f0a6",
+  "#f3c0c0",
+  "#c6e3f0",
+];
+
+// Rows each list keeps before the rest collapse into a "+N more" line
+const MAX_LIST_ROWS = { month: 6, year: 8 };
+
+// Close the browser once no calendar has been rendered for this long
+const BROWSER_IDLE_MS = 5 * 60 * 1000;
+
+// CSS pixels per millimetre, at the 96 dpi Chromium lays pages out in
+const PX_PER_MM = 96 / 25.4;
+
+// Helper function to read the period and paper from the query
+// `today` is the calendar date the month defaults to. Returns { error } or
+// the resolved options
+const resolveCalendarOptions = (query, { format, today }) => {
+  if (!CALENDAR_FORMATS.includes(format)) {
+    return { error: `Format must be one of: ${CALENDAR_FORMATS.join(", ")}` };
+  }
+
+  if (query.month !== undefined && query.year !== undefined) {
+    return { error: "Pass either month or year, not both" };
+  }
+
+  const options = {
+    format,
+    layout: "month",
+    year: today.getUTCFullYear(),
+    month: today.getUTCMonth() + 1,
+  };
+
+  if (query.month !== undefined) {
+    const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(query.month);
+    if (!match) {
+      return { error: "Month must be in YYYY-MM format" };
+    }
+    options.year = parseInt(match[1], 10);
+    options.month = parseInt(match[2], 10);
+  }
+
+  if (query.year !== undefined) {
+    if (!/^\d{4}$/.test(query.year)) {
+      return { error: "Year must be in YYYY format" };
+    }
+    options.layout = "year";
+    options.year = parseInt(query.year, 10);
+    options.month = null;
+  }
+
+  if (options.year < MIN_YEAR || options.year > MAX_YEAR) {
+    return { error: `Year must be between ${MIN_YEAR} and ${MAX_YEAR}` };
+  }
+
+  options.paper = query.paper === undefined ? DEFAULT_PAPER : query.paper;
+  if (!Object.prototype.hasOwnProperty.call(PAPER_SIZES, options.paper)) {
+    return {
+      error: `Paper must be one of: ${Object.keys(PAPER_SIZES).join(", ")}`,
+    };
+  }
+
+  // A month is a wide grid, a year a tall stack of small ones
+  const { width, height } = PAPER_SIZES[options.paper];
+  options.width = options.layout === "month" ? height : width;
+  options.height = options.layout === "month" ? width : height;
+  options.contentType = CONTENT_TYPES[format];
+  options.extension = format;
+
+  return options;
+};
+
+// Helper function to list the months a calendar shows, as { year, month }
+const getCalendarMonths = (options) =>
+  options.layout === "month"
+    ? [{ year: options.year, month: options.month }]
+    : Array.from({ length: 12 }, (_, index) => ({
+        year: options.year,
+        month: index + 1,
+      }));
+
+// Helper function to list a month's days as calendar dates
+const getMonthDays = ({ year, month }) =>
+  Array.from(
+    { length: new Date(Date.UTC(year, month, 0)).getUTCDate() },
+    (_, index) => new Date(Date.UTC(year, month - 1, index + 1))
+  );
+
+// Helper function to get weekday names in the order the grid shows them
+// January 4 2026 was a Sunday, getUTCDay() 0
+const getWeekdayNames = (locale, weekStartDay, weekday) =>
+  Array.from({ length: 7 }, (_, index) =>
+    formatDate(locale, Date.UTC(2026, 0, 4 + ((weekStartDay + index) % 7)), {
+      weekday,
+      timeZone: "UTC",
+    })
+  );
+
+// Helper function to cut a list down to its maximum rows, the last row
+// saying how many were left out
+const limitRows = (rows, maxRows, t) =>
+  rows.length > maxRows
+    ? [
+        ...rows.slice(0, maxRows - 1),
+        `<li class="more">${escapeHtml(
+          t("calendar.more", { count: rows.length - maxRows + 1 })
+        )}</li>`,
+      ]
+    : rows;
+
+// Helper function to lay a month's days out in weeks
+// Cells before the first and after the last day are null
+const getWeeks = (days, weekStartDay) => {
+  const leading = (days[0].date.getUTCDay() - weekStartDay + 7) % 7;
+  const cells = [...Array(leading).fill(null), ...days];
+
+  while (cells.length % 7 !== 0) {
+    cells.push(null);
+  }
+
+  return Array.from({ length: cells.length / 7 }, (_, index) =>
+    cells.slice(index * 7, index * 7 + 7)
+  );
+};
+
+// Helper function to draw one month as a table
+// A full month names the person in each day; a mini month only colours it
+const renderMonthTable = (month, data, colours, { mini }) => {
+  const { locale, weekStartDay } = data;
+  const t = (key, params) => translate(locale, key, params);
+  const weekdays = getWeekdayNames(
+    locale,
+    weekStartDay,
+    mini ? "narrow" : "short"
+  );
+  const label = formatDate(locale, Date.UTC(month.year, month.month - 1, 1), {
+    month: "long",
+    ...(!mini && { year: "numeric" }),
+    timeZone: "UTC",
+  });
+
+  const rows = getWeeks(month.days, weekStartDay).map((week) => {
+    const cells = week.map((day) => {
+      if (!day) {
+        return `<td class="empty"></td>`;
+      }
+
+      const style = day.person
+        ? ` style="background: ${colours.get(day.person)}"`
+        : "";
+      const number = `<span class="number">${day.date.getUTCDate()}${
+        day.isOverride ? "*" : ""
+      }</span>`;
+
+      if (mini) {
+        return `<td${style}>${number}</td>`;
+      }
+
+      return `<td${style}>
+        ${number}
+        ${
+          day.person
+            ? `<span class="person">${escapeHtml(day.person)}</span>`
+            : ""
+        }
+        ${
+          day.away.length > 0
+            ? `<span class="away">${escapeHtml(
+                t("calendar.away", { people: day.away.join(", ") })
+              )}</span>`
+            : ""
+        }
+      </td>`;
+    });
+
+    return `<tr>${cells.join("")}</tr>`;
+  });
+
+  return `
+    <table class="${mini ? "mini" : "full"}">
+      <caption>${escapeHtml(label)}</caption>
+      <thead><tr>${weekdays
+        .map((name) => `<th>${escapeHtml(name)}</th>`)
+        .join("")}</tr></thead>
+      <tbody>${rows.join("")}</tbody>
+    </table>
+  `;
+};
+
+// Helper function to build the calendar page
+// `data` holds { locale, title, weekStartDay, people, months, overrides,
+// absences }: months with their days ({ date, person, isOverride, away }),
+// overrides as { person, originalPerson, dates, reason } and absences as
+// { person, dates, reason }, dates already formatted
+const renderCalendarHtml = (data, options) => {
+  const locale = data.locale || getDefaultLocale();
+  const t = (key, params) => translate(locale, key, params);
+  const mini = options.layout === "year";
+  const maxRows = MAX_LIST_ROWS[options.layout];
+
+  // Colours follow the roster order, so a person keeps theirs across months
+  const colours = new Map(
+    data.people.map((person, index) => [
+      person,
+      PALETTE[index % PALETTE.length],
+    ])
+  );
+
+  const legend = data.people
+    .map(
+      (person) =>
+        `<li><span class="swatch" style="background: ${colours.get(
+          person
+        )}"></span>${escapeHtml(person)}</li>`
+    )
+    .join("");
+
+  const overrides = limitRows(
+    data.overrides.map(
+      (override) =>
+        `<li><strong>${escapeHtml(override.dates)}</strong> ${escapeHtml(
+          t("calendar.coveringFor", {
+            person: override.person,
+            original: override.originalPerson,
+          })
+        )}${override.reason ? ` – ${escapeHtml(override.reason)}` : ""}</li>`
+    ),
+    maxRows,
+    t
+  );
+
+  const absences = limitRows(
+    data.absences.map(
+      (absence) =>
+        `<li><strong>${escapeHtml(absence.dates)}</strong> ${escapeHtml(
+          absence.person
+        )}${absence.reason ? ` – ${escapeHtml(absence.reason)}` : ""}</li>`
+    ),
+    maxRows,
+    t
+  );
+
+  const notes = [
+    overrides.length > 0 &&
+      `<section><h2>${escapeHtml(
+        t("calendar.overrides")
+      )}</h2><ul>${overrides.join("")}</ul></section>`,
+    absences.length > 0 &&
+      `<section><h2>${escapeHtml(
+        t("calendar.absences")
+      )}</h2><ul>${absences.join("")}</ul></section>`,
+  ].filter(Boolean);
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(data.title)}</title>
+  <style>
+    @page { size: ${options.width}mm ${options.height}mm; margin: 0; }
+    * { box-sizing: border-box; }
+    html, body { margin: 0; padding: 0; }
+    body {
+      font-family: Arial, "DejaVu Sans", sans-serif;
+      color: #000;
+      -webkit-print-color-adjust: exact;
+      print-color-adjust: exact;
+    }
+    .sheet {
+      width: ${options.width}mm;
+      height: ${options.height}mm;
+      padding: 10mm;
+      display: flex;
+      flex-direction: column;
+      gap: 4mm;
+      overflow: hidden;
+      background: #fff;
+    }
+    h1 { margin: 0; font-size: 18pt; }
+    h2 { margin: 0 0 1mm; font-size: 10pt; text-transform: uppercase; }
+    .calendar { flex: 1; min-height: 0; display: grid; gap: 4mm; }
+    .calendar.year { grid-template-columns: repeat(3, 1fr); grid-template-rows: repeat(4, 1fr); }
+    table { width: 100%; height: 100%; border-collapse: collapse; table-layout: fixed; }
+    caption { font-weight: bold; text-align: left; padding-bottom: 1mm; }
+    th { font-size: 8pt; font-weight: normal; color: #444; padding-bottom: 1mm; }
+    td { border: 0.3mm solid #999; vertical-align: top; overflow: hidden; }
+    td.empty { border-color: #ddd; background: #f6f6f6; }
+    table.full caption { font-size: 16pt; }
+    table.full td { padding: 1.5mm; }
+    table.full .number { display: block; font-size: 11pt; font-weight: bold; }
+    table.full .person { display: block; font-size: 10pt; margin-top: 1mm; }
+    table.full .away { display: block; font-size: 7.5pt; margin-top: 1mm; font-style: italic; }
+    table.mini caption { font-size: 10pt; }
+    table.mini th { font-size: 6pt; }
+    table.mini td { text-align: center; vertical-align: middle; font-size: 7pt; }
+    .legend { display: flex; flex-wrap: wrap; gap: 2mm 6mm; margin: 0; padding: 0; list-style: none; font-size: 10pt; }
+    .swatch { display: inline-block; width: 4mm; height: 4mm; margin-right: 1.5mm; vertical-align: -0.5mm; border: 0.3mm solid #999; }
+    .notes { display: flex; gap: 8mm; font-size: 8pt; }
+    .notes section { flex: 1; }
+    .notes ul { margin: 0; padding-left: 4mm; }
+    .notes .more { list-style: none; font-style: italic; }
+    .footnote { font-size: 7pt; color: #444; }
+  </style>
+</head>
+<body>
+  <div class="sheet">
+    <h1>${escapeHtml(data.title)}</h1>
+    <div class="calendar ${options.layout}">
+      ${data.months
+        .map((month) =>
+          renderMonthTable(month, { ...data, locale }, colours, { mini })
+        )
+        .join("")}
+    </div>
+    <ul class="legend">${legend}</ul>
+    ${notes.length > 0 ? `<div class="notes">${notes.join("")}</div>` : ""}
+    ${
+      data.overrides.length > 0
+        ? `<div class="footnote">${escapeHtml(
+            t("calendar.overrideMark")
+          )}</div>`
+        : ""
+    }
+  </div>
+</body>
+</html>`;
+};
+
+// One browser serves every render; it is started on the first request and
+// closed again after BROWSER_IDLE_MS without one
+let browserPromise = null;
+let idleTimer = null;
+let activeRenders = 0;
+
+// Helper function to get the shared browser, launching it if need be
+// Set CALENDAR_NO_SANDBOX=true where Chromium's sandbox cannot run (e.g. as
+// root in a container)
+const getBrowser = () => {
+  if (!browserPromise) {
+    const launching = puppeteer
+      .launch({
+        headless: true,
+        args:
+          process.env.CALENDAR_NO_SANDBOX === "true"
+            ? ["--no-sandbox", "--disable-setuid-sandbox"]
+            : [],
+      })
+      .then(
+        (browser) => {
+          // A crashed browser is launched afresh on the next request
+          browser.on("disconnected", () => {
+            if (browserPromise === launching) {
+              browserPromise = null;
+            }
+          });
+          return browser;
+        },
+        (error) => {
+          if (browserPromise === launching) {
+            browserPromise = null;
+          }
+          throw error;
+        }
+      );
+    browserPromise = launching;
+  }
+
+  return browserPromise;
+};
+
+// Helper function to close the shared browser, if it is running
+const closeCalendarBrowser = async () => {
+  clearTimeout(idleTimer);
+  const launching = browserPromise;
+  browserPromise = null;
+
+  if (launching) {
+    try {
+      await (await launching).close();
+    } catch (error) {
+      // It never started or is already gone
+    }
+  }
+};
+
+// Helper function to print the calendar page to PDF or PNG
+// PNGs are rendered at twice the sheet's CSS pixel size to print sharply
+const renderCalendar = async (html, options) => {
+  activeRenders += 1;
+  clearTimeout(idleTimer);
+  let page;
+
+  try {
+    const browser = await getBrowser();
+    page = await browser.newPage();
+    // The page is static; nothing in it should run
+    await page.setJavaScriptEnabled(false);
+    await page.setViewport({
+      width: Math.round(options.width * PX_PER_MM),
+      height: Math.round(options.height * PX_PER_MM),
+      deviceScaleFactor: options.format === "png" ? 2 : 1,
+    });
+    await page.setContent(html, { waitUntil: "load" });
+
+    const output =
+      options.format === "pdf"
+        ? await page.pdf({ printBackground: true, preferCSSPageSize: true })
+        : await page.screenshot({ type: "png" });
+
+    return Buffer.from(output);
+  } finally {
+    if (page) {
+      await page.close().catch(() => {});
+    }
+
+    activeRenders -= 1;
+    if (activeRenders === 0) {
+      idleTimer = setTimeout(closeCalendarBrowser, BROWSER_IDLE_MS);
+      idleTimer.unref();
+    }
+  }
+};
+
+module.exports = {
+  CALENDAR_FORMATS,
+  PAPER_SIZES,
+  resolveCalendarOptions,
+  getCalendarMonths,
+  getMonthDays,
+  renderCalendarHtml,
+  renderCalendar,
+  closeCalendarBrowser,
+};
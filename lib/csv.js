@@ -0,0 +1,125 @@
+// CSV reading and writing (RFC 4180)
+// Cells that start with =, +, - or @ are prefixed with an apostrophe so
+// spreadsheets show them as text instead of running them as formulas;
+// parseCsv removes the prefix again, so exported files import unchanged.
+
+const FORMULA_CELL = /^'*[=+\-@\t\r]/;
+
+// Helper function to quote a cell when it holds a separator, quote or newline
+const formatCsvCell = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (FORMULA_CELL.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Helper function to write rows of objects as CSV with a header line
+const formatCsv = (columns, rows) =>
+  [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((cells) => cells.map(formatCsvCell).join(","))
+    .join("\r\n") + "\r\n";
+
+// Helper function to read CSV text into objects keyed by the header line
+// Throws an Error naming the line of malformed input
+const parseCsv = (text) => {
+  const lines = [];
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let quoteLine = 1;
+  let i = 0;
+
+  const endCell = () => {
+    cells.push(
+      FORMULA_CELL.test(cell) && cell[0] === "'" ? cell.slice(1) : cell
+    );
+    cell = "";
+  };
+
+  // A byte order mark is not part of the first header
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") {
+          line++;
+        }
+        cell += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && cell === "") {
+      quoted = true;
+      quoteLine = line;
+    } else if (char === '"') {
+      throw new Error(`Unexpected quote on line ${line}`);
+    } else if (char === ",") {
+      endCell();
+    } else if (char === "\n" || char === "\r") {
+      endCell();
+      lines.push(cells);
+      cells = [];
+      line++;
+      if (char === "\r" && input[i + 1] === "\n") {
+        i++;
+      }
+    } else {
+      cell += char;
+    }
+    i++;
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted cell on line ${quoteLine}`);
+  }
+
+  if (cell !== "" || cells.length > 0) {
+    endCell();
+    lines.push(cells);
+  }
+
+  // Blank lines carry no record
+  const records = lines.filter(
+    (record) => record.length > 1 || record[0] !== ""
+  );
+
+  if (records.length === 0) {
+    return [];
+  }
+
+  const [header, ...rows] = records;
+
+  return rows.map((row, index) => {
+    if (row.length !== header.length) {
+      throw new Error(
+        `Record ${index + 1} has ${row.length} cells, expected ${header.length}`
+      );
+    }
+
+    return Object.fromEntries(
+      header.map((column, position) => [column.trim(), row[position]])
+    );
+  });
+};
+
+module.exports = { formatCsv, parseCsv };
@@ -0,0 +1,661 @@
+const sharp = require("sharp");
+const { escapeXml } = require("./escape");
+const { translate, getDefaultLocale } = require("./i18n");
+
+// E-ink rendering
+// A profile describes a panel: its native resolution, which layout to draw,
+// how far to rotate the drawing to match how the panel is mounted, and the
+// output encoding. format is "jpeg", "png" or "bmp"; levels is "full" for
+// an untouched image or 2, 4 or 16 grey levels, dithered down from 8-bit
+// grayscale. BMP output is 1-bit only.
+
+const EINK_PROFILES = {
+  kindle: {
+    description: "Kindle Paperwhite (758x1024 portrait JPEG)",
+    width: 758,
+    height: 1024,
+    orientation: "portrait",
+    rotate: 0,
+    format: "jpeg",
+    levels: "full",
+  },
+  "kindle-gray": {
+    description: "Kindle Paperwhite (758x1024 portrait, 16-level PNG)",
+    width: 758,
+    height: 1024,
+    orientation: "portrait",
+    rotate: 0,
+    format: "png",
+    levels: 16,
+  },
+  "waveshare-7in5": {
+    description: "Waveshare 7.5in (800x480 landscape, 1-bit PNG)",
+    width: 800,
+    height: 480,
+    orientation: "landscape",
+    rotate: 0,
+    format: "png",
+    levels: 2,
+  },
+  "waveshare-7in5-bmp": {
+    description: "Waveshare 7.5in (800x480 landscape, 1-bit BMP)",
+    width: 800,
+    height: 480,
+    orientation: "landscape",
+    rotate: 0,
+    format: "bmp",
+    levels: 2,
+  },
+  "waveshare-4in2": {
+    description: "Waveshare 4.2in (400x300 landscape, 4-level PNG)",
+    width: 400,
+    height: 300,
+    orientation: "landscape",
+    rotate: 0,
+    format: "png",
+    levels: 4,
+  },
+};
+
+const DEFAULT_EINK_PROFILE = "kindle";
+const EINK_FORMATS = ["jpeg", "png", "bmp"];
+const EINK_LEVELS = ["full", 2, 4, 16];
+const EINK_DITHERS = ["floyd-steinberg", "none"];
+const EINK_ROTATIONS = [0, 90, 180, 270];
+
+const CONTENT_TYPES = {
+  jpeg: "image/jpeg",
+  png: "image/png",
+  bmp: "image/bmp",
+};
+
+const EXTENSIONS = {
+  jpeg: "jpg",
+  png: "png",
+  bmp: "bmp",
+};
+
+// Helper function to combine a named profile with per-request overrides
+// Returns { error } or the resolved options
+const resolveEinkOptions = (query, storedProfile) => {
+  const name =
+    query.profile ||
+    storedProfile ||
+    process.env.DEFAULT_EINK_PROFILE ||
+    DEFAULT_EINK_PROFILE;
+  // Own properties only, so names like "__proto__" are not profiles
+  if (!Object.prototype.hasOwnProperty.call(EINK_PROFILES, name)) {
+    return {
+      error: `Profile must be one of: ${Object.keys(EINK_PROFILES).join(", ")}`,
+    };
+  }
+
+  const options = {
+    profile: name,
+    ...EINK_PROFILES[name],
+    dither: "floyd-steinberg",
+  };
+
+  if (query.format !== undefined) {
+    if (!EINK_FORMATS.includes(query.format)) {
+      return { error: `Format must be one of: ${EINK_FORMATS.join(", ")}` };
+    }
+    options.format = query.format;
+  }
+
+  if (query.levels !== undefined) {
+    const levels =
+      query.levels === "full" ? "full" : parseInt(query.levels, 10);
+    if (!EINK_LEVELS.includes(levels)) {
+      return { error: `Levels must be one of: ${EINK_LEVELS.join(", ")}` };
+    }
+    options.levels = levels;
+  }
+
+  if (query.dither !== undefined) {
+    if (!EINK_DITHERS.includes(query.dither)) {
+      return { error: `Dither must be one of: ${EINK_DITHERS.join(", ")}` };
+    }
+    options.dither = query.dither;
+  }
+
+  if (query.orientation !== undefined) {
+    if (!Object.keys(LAYOUTS).includes(query.orientation)) {
+      return {
+        error: `Orientation must be one of: ${Object.keys(LAYOUTS).join(", ")}`,
+      };
+    }
+    options.orientation = query.orientation;
+  }
+
+  if (query.rotate !== undefined) {
+    const rotate = parseInt(query.rotate, 10);
+    if (!EINK_ROTATIONS.includes(rotate)) {
+      return { error: `Rotate must be one of: ${EINK_ROTATIONS.join(", ")}` };
+    }
+    options.rotate = rotate;
+  }
+
+  if (options.format === "jpeg" && options.levels !== "full") {
+    return { error: "JPEG output only supports full grayscale levels" };
+  }
+
+  if (options.format === "bmp" && options.levels !== 2) {
+    return { error: "BMP output is 1-bit and requires levels=2" };
+  }
+
+  options.contentType = CONTENT_TYPES[options.format];
+  options.extension = EXTENSIONS[options.format];
+
+  return options;
+};
+
+// Helper function to shrink a font size until text fits a width
+// Estimated generously so wide fallback fonts (e.g. DejaVu Sans) still fit
+const fitFontSize = (text, fontSize, maxWidth, bold = false) => {
+  const averageWidth = bold ? 0.75 : 0.62;
+  const estimated = String(text).length * fontSize * averageWidth;
+
+  if (estimated <= maxWidth) {
+    return fontSize;
+  }
+
+  return Math.max(
+    Math.floor(maxWidth / (String(text).length * averageWidth)),
+    8
+  );
+};
+
+// Helper function to draw the remaining tasks as a checklist section
+// Rows beyond maxRows collapse into a "+N more" line. Returns the SVG and
+// the baseline of the last row, for laying out what follows.
+const renderTaskList = (
+  tasks,
+  t,
+  { x, y, width, titleSize, fontSize, rowHeight, maxRows }
+) => {
+  const labels = tasks.remaining.map(
+    (task) => `${task.title}${task.remaining > 1 ? ` ×${task.remaining}` : ""}`
+  );
+  const shown = labels.length > maxRows ? labels.slice(0, maxRows - 1) : labels;
+  const note =
+    labels.length === 0
+      ? t("eink.allDone")
+      : labels.length > shown.length
+      ? t("eink.more", { count: labels.length - shown.length })
+      : null;
+  const box = Math.round(fontSize * 0.7);
+  const firstRow = y + Math.round(titleSize * 1.6);
+  const rows = shown.length + (note ? 1 : 0);
+
+  return {
+    bottom: firstRow + (rows - 1) * rowHeight,
+    svg: `
+        <text x="${x}" y="${y}" font-family="Arial" font-size="${titleSize}" font-weight="bold" fill="black">${escapeXml(
+      t("eink.toDo")
+    )}</text>
+        <text x="${
+          x + width
+        }" y="${y}" font-family="Arial" font-size="${fontSize}" text-anchor="end" fill="black">${escapeXml(
+      t("eink.done", { done: tasks.done, total: tasks.total })
+    )}</text>
+        <line x1="${x}" y1="${y + Math.round(titleSize * 0.4)}" x2="${
+      x + width
+    }" y2="${y + Math.round(titleSize * 0.4)}" stroke="black" stroke-width="3"/>
+        ${shown
+          .map((label, i) => {
+            const rowY = firstRow + i * rowHeight;
+            return `
+            <rect x="${x + 10}" y="${
+              rowY - box
+            }" width="${box}" height="${box}" fill="none" stroke="black" stroke-width="2"/>
+            <text x="${
+              x + 22 + box
+            }" y="${rowY}" font-family="Arial" font-size="${fitFontSize(
+              label,
+              fontSize,
+              width - 22 - box
+            )}" fill="black">${escapeXml(label)}</text>
+          `;
+          })
+          .join("")}
+        ${
+          note
+            ? `<text x="${x + 10}" y="${
+                firstRow + shown.length * rowHeight
+              }" font-family="Arial" font-size="${fontSize}" font-style="italic" fill="black">${escapeXml(
+                note
+              )}</text>`
+            : ""
+        }
+      `,
+  };
+};
+
+// Layouts draw in a fixed coordinate space; the viewBox scales them to the
+// profile's resolution. t translates the fixed labels.
+// data.tasks is null for schedules without tasks; otherwise the checklist
+// takes room from the upcoming list, which keeps the rows that still fit
+const LAYOUTS = {
+  portrait: (data, t) => {
+    const nameSize = fitFontSize(data.currentPerson, 90, 560, true);
+    const tasks =
+      data.tasks &&
+      renderTaskList(data.tasks, t, {
+        x: 80,
+        y: 560,
+        width: 598,
+        titleSize: 36,
+        fontSize: 28,
+        rowHeight: 42,
+        maxRows: 4,
+      });
+    const upcomingY = tasks ? tasks.bottom + 70 : 570;
+    const rowHeight = tasks ? 60 : 80;
+    const firstRow = upcomingY + rowHeight;
+    const upcoming = data.upcoming.slice(
+      0,
+      Math.max(Math.floor((945 - firstRow) / rowHeight) + 1, 0)
+    );
+
+    return {
+      viewWidth: 758,
+      viewHeight: 1024,
+      body: `
+        <!-- Header -->
+        <text x="379" y="100" font-family="Arial" font-size="70" font-weight="bold" text-anchor="middle" fill="black">${escapeXml(
+          t("eink.heading")
+        )}</text>
+        <text x="379" y="150" font-family="Arial" font-size="${fitFontSize(
+          data.title,
+          35,
+          598
+        )}" text-anchor="middle" fill="black">${escapeXml(data.title)}</text>
+        <line x1="80" y1="180" x2="678" y2="180" stroke="black" stroke-width="5"/>
+
+        <!-- Current Section Box -->
+        <rect x="80" y="220" width="598" height="280" fill="none" stroke="black" stroke-width="5"/>
+        <text x="379" y="270" font-family="Arial" font-size="32" font-weight="bold" text-anchor="middle" fill="black">${escapeXml(
+          data.currentLabel
+        )}</text>
+        <text x="379" y="${
+          350 + nameSize / 3
+        }" font-family="Arial" font-size="${nameSize}" font-weight="bold" text-anchor="middle" fill="black">${escapeXml(
+        data.currentPerson
+      )}</text>
+        <text x="379" y="460" font-family="Arial" font-size="32" text-anchor="middle" fill="black">${escapeXml(
+          data.currentDates
+        )}</text>
+        ${
+          data.coveringFor
+            ? `<text x="379" y="490" font-family="Arial" font-size="${fitFontSize(
+                t("eink.coveringFor", { person: data.coveringFor }),
+                24,
+                560
+              )}" font-style="italic" text-anchor="middle" fill="black">${escapeXml(
+                t("eink.coveringFor", { person: data.coveringFor })
+              )}</text>`
+            : ""
+        }
+
+        ${tasks ? `<!-- Tasks Section -->${tasks.svg}` : ""}
+
+        <!-- Upcoming Section -->
+        <text x="80" y="${upcomingY}" font-family="Arial" font-size="36" font-weight="bold" fill="black">${escapeXml(
+        t("eink.upcoming")
+      )}</text>
+        <line x1="80" y1="${upcomingY + 15}" x2="678" y2="${
+        upcomingY + 15
+      }" stroke="black" stroke-width="4"/>
+
+        ${upcoming
+          .map((rotation, i) => {
+            const y = firstRow + i * rowHeight;
+            const label = `${rotation.person}${
+              rotation.isOverride ? " *" : ""
+            }`;
+            return `
+            <text x="100" y="${y}" font-family="Arial" font-size="${fitFontSize(
+              label,
+              32,
+              300,
+              true
+            )}" font-weight="bold" fill="black">${escapeXml(label)}</text>
+            <text x="658" y="${y}" font-family="Arial" font-size="28" text-anchor="end" fill="black">${escapeXml(
+              rotation.dates
+            )}</text>
+            ${
+              i < upcoming.length - 1
+                ? `<line x1="100" y1="${y + 20}" x2="658" y2="${
+                    y + 20
+                  }" stroke="black" stroke-width="2"/>`
+                : ""
+            }
+          `;
+          })
+          .join("")}
+
+        ${
+          !upcoming.some((rotation) => rotation.isOverride)
+            ? ""
+            : tasks
+            ? `<text x="678" y="${upcomingY}" font-family="Arial" font-size="22" font-style="italic" text-anchor="end" fill="black">${escapeXml(
+                t("eink.override")
+              )}</text>`
+            : `<text x="100" y="${
+                firstRow + upcoming.length * rowHeight - 20
+              }" font-family="Arial" font-size="22" font-style="italic" fill="black">${escapeXml(
+                t("eink.override")
+              )}</text>`
+        }
+
+        <!-- Footer -->
+        <line x1="80" y1="970" x2="678" y2="970" stroke="black" stroke-width="3"/>
+        <text x="379" y="1005" font-family="Arial" font-size="24" text-anchor="middle" fill="black">${escapeXml(
+          data.timestamp
+        )}</text>
+      `,
+    };
+  },
+
+  // Current rotation on the left, upcoming list on the right
+  landscape: (data, t) => {
+    const nameSize = fitFontSize(data.currentPerson, 64, 340, true);
+    const tasks =
+      data.tasks &&
+      renderTaskList(data.tasks, t, {
+        x: 430,
+        y: 130,
+        width: 340,
+        titleSize: 26,
+        fontSize: 20,
+        rowHeight: 30,
+        maxRows: 3,
+      });
+
+    // Below the checklist, upcoming rotations fit one line each
+    let compactUpcoming = "";
+    if (tasks) {
+      const upcomingY = tasks.bottom + 50;
+      const firstRow = upcomingY + 38;
+      const upcoming = data.upcoming.slice(
+        0,
+        Math.max(Math.floor((425 - firstRow) / 32) + 1, 0)
+      );
+
+      compactUpcoming = `
+        <!-- Upcoming Section -->
+        <text x="430" y="${upcomingY}" font-family="Arial" font-size="24" font-weight="bold" fill="black">${escapeXml(
+        t("eink.upcoming")
+      )}</text>
+        ${
+          upcoming.some((rotation) => rotation.isOverride)
+            ? `<text x="770" y="${upcomingY}" font-family="Arial" font-size="16" font-style="italic" text-anchor="end" fill="black">${escapeXml(
+                t("eink.override")
+              )}</text>`
+            : ""
+        }
+        <line x1="430" y1="${upcomingY + 12}" x2="770" y2="${
+        upcomingY + 12
+      }" stroke="black" stroke-width="3"/>
+        ${upcoming
+          .map((rotation, i) => {
+            const y = firstRow + i * 32;
+            const label = `${rotation.person}${
+              rotation.isOverride ? " *" : ""
+            }`;
+            return `
+            <text x="440" y="${y}" font-family="Arial" font-size="${fitFontSize(
+              label,
+              20,
+              170,
+              true
+            )}" font-weight="bold" fill="black">${escapeXml(label)}</text>
+            <text x="770" y="${y}" font-family="Arial" font-size="18" text-anchor="end" fill="black">${escapeXml(
+              rotation.dates
+            )}</text>
+          `;
+          })
+          .join("")}
+      `;
+    }
+
+    return {
+      viewWidth: 800,
+      viewHeight: 480,
+      body: `
+        <!-- Header -->
+        <text x="30" y="58" font-family="Arial" font-size="44" font-weight="bold" fill="black">${escapeXml(
+          t("eink.heading")
+        )}</text>
+        <text x="770" y="58" font-family="Arial" font-size="${fitFontSize(
+          data.title,
+          26,
+          480
+        )}" text-anchor="end" fill="black">${escapeXml(data.title)}</text>
+        <line x1="30" y1="80" x2="770" y2="80" stroke="black" stroke-width="4"/>
+
+        <!-- Current Section Box -->
+        <rect x="30" y="105" width="370" height="315" fill="none" stroke="black" stroke-width="4"/>
+        <text x="215" y="150" font-family="Arial" font-size="24" font-weight="bold" text-anchor="middle" fill="black">${escapeXml(
+          data.currentLabel
+        )}</text>
+        <text x="215" y="${
+          250 + nameSize / 3
+        }" font-family="Arial" font-size="${nameSize}" font-weight="bold" text-anchor="middle" fill="black">${escapeXml(
+        data.currentPerson
+      )}</text>
+        <text x="215" y="360" font-family="Arial" font-size="26" text-anchor="middle" fill="black">${escapeXml(
+          data.currentDates
+        )}</text>
+        ${
+          data.coveringFor
+            ? `<text x="215" y="395" font-family="Arial" font-size="${fitFontSize(
+                t("eink.coveringFor", { person: data.coveringFor }),
+                20,
+                340
+              )}" font-style="italic" text-anchor="middle" fill="black">${escapeXml(
+                t("eink.coveringFor", { person: data.coveringFor })
+              )}</text>`
+            : ""
+        }
+
+        ${
+          tasks
+            ? `<!-- Tasks Section -->${tasks.svg}${compactUpcoming}`
+            : `<!-- Upcoming Section -->
+        <text x="430" y="140" font-family="Arial" font-size="28" font-weight="bold" fill="black">${escapeXml(
+          t("eink.upcoming")
+        )}</text>
+        <line x1="430" y1="152" x2="770" y2="152" stroke="black" stroke-width="3"/>
+
+        ${data.upcoming
+          .map((rotation, i) => {
+            const y = 200 + i * 70;
+            const label = `${rotation.person}${
+              rotation.isOverride ? " *" : ""
+            }`;
+            return `
+            <text x="440" y="${y}" font-family="Arial" font-size="${fitFontSize(
+              label,
+              26,
+              320,
+              true
+            )}" font-weight="bold" fill="black">${escapeXml(label)}</text>
+            <text x="440" y="${
+              y + 28
+            }" font-family="Arial" font-size="20" fill="black">${escapeXml(
+              rotation.dates
+            )}</text>
+            ${
+              i < data.upcoming.length - 1
+                ? `<line x1="440" y1="${y + 44}" x2="770" y2="${
+                    y + 44
+                  }" stroke="black" stroke-width="2"/>`
+                : ""
+            }
+          `;
+          })
+          .join("")}
+
+        ${
+          data.upcoming.some((rotation) => rotation.isOverride)
+            ? `<text x="440" y="410" font-family="Arial" font-size="18" font-style="italic" fill="black">${escapeXml(
+                t("eink.override")
+              )}</text>`
+            : ""
+        }`
+        }
+
+        <!-- Footer -->
+        <text x="770" y="460" font-family="Arial" font-size="18" text-anchor="end" fill="black">${escapeXml(
+          data.timestamp
+        )}</text>
+      `,
+    };
+  },
+};
+
+// Helper function to build the SVG for a profile
+// Portrait layouts are drawn on panels that are rotated 90 or 270 degrees
+// with swapped dimensions so the encoded image matches the panel
+// Labels are in data.locale; the caller formats dates and names
+const renderEinkSvg = (data, options) => {
+  const sideways = options.rotate === 90 || options.rotate === 270;
+  const width = sideways ? options.height : options.width;
+  const height = sideways ? options.width : options.height;
+  const locale = data.locale || getDefaultLocale();
+  const t = (key, params) => translate(locale, key, params);
+  const { viewWidth, viewHeight, body } = LAYOUTS[options.orientation](data, t);
+
+  return `
+      <svg width="${width}" height="${height}" viewBox="0 0 ${viewWidth} ${viewHeight}" preserveAspectRatio="xMidYMid meet" xmlns="http://www.w3.org/2000/svg">
+        <rect x="-10000" y="-10000" width="20000" height="20000" fill="white"/>
+        ${body}
+      </svg>
+    `;
+};
+
+// Helper function to reduce 8-bit grayscale pixels to evenly spaced levels
+// Floyd-Steinberg spreads each pixel's rounding error to its neighbours
+const quantizePixels = (pixels, width, height, levels, dither) => {
+  const step = 255 / (levels - 1);
+  const output = Buffer.alloc(width * height);
+  const values = Float32Array.from(pixels);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const value = Math.min(Math.max(values[i], 0), 255);
+      const quantized = Math.round(value / step) * step;
+      output[i] = Math.round(quantized);
+
+      if (dither !== "floyd-steinberg") {
+        continue;
+      }
+
+      const error = value - quantized;
+      if (x + 1 < width) {
+        values[i + 1] += (error * 7) / 16;
+      }
+      if (y + 1 < height) {
+        if (x > 0) {
+          values[i + width - 1] += (error * 3) / 16;
+        }
+        values[i + width] += (error * 5) / 16;
+        if (x + 1 < width) {
+          values[i + width + 1] += error / 16;
+        }
+      }
+    }
+  }
+
+  return output;
+};
+
+// Helper function to encode black/white pixels as a 1-bit Windows BMP
+// Rows are stored bottom-up and padded to 4 bytes; palette 0 is black
+const encodeBmp1 = (pixels, width, height) => {
+  const rowSize = Math.ceil(width / 32) * 4;
+  const pixelOffset = 14 + 40 + 8;
+  const fileSize = pixelOffset + rowSize * height;
+  const bmp = Buffer.alloc(fileSize);
+
+  bmp.write("BM", 0, "ascii");
+  bmp.writeUInt32LE(fileSize, 2);
+  bmp.writeUInt32LE(pixelOffset, 10);
+  bmp.writeUInt32LE(40, 14);
+  bmp.writeInt32LE(width, 18);
+  bmp.writeInt32LE(height, 22);
+  bmp.writeUInt16LE(1, 26);
+  bmp.writeUInt16LE(1, 28);
+  bmp.writeUInt32LE(rowSize * height, 34);
+  bmp.writeInt32LE(2835, 38);
+  bmp.writeInt32LE(2835, 42);
+  bmp.writeUInt32LE(2, 46);
+  // Palette entries are BGRA: black, then white
+  bmp.writeUInt32LE(0x00000000, 54);
+  bmp.writeUInt32LE(0x00ffffff, 58);
+
+  for (let y = 0; y < height; y++) {
+    const row = pixelOffset + (height - 1 - y) * rowSize;
+    for (let x = 0; x < width; x++) {
+      if (pixels[y * width + x] >= 128) {
+        bmp[row + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+    }
+  }
+
+  return bmp;
+};
+
+// Helper function to rasterize the SVG and encode it for the profile
+const renderEinkImage = async (svg, options) => {
+  let image = sharp(Buffer.from(svg));
+  if (options.rotate) {
+    image = image.rotate(options.rotate);
+  }
+
+  if (options.levels === "full") {
+    return options.format === "png"
+      ? image.png().toBuffer()
+      : image.jpeg({ quality: 90 }).toBuffer();
+  }
+
+  const { data, info } = await image
+    .flatten({ background: "#ffffff" })
+    .grayscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const pixels = quantizePixels(
+    data,
+    info.width,
+    info.height,
+    options.levels,
+    options.dither
+  );
+
+  if (options.format === "bmp") {
+    return encodeBmp1(pixels, info.width, info.height);
+  }
+
+  // The pixels already hold exactly `levels` values, so the palette keeps them
+  return sharp(pixels, {
+    raw: { width: info.width, height: info.height, channels: 1 },
+  })
+    .png({
+      palette: true,
+      colours: options.levels,
+      bitdepth: { 2: 1, 4: 2, 16: 4 }[options.levels],
+      dither: 0,
+    })
+    .toBuffer();
+};
+
+module.exports = {
+  EINK_PROFILES,
+  DEFAULT_EINK_PROFILE,
+  resolveEinkOptions,
+  renderEinkSvg,
+  renderEinkImage,
+};
@@ -0,0 +1,31 @@
+// Escaping for text interpolated into markup
+// Every user-supplied value (names, notes, error messages) must pass through
+// one of these before it is placed in an HTML page or an SVG document.
+
+const HTML_ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+// Characters XML 1.0 does not allow at all; librsvg rejects the whole
+// document if one appears, even escaped
+const XML_INVALID_CHARACTERS =
+  /[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]|[\ud800-\udbff](?![\udc00-\udfff])|(?<![\ud800-\udbff])[\udc00-\udfff]/g;
+
+// Helper function to escape text for HTML element content and quoted attributes
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+
+// Helper function to escape text for XML (SVG) content and quoted attributes
+// Characters XML cannot represent are dropped
+const escapeXml = (value) =>
+  String(value ?? "")
+    .replace(XML_INVALID_CHARACTERS, "")
+    .replace(/[&<>"']/g, (char) =>
+      char === "'" ? "&apos;" : HTML_ENTITIES[char]
+    );
+
+module.exports = { escapeHtml, escapeXml };
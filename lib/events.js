@@ -0,0 +1,70 @@
+// Live updates for GET /api/events (Server-Sent Events)
+// An event stream fans published events out to the connected clients and
+// keeps the most recent ones, so a client that reconnects with the
+// Last-Event-ID header gets what it missed instead of starting over.
+
+const EVENT_TYPES = [
+  "schedule.updated",
+  "rotation.changed",
+  "override.created",
+  "task.completed",
+];
+
+// Events kept for clients that reconnect
+const EVENT_BUFFER_SIZE = 200;
+
+const createEventStream = ({ bufferSize = EVENT_BUFFER_SIZE } = {}) => {
+  const buffer = [];
+  const listeners = new Set();
+  // Ids count up from the creation time, so ids handed out before a restart
+  // are always lower than the first id after it and are recognised as stale
+  const firstId = Date.now();
+  let lastId = firstId;
+
+  return {
+    get lastId() {
+      return lastId;
+    },
+
+    // Returns the published event
+    publish: (type, data) => {
+      const event = { id: ++lastId, type, data };
+
+      buffer.push(event);
+      if (buffer.length > bufferSize) {
+        buffer.shift();
+      }
+
+      for (const listener of listeners) {
+        listener(event);
+      }
+
+      return event;
+    },
+
+    // Returns a function that removes the listener again
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    // Returns the events published after lastEventId, or null when that id
+    // is unknown or some of the events after it are no longer buffered
+    since: (lastEventId) => {
+      const id = Number(lastEventId);
+
+      if (!Number.isInteger(id) || id < firstId || id > lastId) {
+        return null;
+      }
+
+      const missed = buffer.filter((event) => event.id > id);
+      return missed.length === lastId - id ? missed : null;
+    },
+  };
+};
+
+// Helper function to write an event in the text/event-stream format
+const formatEvent = ({ id, type, data }) =>
+  `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+module.exports = { EVENT_TYPES, createEventStream, formatEvent };
@@ -0,0 +1,148 @@
+// Translations for the web page, the e-ink image and the printable calendar
+// Messages may hold {placeholders}. A message that depends on a count is an
+// object keyed by Intl.PluralRules category (one, few, many, other). Keys
+// missing from a catalog fall back to English. Dates are not translated
+// here but formatted by Intl in the chosen locale.
+
+const CATALOGS = {
+  en: {
+    "page.title": "Cleaning Schedule",
+    "page.subtitle": "House cleaning rotation",
+    "page.noSchedule": "No schedule found. Please create one first.",
+    "page.current": "Current Responsibility",
+    "page.responsible": "is responsible for cleaning",
+    "page.status.done": "done",
+    "page.status.skipped": "skipped",
+    "page.coveringFor": "Covering for {person}",
+    "page.tasks": "Tasks {completed}/{required}",
+    "page.upcoming": "Upcoming Rotations",
+    "page.lastUpdated": "Last updated: {time}",
+    "page.refresh": "Refresh",
+    "page.error": "Error",
+    "page.loadError": "Could not load cleaning schedule: {message}",
+    "eink.heading": "CLEANING",
+    "eink.title": "House Schedule",
+    "eink.current.day": "CURRENT DAY",
+    "eink.current.week": "CURRENT WEEK",
+    "eink.current.month": "CURRENT MONTH",
+    "eink.coveringFor": "covering for {person}",
+    "eink.upcoming": "UPCOMING",
+    "eink.override": "* override",
+    "eink.toDo": "TO DO",
+    "eink.done": "{done}/{total} done",
+    "eink.allDone": "All done!",
+    "eink.more": { one: "+{count} more", other: "+{count} more" },
+    "calendar.overrides": "Changes",
+    "calendar.absences": "Absences",
+    "calendar.coveringFor": "{person} covers for {original}",
+    "calendar.away": "Away: {people}",
+    "calendar.overrideMark": "* someone else is covering",
+    "calendar.more": { one: "+{count} more", other: "+{count} more" },
+  },
+  cs: {
+    "page.title": "Rozpis úklidu",
+    "page.subtitle": "Střídání úklidu domácnosti",
+    "page.noSchedule": "Rozpis nebyl nalezen. Nejdřív nějaký vytvořte.",
+    "page.current": "Teď je na řadě",
+    "page.responsible": "má na starosti úklid",
+    "page.status.done": "hotovo",
+    "page.status.skipped": "vynecháno",
+    "page.coveringFor": "Zaskakuje za: {person}",
+    "page.tasks": "Úkoly {completed}/{required}",
+    "page.upcoming": "Další na řadě",
+    "page.lastUpdated": "Aktualizováno: {time}",
+    "page.refresh": "Obnovit",
+    "page.error": "Chyba",
+    "page.loadError": "Rozpis úklidu se nepodařilo načíst: {message}",
+    "eink.heading": "ÚKLID",
+    "eink.title": "Rozpis domácnosti",
+    "eink.current.day": "DNES",
+    "eink.current.week": "TENTO TÝDEN",
+    "eink.current.month": "TENTO MĚSÍC",
+    "eink.coveringFor": "zaskakuje za: {person}",
+    "eink.upcoming": "PŘÍŠTĚ",
+    "eink.override": "* záskok",
+    "eink.toDo": "ZBÝVÁ",
+    "eink.done": "{done}/{total} hotovo",
+    "eink.allDone": "Vše hotovo!",
+    "eink.more": {
+      one: "+{count} další",
+      few: "+{count} další",
+      other: "+{count} dalších",
+    },
+    "calendar.overrides": "Změny",
+    "calendar.absences": "Nepřítomnost",
+    "calendar.coveringFor": "{person} zaskakuje za: {original}",
+    "calendar.away": "Pryč: {people}",
+    "calendar.overrideMark": "* záskok",
+    "calendar.more": {
+      one: "+{count} další",
+      few: "+{count} další",
+      other: "+{count} dalších",
+    },
+  },
+};
+
+const LOCALES = Object.keys(CATALOGS);
+const DEFAULT_LOCALE = "en";
+
+const isLocale = (code) =>
+  typeof code === "string" &&
+  Object.prototype.hasOwnProperty.call(CATALOGS, code);
+
+// Helper function to read the fallback locale, DEFAULT_LOCALE in the
+// environment when it names a catalog
+const getDefaultLocale = () =>
+  isLocale(process.env.DEFAULT_LOCALE)
+    ? process.env.DEFAULT_LOCALE
+    : DEFAULT_LOCALE;
+
+// Helper function to look up a message and fill in its placeholders
+// Plural messages pick their form from params.count
+const translate = (locale, key, params = {}) => {
+  let message = (CATALOGS[locale] || {})[key] ?? CATALOGS[DEFAULT_LOCALE][key];
+
+  if (message === undefined) {
+    return key;
+  }
+
+  if (typeof message === "object") {
+    const category = new Intl.PluralRules(locale).select(params.count);
+    message = message[category] ?? message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    name in params ? String(params[name]) : placeholder
+  );
+};
+
+// Helper function to format a date, or a range of dates, with Intl
+// Ranges share what both ends have in common ("Mar 2 – 8")
+const formatDate = (locale, date, options) =>
+  new Intl.DateTimeFormat(locale, options).format(new Date(date));
+
+const formatDateRange = (locale, start, end, options) =>
+  new Intl.DateTimeFormat(locale, options).formatRange(
+    new Date(start),
+    new Date(end)
+  );
+
+// Helper function to describe the available locales, each named in its own
+// language and in English
+const listLocales = () =>
+  LOCALES.map((code) => ({
+    code,
+    name: new Intl.DisplayNames(code, { type: "language" }).of(code),
+    englishName: new Intl.DisplayNames("en", { type: "language" }).of(code),
+  }));
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  isLocale,
+  getDefaultLocale,
+  translate,
+  formatDate,
+  formatDateRange,
+  listLocales,
+};
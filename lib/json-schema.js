@@ -0,0 +1,211 @@
+// Request validation against the JSON Schema subset the OpenAPI document uses
+// Supported keywords: $ref (to #/components/schemas), type, nullable, enum,
+// oneOf, minLength, maxLength, pattern, minimum, maximum, minItems, maxItems,
+// uniqueItems, items, properties, required and additionalProperties.
+// Problems come back as a list of { path, message }, e.g.
+// { path: "people[1]", message: "must be a string" }, rather than thrown.
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  integer: (value) => Number.isInteger(value),
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  boolean: (value) => typeof value === "boolean",
+  array: (value) => Array.isArray(value),
+  object: (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value),
+};
+
+const TYPE_NAMES = {
+  string: "a string",
+  integer: "an integer",
+  number: "a number",
+  boolean: "a boolean",
+  array: "an array",
+  object: "an object",
+};
+
+const REF_PREFIX = "#/components/schemas/";
+
+// Helper function to follow a $ref to its component schema
+const resolveSchema = (schema, schemas) => {
+  if (!schema.$ref) {
+    return schema;
+  }
+
+  const name = schema.$ref.slice(REF_PREFIX.length);
+  if (!schema.$ref.startsWith(REF_PREFIX) || !schemas[name]) {
+    throw new Error(`Unknown schema reference: ${schema.$ref}`);
+  }
+
+  return resolveSchema(schemas[name], schemas);
+};
+
+// Helper function to extend a path with a property name or array index
+const joinPath = (path, key) =>
+  typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+
+const checkValue = (schema, value, path, schemas, issues) => {
+  const resolved = resolveSchema(schema, schemas);
+
+  if (value === null) {
+    if (!resolved.nullable) {
+      issues.push({
+        path,
+        message: resolved.type
+          ? `must be ${TYPE_NAMES[resolved.type]}`
+          : "must not be null",
+      });
+    }
+    return;
+  }
+
+  if (resolved.oneOf) {
+    const results = resolved.oneOf.map((option) => {
+      const optionIssues = [];
+      checkValue(option, value, path, schemas, optionIssues);
+      return optionIssues;
+    });
+    const matches = results.filter((result) => result.length === 0).length;
+
+    if (matches === 0) {
+      // An option of the value's own type is most likely what was meant, so
+      // its problems say more than a generic message
+      const typed = results.find((result, index) => {
+        const { type } = resolveSchema(resolved.oneOf[index], schemas);
+        return !type || TYPE_CHECKS[type](value);
+      });
+      issues.push(
+        ...(typed || [{ path, message: "does not match any allowed form" }])
+      );
+    } else if (matches > 1) {
+      issues.push({ path, message: "matches more than one allowed form" });
+    }
+    return;
+  }
+
+  if (resolved.type && !TYPE_CHECKS[resolved.type](value)) {
+    issues.push({ path, message: `must be ${TYPE_NAMES[resolved.type]}` });
+    return;
+  }
+
+  if (resolved.enum && !resolved.enum.includes(value)) {
+    issues.push({
+      path,
+      message: `must be one of: ${resolved.enum.join(", ")}`,
+    });
+    return;
+  }
+
+  if (typeof value === "string") {
+    if (resolved.minLength !== undefined && value.length < resolved.minLength) {
+      issues.push({
+        path,
+        message:
+          resolved.minLength === 1
+            ? "must not be empty"
+            : `must be at least ${resolved.minLength} characters`,
+      });
+    }
+
+    if (resolved.maxLength !== undefined && value.length > resolved.maxLength) {
+      issues.push({
+        path,
+        message: `must be at most ${resolved.maxLength} characters`,
+      });
+    }
+
+    if (resolved.pattern && !new RegExp(resolved.pattern, "u").test(value)) {
+      issues.push({
+        path,
+        message: `must match the pattern ${resolved.pattern}`,
+      });
+    }
+  }
+
+  if (typeof value === "number") {
+    if (resolved.minimum !== undefined && value < resolved.minimum) {
+      issues.push({ path, message: `must be at least ${resolved.minimum}` });
+    }
+
+    if (resolved.maximum !== undefined && value > resolved.maximum) {
+      issues.push({ path, message: `must be at most ${resolved.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (resolved.minItems !== undefined && value.length < resolved.minItems) {
+      issues.push({
+        path,
+        message:
+          resolved.minItems === 1
+            ? "must not be empty"
+            : `must have at least ${resolved.minItems} items`,
+      });
+    }
+
+    if (resolved.maxItems !== undefined && value.length > resolved.maxItems) {
+      issues.push({
+        path,
+        message: `must have at most ${resolved.maxItems} items`,
+      });
+    }
+
+    if (
+      resolved.uniqueItems &&
+      new Set(value.map((item) => JSON.stringify(item))).size !== value.length
+    ) {
+      issues.push({ path, message: "must not repeat items" });
+    }
+
+    if (resolved.items) {
+      value.forEach((item, index) =>
+        checkValue(resolved.items, item, joinPath(path, index), schemas, issues)
+      );
+    }
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    const properties = resolved.properties || {};
+
+    for (const name of resolved.required || []) {
+      if (value[name] === undefined) {
+        issues.push({ path: joinPath(path, name), message: "is required" });
+      }
+    }
+
+    for (const [name, item] of Object.entries(value)) {
+      if (item === undefined) {
+        continue;
+      }
+
+      if (Object.prototype.hasOwnProperty.call(properties, name)) {
+        checkValue(
+          properties[name],
+          item,
+          joinPath(path, name),
+          schemas,
+          issues
+        );
+      } else if (resolved.additionalProperties === false) {
+        issues.push({ path: joinPath(path, name), message: "is not allowed" });
+      } else if (typeof resolved.additionalProperties === "object") {
+        checkValue(
+          resolved.additionalProperties,
+          item,
+          joinPath(path, name),
+          schemas,
+          issues
+        );
+      }
+    }
+  }
+};
+
+// Checks a value against a schema; `schemas` are the components $refs name
+const validateSchema = (schema, value, { schemas = {}, path = "" } = {}) => {
+  const issues = [];
+  checkValue(schema, value, path, schemas, issues);
+  return issues;
+};
+
+module.exports = { validateSchema };
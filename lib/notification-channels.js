@@ -0,0 +1,180 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const path = require("path");
+
+// Outbound notification channels
+// Each channel type validates its stored config and sends one message.
+// send() resolves when delivery succeeded and rejects with an Error otherwise.
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Helper function to sign a webhook body so receivers can verify its origin
+const signPayload = (body, secret) =>
+  "sha256=" + crypto.createHmac("sha256", secret).update(body).digest("hex");
+
+// Helper function to POST a JSON body, failing on non-2xx responses
+const postJson = (url, body, headers) =>
+  new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === "https:" ? https : http;
+
+    const request = transport.request(
+      target,
+      {
+        method: "POST",
+        timeout: WEBHOOK_TIMEOUT_MS,
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(body),
+          ...headers,
+        },
+      },
+      (response) => {
+        // Drain the response so the socket is released
+        response.resume();
+        response.on("end", () => {
+          if (response.statusCode >= 200 && response.statusCode < 300) {
+            resolve();
+          } else {
+            reject(new Error(`Webhook responded with ${response.statusCode}`));
+          }
+        });
+      }
+    );
+
+    request.on("timeout", () => {
+      request.destroy(new Error("Webhook request timed out"));
+    });
+    request.on("error", reject);
+    request.end(body);
+  });
+
+// Helper function to find a local channel's file inside NOTIFICATION_LOG_DIR
+// The path comes from API clients, so it must stay in the directory the
+// operator set aside: no absolute paths and no ".." segments.
+// Returns { error } or { file }
+const resolveLogFile = (name) => {
+  const directory = process.env.NOTIFICATION_LOG_DIR;
+
+  if (!directory) {
+    return { error: "Local channels need NOTIFICATION_LOG_DIR to be set" };
+  }
+
+  if (typeof name !== "string" || name.trim() === "") {
+    return { error: "Local path must be a file name" };
+  }
+
+  if (path.isAbsolute(name) || name.split(/[\\/]/).includes("..")) {
+    return {
+      error: "Local path must be relative to NOTIFICATION_LOG_DIR, without ..",
+    };
+  }
+
+  const root = path.resolve(directory);
+  const file = path.resolve(root, name);
+
+  if (!file.startsWith(root + path.sep)) {
+    return { error: "Local path must stay inside NOTIFICATION_LOG_DIR" };
+  }
+
+  return { file };
+};
+
+// Lazily created so the server starts without SMTP settings
+let mailTransport = null;
+
+const getMailTransport = () => {
+  if (!mailTransport) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error("SMTP_HOST is not configured");
+    }
+
+    const nodemailer = require("nodemailer");
+    mailTransport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+
+  return mailTransport;
+};
+
+const channels = {
+  // Generic webhook: POSTs the message as JSON with an HMAC-SHA256 signature
+  // of the raw body in X-Signature-256 (hex, prefixed with "sha256=")
+  webhook: {
+    validate: (config) => {
+      try {
+        const url = new URL(config.url);
+        if (!["http:", "https:"].includes(url.protocol)) {
+          return "Webhook url must use http or https";
+        }
+      } catch (error) {
+        return "Webhook url must be a valid URL";
+      }
+
+      if (typeof config.secret !== "string" || config.secret.length < 16) {
+        return "Webhook secret must be at least 16 characters";
+      }
+
+      return null;
+    },
+    send: (config, message) => {
+      const body = JSON.stringify(message);
+
+      return postJson(config.url, body, {
+        "X-Signature-256": signPayload(body, config.secret),
+        "X-Notification-Id": message.id,
+        "X-Notification-Event": message.event,
+      });
+    },
+  },
+
+  // SMTP email using the SMTP_* environment settings
+  email: {
+    validate: (config) => {
+      const recipients = [].concat(config.to || []);
+      if (
+        recipients.length === 0 ||
+        !recipients.every((to) => /^[^\s@]+@[^\s@]+$/.test(to))
+      ) {
+        return "Email to must be an address or a list of addresses";
+      }
+
+      return null;
+    },
+    send: (config, message) =>
+      getMailTransport().sendMail({
+        from: process.env.SMTP_FROM || process.env.SMTP_USER,
+        to: config.to,
+        subject: message.title,
+        text: message.text,
+      }),
+  },
+
+  // Local testing channel: appends JSON lines to config.path, a file name
+  // inside NOTIFICATION_LOG_DIR
+  local: {
+    validate: (config) => resolveLogFile(config.path).error || null,
+    send: async (config, message) => {
+      // Checked again, as the setting may have changed since it was stored
+      const { file, error } = resolveLogFile(config.path);
+      if (error) {
+        throw new Error(error);
+      }
+
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, JSON.stringify(message) + "\n");
+    },
+  },
+};
+
+const CHANNEL_TYPES = Object.keys(channels);
+
+module.exports = { channels, CHANNEL_TYPES, signPayload };
@@ -0,0 +1,1569 @@
+// OpenAPI 3 description of the /api routes, served at GET /api/openapi.json
+// The request schemas are also the first line of validation: every route
+// runs validateRequest() for its operation before the handler, which then
+// only checks what a schema cannot express (unique names, known people,
+// valid dates). Operations on the default schedule are also served under
+// /schedules/{slug}; that path gets the operationId with "BySlug" appended.
+
+const { EINK_PROFILES } = require("./eink");
+const { EVENT_TYPES } = require("./events");
+const { LOCALES } = require("./i18n");
+const { CHANNEL_TYPES } = require("./notification-channels");
+const {
+  HISTORY_STATUSES,
+  NOTIFICATION_EVENTS,
+  DELIVERY_STATUSES,
+  TOKEN_SCOPES,
+  AUDIT_ACTIONS,
+} = require("./storage/models");
+const { validateSchema } = require("./json-schema");
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema) => ({ "application/json": { schema } });
+const jsonResponse = (description, schema) => ({
+  description,
+  content: json(schema),
+});
+const jsonBody = (schema, required = true) => ({
+  required,
+  content: json(schema),
+});
+
+// Responses every operation may give besides its own, by status
+const ERROR_RESPONSES = {
+  400: {
+    name: "BadRequest",
+    description: "The request is invalid (code validation_failed)",
+  },
+  401: {
+    name: "Unauthorized",
+    description: "No API key or token was sent (code unauthorized)",
+  },
+  403: {
+    name: "Forbidden",
+    description:
+      "The API key or token is invalid or lacks the scope (code forbidden)",
+  },
+  404: { name: "NotFound", description: "Not found (code not_found)" },
+  409: {
+    name: "Conflict",
+    description: "The request conflicts with existing data",
+  },
+  429: {
+    name: "TooManyRequests",
+    description:
+      "Too many requests from this address (code rate_limited), or too many invalid API keys (code locked_out); Retry-After says when to try again",
+  },
+  500: {
+    name: "InternalError",
+    description: "Something failed on the server (code internal_error)",
+  },
+};
+
+// Path parameters, shared by every route that has them
+const PATH_PARAMETERS = {
+  slug: {
+    description: "Schedule slug; routes without it use the default schedule",
+    schema: { type: "string", example: "kitchen" },
+  },
+  name: {
+    description: "Person on the schedule's roster",
+    schema: { type: "string", example: "Alice" },
+  },
+  id: {
+    description: "Record id",
+    schema: { type: "string", pattern: "^[0-9a-fA-F]{24}$" },
+  },
+  taskId: {
+    description: "Task id from the schedule's task list",
+    schema: { type: "string", example: "bathroom" },
+  },
+};
+
+const DATE_DESCRIPTION = "ISO 8601 date or date-time";
+const dateInput = (description = DATE_DESCRIPTION) => ({
+  type: "string",
+  description,
+  example: "2026-03-02",
+});
+const dateTime = { type: "string", format: "date-time" };
+
+const pageParameters = {
+  page: {
+    description: "Page number, from 1",
+    schema: { type: "integer", minimum: 1, default: 1 },
+  },
+  limit: {
+    description: "Entries per page, at most 100",
+    schema: { type: "integer", minimum: 1, default: 20 },
+  },
+};
+
+const pagination = {
+  type: "object",
+  properties: {
+    page: { type: "integer" },
+    limit: { type: "integer" },
+    total: { type: "integer" },
+    pages: { type: "integer" },
+  },
+};
+
+// Helper function to build a response of `{ message, <name>: <schema> }`
+const messageWith = (name, schema) => ({
+  type: "object",
+  properties: { message: { type: "string" }, [name]: schema },
+});
+
+// Helper function to describe the schemas, in OpenAPI components form
+// `limits` carries the server's own limits and enums, so the document
+// always states what the handlers enforce
+const buildSchemas = (limits) => {
+  // Display names must not hold control characters
+  const namePattern =
+    limits.controlCharacters.source.replace(/^\[/, "^[^") + "*$";
+  const personName = {
+    type: "string",
+    minLength: 1,
+    maxLength: limits.maxPersonNameLength,
+    pattern: namePattern,
+  };
+  // Date ranges take whole days, without a time of day
+  const calendarDateInput = (description) => ({
+    ...dateInput(`${description}, as YYYY-MM-DD`),
+    pattern: limits.calendarDatePattern.source,
+  });
+
+  const scheduleProperties = {
+    name: {
+      type: "string",
+      nullable: true,
+      maxLength: limits.maxScheduleNameLength,
+      pattern: namePattern,
+      description: "Display name; an empty string or null clears it",
+    },
+    people: {
+      type: "array",
+      minItems: 1,
+      maxItems: limits.maxPeople,
+      items: ref("PersonName"),
+      description: "Roster in rotation order; names are unique ignoring case",
+    },
+    startDate: dateInput("Date of the first rotation"),
+    rotation: ref("RotationInput"),
+    weekStartDay: {
+      type: "integer",
+      minimum: 0,
+      maximum: 6,
+      description: "First day of weekly periods, 0 (Sunday) to 6 (Saturday)",
+    },
+    timezone: {
+      type: "string",
+      description: "IANA timezone name",
+      example: "Europe/Prague",
+    },
+    einkProfile: {
+      type: "string",
+      nullable: true,
+      enum: Object.keys(EINK_PROFILES),
+      description: "Device profile /eink renders by default",
+    },
+    locale: {
+      type: "string",
+      nullable: true,
+      enum: LOCALES,
+      description: "Language / and /eink are shown in by default",
+    },
+    strategy: { type: "string", enum: limits.strategies },
+    weights: {
+      type: "object",
+      additionalProperties: { type: "number", minimum: 0.1, maximum: 10 },
+      description:
+        "Person: weight for the weighted strategy, 0.1 to 10 with at most two decimals",
+    },
+    absencePolicy: { type: "string", enum: limits.absencePolicies },
+    tasks: {
+      type: "array",
+      nullable: true,
+      maxItems: limits.maxTasks,
+      items: { oneOf: [ref("TaskTitle"), ref("TaskInput")] },
+      description:
+        "Checklist for each rotation; tasks keep the id of an existing task with the same id or title",
+    },
+  };
+
+  const channelProperties = {
+    name: { type: "string", minLength: 1 },
+    type: { type: "string", enum: CHANNEL_TYPES },
+    config: {
+      type: "object",
+      additionalProperties: true,
+      description: "Settings of the channel type, e.g. url for webhook",
+    },
+    enabled: { type: "boolean" },
+    scheduleSlug: {
+      type: "string",
+      nullable: true,
+      description: "Only notify about this schedule",
+    },
+    person: {
+      type: "string",
+      nullable: true,
+      description: "Only notify about this person's turns",
+    },
+    events: {
+      type: "array",
+      items: { type: "string", enum: NOTIFICATION_EVENTS },
+    },
+    daysBefore: {
+      type: "array",
+      items: { type: "integer", minimum: 1, maximum: 30 },
+      description: "Days before a turn to send reminders",
+    },
+  };
+
+  const rotation = {
+    type: "object",
+    properties: {
+      person: { type: "string" },
+      rotationNumber: { type: "integer" },
+      periodStart: dateTime,
+      periodEnd: dateTime,
+      selection: { type: "object", additionalProperties: true },
+      isOverride: { type: "boolean" },
+      originalPerson: { type: "string" },
+      isCurrent: { type: "boolean" },
+    },
+  };
+
+  return {
+    Error: {
+      type: "object",
+      required: ["error"],
+      properties: {
+        error: {
+          type: "object",
+          required: ["code", "message", "details"],
+          properties: {
+            code: {
+              type: "string",
+              description:
+                "Stable, machine-readable reason, e.g. validation_failed, unauthorized, forbidden, not_found, conflict, absence_overlap, task_done, channel_exists, import_invalid, import_conflict, invalid_json, internal_error",
+              example: "validation_failed",
+            },
+            message: { type: "string", description: "Human-readable message" },
+            details: {
+              type: "object",
+              nullable: true,
+              additionalProperties: true,
+              description:
+                "More about the error; validation_failed lists every problem in details.issues",
+            },
+          },
+        },
+      },
+    },
+    Message: {
+      type: "object",
+      properties: { message: { type: "string" } },
+    },
+    ValidationIssue: {
+      type: "object",
+      properties: {
+        in: { type: "string", enum: ["path", "query", "body"] },
+        path: { type: "string", example: "people[1]" },
+        message: { type: "string", example: "must be a string" },
+      },
+    },
+    PersonName: personName,
+    TaskTitle: {
+      type: "string",
+      minLength: 1,
+      maxLength: limits.maxTaskTitleLength,
+      pattern: namePattern,
+    },
+    TaskInput: {
+      type: "object",
+      additionalProperties: false,
+      required: ["title"],
+      properties: {
+        id: { type: "string", pattern: limits.taskIdPattern.source },
+        title: ref("TaskTitle"),
+        perWeek: {
+          type: "integer",
+          nullable: true,
+          minimum: 1,
+          maximum: 7,
+          description: "Times a week; tasks without it are due once a rotation",
+        },
+      },
+    },
+    RotationInput: {
+      type: "object",
+      additionalProperties: false,
+      required: ["unit"],
+      properties: {
+        unit: { type: "string", enum: limits.rotationUnits },
+        length: { type: "integer", minimum: 1, maximum: 52 },
+        dayOfMonth: {
+          type: "integer",
+          minimum: 1,
+          maximum: 28,
+          description: "Day monthly periods start on",
+        },
+      },
+    },
+    ScheduleCreate: {
+      type: "object",
+      additionalProperties: false,
+      required: ["people", "startDate"],
+      properties: scheduleProperties,
+    },
+    NamedScheduleCreate: {
+      type: "object",
+      additionalProperties: false,
+      required: ["slug", "people", "startDate"],
+      properties: {
+        slug: {
+          type: "string",
+          pattern: limits.slugPattern.source,
+          description: `Lowercase letters, digits and dashes; not one of: ${limits.reservedSlugs.join(
+            ", "
+          )}`,
+        },
+        ...scheduleProperties,
+      },
+    },
+    ScheduleUpdate: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        ...scheduleProperties,
+        startDate: { ...scheduleProperties.startDate, nullable: true },
+        effective: {
+          type: "string",
+          enum: ["next-rotation", "immediate"],
+          default: "next-rotation",
+          description:
+            "When a new roster applies: from the next rotation, or to every rotation",
+        },
+      },
+    },
+    OverrideInput: {
+      type: "object",
+      additionalProperties: false,
+      required: ["person"],
+      properties: {
+        type: { type: "string", enum: ["assign", "swap"], default: "assign" },
+        person: { type: "string" },
+        swapWith: {
+          type: "string",
+          description: "For swaps: whose next turn to trade with",
+        },
+        rotationNumber: { type: "integer", minimum: 1 },
+        startDate: calendarDateInput("First day of the range"),
+        endDate: calendarDateInput("Last day of the range"),
+        reason: { type: "string" },
+      },
+    },
+    AbsenceInput: {
+      type: "object",
+      additionalProperties: false,
+      required: ["startDate", "endDate"],
+      properties: {
+        startDate: dateInput(),
+        endDate: dateInput("Last day of the absence"),
+        reason: { type: "string", maxLength: 200, pattern: namePattern },
+      },
+    },
+    CompletionInput: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        status: { type: "string", enum: HISTORY_STATUSES, default: "done" },
+        note: { type: "string" },
+        completedAt: dateInput(),
+      },
+    },
+    ChannelCreate: {
+      type: "object",
+      additionalProperties: false,
+      required: ["name", "type"],
+      properties: channelProperties,
+    },
+    ChannelUpdate: {
+      type: "object",
+      additionalProperties: false,
+      properties: channelProperties,
+    },
+    TokenCreate: {
+      type: "object",
+      additionalProperties: false,
+      required: ["name", "scopes"],
+      properties: {
+        name: { type: "string", minLength: 1 },
+        scopes: {
+          type: "array",
+          minItems: 1,
+          items: { type: "string", enum: TOKEN_SCOPES },
+        },
+        person: {
+          ...personName,
+          nullable: true,
+          description: "Person a member token acts as",
+        },
+        expiresAt: { ...dateInput(), nullable: true },
+      },
+    },
+    RestoreInput: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        state: {
+          type: "string",
+          enum: ["before", "after"],
+          default: "after",
+          description:
+            "Restore the schedule as it was before or after the change",
+        },
+      },
+    },
+    ExportFile: {
+      type: "object",
+      additionalProperties: false,
+      required: ["format", "version", "schedules"],
+      properties: {
+        format: { type: "string", enum: [limits.exportFormat] },
+        version: {
+          type: "integer",
+          minimum: 1,
+          maximum: limits.exportVersion,
+        },
+        exportedAt: dateTime,
+        schedules: {
+          type: "array",
+          items: { type: "object", additionalProperties: true },
+          description:
+            "Schedules with their overrides, history, absences and task ticks",
+        },
+        notificationChannels: {
+          type: "array",
+          items: { type: "object", additionalProperties: true },
+        },
+      },
+    },
+    ImportReport: {
+      type: "object",
+      properties: {
+        message: { type: "string" },
+        dryRun: { type: "boolean" },
+        format: { type: "string", enum: ["json", "csv"] },
+        onConflict: { type: "string", enum: limits.importConflictModes },
+        errors: { type: "array", items: { type: "string" } },
+        conflicts: {
+          type: "array",
+          items: { type: "object", additionalProperties: true },
+        },
+        changes: { type: "object", additionalProperties: true },
+        applied: { type: "boolean" },
+      },
+    },
+    Schedule: {
+      type: "object",
+      properties: {
+        slug: { type: "string" },
+        name: { type: "string" },
+        people: { type: "array", items: { type: "string" } },
+        startDate: dateTime,
+        rosterHistory: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              fromRotationNumber: { type: "integer" },
+              people: { type: "array", items: { type: "string" } },
+              offset: { type: "integer" },
+            },
+          },
+        },
+        rotation: {
+          type: "object",
+          properties: {
+            unit: { type: "string", enum: limits.rotationUnits },
+            length: { type: "integer" },
+            dayOfMonth: { type: "integer" },
+          },
+        },
+        weekStartDay: { type: "integer" },
+        timezone: { type: "string" },
+        einkProfile: { type: "string", nullable: true },
+        locale: { type: "string", nullable: true },
+        strategy: { type: "string", enum: limits.strategies },
+        weights: { type: "object", additionalProperties: { type: "number" } },
+        absencePolicy: { type: "string", enum: limits.absencePolicies },
+        tasks: { type: "array", items: ref("Task") },
+        createdAt: dateTime,
+        updatedAt: dateTime,
+      },
+    },
+    Task: {
+      type: "object",
+      properties: {
+        id: { type: "string" },
+        title: { type: "string" },
+        perWeek: { type: "integer", nullable: true },
+      },
+    },
+    Rotation: rotation,
+    CurrentRotation: {
+      type: "object",
+      properties: {
+        currentPerson: { type: "string" },
+        currentPersonIndex: { type: "integer" },
+        rotationNumber: { type: "integer" },
+        periodStart: dateTime,
+        periodEnd: dateTime,
+        weeksSinceStart: { type: "integer" },
+        daysSinceStart: { type: "integer" },
+        isActive: { type: "boolean" },
+        selection: { type: "object", additionalProperties: true },
+        isOverride: { type: "boolean" },
+        originalPerson: { type: "string" },
+      },
+    },
+    Override: {
+      type: "object",
+      properties: {
+        id: { type: "string" },
+        type: { type: "string", enum: ["assign", "swap"] },
+        person: { type: "string" },
+        rotationNumber: { type: "integer" },
+        startDate: dateTime,
+        endDate: dateTime,
+        swapWith: { type: "string" },
+        swapRotationNumber: { type: "integer" },
+        reason: { type: "string" },
+        createdAt: dateTime,
+      },
+    },
+    Absence: {
+      type: "object",
+      properties: {
+        id: { type: "string" },
+        person: { type: "string" },
+        startDate: dateTime,
+        endDate: dateTime,
+        reason: { type: "string" },
+        createdAt: dateTime,
+      },
+    },
+    HistoryEntry: {
+      type: "object",
+      properties: {
+        id: { type: "string" },
+        rotationNumber: { type: "integer" },
+        person: { type: "string" },
+        periodStart: dateTime,
+        periodEnd: dateTime,
+        status: { type: "string", enum: HISTORY_STATUSES },
+        note: { type: "string" },
+        completedAt: dateTime,
+      },
+    },
+    Checklist: {
+      type: "object",
+      properties: {
+        rotationNumber: { type: "integer" },
+        person: { type: "string" },
+        periodStart: dateTime,
+        periodEnd: dateTime,
+        tasks: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              id: { type: "string" },
+              title: { type: "string" },
+              perWeek: { type: "integer", nullable: true },
+              required: { type: "integer" },
+              completed: { type: "integer" },
+              remaining: { type: "integer" },
+              done: { type: "boolean" },
+              completions: {
+                type: "array",
+                items: {
+                  type: "object",
+                  properties: {
+                    completedBy: { type: "string" },
+                    completedAt: dateTime,
+                  },
+                },
+              },
+            },
+          },
+        },
+        progress: {
+          type: "object",
+          properties: {
+            completed: { type: "integer" },
+            required: { type: "integer" },
+            done: { type: "integer" },
+            total: { type: "integer" },
+            percent: { type: "integer" },
+          },
+        },
+      },
+    },
+    Channel: {
+      type: "object",
+      properties: {
+        id: { type: "string" },
+        ...channelProperties,
+        config: {
+          type: "object",
+          additionalProperties: true,
+          description: "Secrets are masked",
+        },
+        createdAt: dateTime,
+        updatedAt: dateTime,
+      },
+    },
+    Delivery: {
+      type: "object",
+      properties: {
+        id: { type: "string" },
+        channelId: { type: "string" },
+        channelName: { type: "string" },
+        event: { type: "string" },
+        scheduleSlug: { type: "string" },
+        rotationNumber: { type: "integer" },
+        person: { type: "string" },
+        status: { type: "string", enum: DELIVERY_STATUSES },
+        attempts: { type: "integer" },
+        error: { type: "string" },
+        sentAt: dateTime,
+        createdAt: dateTime,
+      },
+    },
+    Token: {
+      type: "object",
+      properties: {
+        id: { type: "string" },
+        name: { type: "string" },
+        prefix: { type: "string" },
+        scopes: {
+          type: "array",
+          items: { type: "string", enum: TOKEN_SCOPES },
+        },
+        person: { type: "string" },
+        expiresAt: dateTime,
+        lastUsedAt: dateTime,
+        revokedAt: dateTime,
+        createdAt: dateTime,
+      },
+    },
+    AuditEntry: {
+      type: "object",
+      properties: {
+        id: { type: "string" },
+        scheduleSlug: { type: "string" },
+        action: { type: "string", enum: AUDIT_ACTIONS },
+        actor: { type: "object", nullable: true, additionalProperties: true },
+        ip: { type: "string" },
+        diff: { type: "object", additionalProperties: true },
+        before: { type: "object", nullable: true, additionalProperties: true },
+        after: { type: "object", nullable: true, additionalProperties: true },
+        createdAt: dateTime,
+      },
+    },
+    Pagination: pagination,
+  };
+};
+
+// Helper function to describe every operation, keyed by operationId
+// Besides OpenAPI fields each one has its `method`, its `paths`, the
+// `scopes` any one of which lets a caller in, the `query` parameters and
+// the `errors` it answers with besides the common ones
+const buildOperations = (limits) => ({
+  getScheduleCalendar: {
+    method: "get",
+    paths: ["/schedule.ics", "/schedules/{slug}.ics"],
+    tags: ["Schedules"],
+    summary: "iCalendar feed of the current and upcoming rotations",
+    query: {
+      days: {
+        description: "Days ahead to cover",
+        schema: {
+          type: "integer",
+          minimum: 1,
+          maximum: limits.icsMaxHorizonDays,
+        },
+      },
+      person: {
+        description: "Only this person's turns",
+        schema: { type: "string" },
+      },
+    },
+    responses: {
+      200: {
+        description: "Calendar",
+        content: { "text/calendar": { schema: { type: "string" } } },
+      },
+    },
+    errors: [404],
+  },
+  listSchedules: {
+    method: "get",
+    paths: ["/schedules"],
+    tags: ["Schedules"],
+    summary: "List all schedules with who is on duty",
+    responses: {
+      200: jsonResponse("Schedules", {
+        type: "object",
+        properties: {
+          schedules: {
+            type: "array",
+            items: {
+              allOf: [
+                ref("Schedule"),
+                {
+                  type: "object",
+                  properties: { currentPerson: { type: "string" } },
+                },
+              ],
+            },
+          },
+        },
+      }),
+    },
+  },
+  getSchedule: {
+    method: "get",
+    paths: ["/schedule", "/schedules/{slug}"],
+    tags: ["Schedules"],
+    summary: "Get a schedule with its current and next five rotations",
+    cached: true,
+    responses: {
+      200: jsonResponse("Schedule", {
+        allOf: [
+          ref("Schedule"),
+          {
+            type: "object",
+            properties: {
+              currentRotation: ref("CurrentRotation"),
+              upcomingRotations: { type: "array", items: ref("Rotation") },
+            },
+          },
+        ],
+      }),
+    },
+    errors: [404],
+  },
+  getCurrentRotation: {
+    method: "get",
+    paths: ["/current", "/schedules/{slug}/current"],
+    tags: ["Schedules"],
+    summary: "Get who is on duty now, or at a given moment",
+    cached: true,
+    query: {
+      at: { description: "Moment to ask about", schema: dateInput() },
+    },
+    responses: {
+      200: jsonResponse("Current rotation", {
+        type: "object",
+        properties: {
+          currentPerson: { type: "string" },
+          rotationNumber: { type: "integer" },
+          periodStart: dateTime,
+          periodEnd: dateTime,
+          isActive: { type: "boolean" },
+          isOverride: { type: "boolean" },
+          originalPerson: { type: "string" },
+          selection: { type: "object", additionalProperties: true },
+          timezone: { type: "string" },
+        },
+      }),
+    },
+    errors: [404],
+  },
+  listRotations: {
+    method: "get",
+    paths: ["/rotations", "/schedules/{slug}/rotations"],
+    tags: ["Schedules"],
+    summary: `List every rotation overlapping a range of up to ${limits.maxRotationRangeDays} days`,
+    query: {
+      from: { required: true, schema: dateInput() },
+      to: { required: true, schema: dateInput() },
+    },
+    responses: {
+      200: jsonResponse("Rotations", {
+        type: "object",
+        properties: {
+          from: dateTime,
+          to: dateTime,
+          rotations: { type: "array", items: ref("Rotation") },
+        },
+      }),
+    },
+    errors: [404],
+  },
+  createNamedSchedule: {
+    method: "post",
+    paths: ["/schedules"],
+    tags: ["Schedules"],
+    summary: "Create or replace the schedule with the slug in the body",
+    scopes: ["schedule:write"],
+    requestBody: jsonBody(ref("NamedScheduleCreate")),
+    responses: {
+      201: jsonResponse("Created", messageWith("schedule", ref("Schedule"))),
+    },
+  },
+  createSchedule: {
+    method: "post",
+    paths: ["/schedule", "/schedules/{slug}"],
+    tags: ["Schedules"],
+    summary:
+      "Create or replace a schedule; its overrides are removed with the old one",
+    scopes: ["schedule:write"],
+    requestBody: jsonBody(ref("ScheduleCreate")),
+    responses: {
+      201: jsonResponse("Created", messageWith("schedule", ref("Schedule"))),
+    },
+  },
+  updateSchedule: {
+    method: "put",
+    paths: ["/schedule", "/schedules/{slug}"],
+    tags: ["Schedules"],
+    summary: "Update the given fields of a schedule",
+    scopes: ["schedule:write"],
+    requestBody: jsonBody(ref("ScheduleUpdate")),
+    responses: {
+      200: jsonResponse("Updated", messageWith("schedule", ref("Schedule"))),
+    },
+    errors: [404],
+  },
+  deleteSchedule: {
+    method: "delete",
+    paths: ["/schedule", "/schedules/{slug}"],
+    tags: ["Schedules"],
+    summary: "Delete a schedule with its overrides, history and absences",
+    scopes: ["schedule:write"],
+    responses: {
+      200: jsonResponse("Deleted", ref("Message")),
+    },
+    errors: [404],
+  },
+  listOverrides: {
+    method: "get",
+    paths: ["/schedule/overrides", "/schedules/{slug}/overrides"],
+    tags: ["Overrides"],
+    summary: "List a schedule's overrides",
+    scopes: ["schedule:read"],
+    responses: {
+      200: jsonResponse("Overrides", {
+        type: "object",
+        properties: { overrides: { type: "array", items: ref("Override") } },
+      }),
+    },
+  },
+  createOverride: {
+    method: "post",
+    paths: ["/schedule/overrides", "/schedules/{slug}/overrides"],
+    tags: ["Overrides"],
+    summary:
+      "Assign a rotation or date range to someone, or swap two people's next turns",
+    description: "Member tokens may only swap their own turns.",
+    scopes: ["overrides:write", "member"],
+    requestBody: jsonBody(ref("OverrideInput")),
+    responses: {
+      201: jsonResponse("Created", messageWith("override", ref("Override"))),
+    },
+    errors: [404],
+  },
+  deleteOverride: {
+    method: "delete",
+    paths: ["/schedule/overrides/{id}", "/schedules/{slug}/overrides/{id}"],
+    tags: ["Overrides"],
+    summary: "Remove an override",
+    scopes: ["overrides:write"],
+    responses: {
+      200: jsonResponse("Deleted", ref("Message")),
+    },
+    errors: [404],
+  },
+  listAbsences: {
+    method: "get",
+    paths: [
+      "/people/{name}/absences",
+      "/schedules/{slug}/people/{name}/absences",
+    ],
+    tags: ["Absences"],
+    summary: "List a person's absences and the turns they owe",
+    description: "Member tokens may only read their own.",
+    scopes: ["schedule:read", "absences:write", "member"],
+    responses: {
+      200: jsonResponse("Absences", {
+        type: "object",
+        properties: {
+          person: { type: "string" },
+          absencePolicy: { type: "string", enum: limits.absencePolicies },
+          absences: { type: "array", items: ref("Absence") },
+          owedTurns: {
+            type: "array",
+            items: { type: "object", additionalProperties: true },
+          },
+        },
+      }),
+    },
+    errors: [404],
+  },
+  createAbsence: {
+    method: "post",
+    paths: [
+      "/people/{name}/absences",
+      "/schedules/{slug}/people/{name}/absences",
+    ],
+    tags: ["Absences"],
+    summary: "Record an absence",
+    description:
+      "An overlapping absence is answered with 409 absence_overlap, the existing absence in details.absence.",
+    scopes: ["absences:write"],
+    requestBody: jsonBody(ref("AbsenceInput")),
+    responses: {
+      201: jsonResponse("Created", messageWith("absence", ref("Absence"))),
+    },
+    errors: [404, 409],
+  },
+  deleteAbsence: {
+    method: "delete",
+    paths: [
+      "/people/{name}/absences/{id}",
+      "/schedules/{slug}/people/{name}/absences/{id}",
+    ],
+    tags: ["Absences"],
+    summary: "Remove an absence",
+    scopes: ["absences:write"],
+    responses: {
+      200: jsonResponse("Deleted", ref("Message")),
+    },
+    errors: [404],
+  },
+  completeRotation: {
+    method: "post",
+    paths: ["/current/complete", "/schedules/{slug}/current/complete"],
+    tags: ["History"],
+    summary: "Mark the current rotation done or skipped",
+    description: "Member tokens may only mark their own rotation done.",
+    scopes: ["history:write", "member"],
+    requestBody: jsonBody(ref("CompletionInput"), false),
+    responses: {
+      200: jsonResponse(
+        "Replaced the earlier entry",
+        messageWith("entry", ref("HistoryEntry"))
+      ),
+      201: jsonResponse("Recorded", messageWith("entry", ref("HistoryEntry"))),
+    },
+    errors: [404],
+  },
+  listHistory: {
+    method: "get",
+    paths: ["/history", "/schedules/{slug}/history"],
+    tags: ["History"],
+    summary: "Paginated rotation log, newest first, with per-person stats",
+    query: {
+      ...pageParameters,
+      from: { schema: dateInput() },
+      to: { schema: dateInput() },
+      person: { schema: { type: "string" } },
+    },
+    responses: {
+      200: jsonResponse("History", {
+        type: "object",
+        properties: {
+          history: { type: "array", items: ref("HistoryEntry") },
+          pagination: ref("Pagination"),
+          stats: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                person: { type: "string" },
+                done: { type: "integer" },
+                skipped: { type: "integer" },
+                total: { type: "integer" },
+                completionRate: { type: "number" },
+              },
+            },
+          },
+        },
+      }),
+    },
+  },
+  getTaskChecklist: {
+    method: "get",
+    paths: ["/current/tasks", "/schedules/{slug}/current/tasks"],
+    tags: ["Tasks"],
+    summary: "Checklist of the current rotation, or the one at a given moment",
+    cached: true,
+    query: {
+      at: { description: "Moment to ask about", schema: dateInput() },
+    },
+    responses: { 200: jsonResponse("Checklist", ref("Checklist")) },
+    errors: [404],
+  },
+  tickTask: {
+    method: "post",
+    paths: [
+      "/current/tasks/{taskId}",
+      "/schedules/{slug}/current/tasks/{taskId}",
+    ],
+    tags: ["Tasks"],
+    summary: "Tick a task off the current checklist",
+    description:
+      "Member tokens may only tick tasks of their own rotation. A task that needs no more ticks is answered with 409 task_done.",
+    scopes: ["history:write", "member"],
+    responses: {
+      201: jsonResponse("Ticked", {
+        allOf: [ref("Message"), ref("Checklist")],
+      }),
+    },
+    errors: [404, 409],
+  },
+  untickTask: {
+    method: "delete",
+    paths: [
+      "/current/tasks/{taskId}",
+      "/schedules/{slug}/current/tasks/{taskId}",
+    ],
+    tags: ["Tasks"],
+    summary: "Undo the latest tick of a task",
+    scopes: ["history:write", "member"],
+    responses: {
+      200: jsonResponse("Unticked", {
+        allOf: [ref("Message"), ref("Checklist")],
+      }),
+    },
+    errors: [404],
+  },
+  streamEvents: {
+    method: "get",
+    paths: ["/events"],
+    tags: ["Live updates"],
+    summary: "Server-sent stream of schedule changes",
+    description: `Event types: ${EVENT_TYPES.join(
+      ", "
+    )}. Clients that reconnect with Last-Event-ID get the events they missed.`,
+    headers: {
+      "Last-Event-ID": {
+        description: "Id of the last event received",
+        schema: { type: "string" },
+      },
+    },
+    responses: {
+      200: {
+        description: "Event stream",
+        content: { "text/event-stream": { schema: { type: "string" } } },
+      },
+    },
+  },
+  listChannels: {
+    method: "get",
+    paths: ["/notifications/channels"],
+    tags: ["Notifications"],
+    summary: "List notification channels",
+    scopes: ["notifications:write"],
+    responses: {
+      200: jsonResponse("Channels", {
+        type: "object",
+        properties: { channels: { type: "array", items: ref("Channel") } },
+      }),
+    },
+  },
+  createChannel: {
+    method: "post",
+    paths: ["/notifications/channels"],
+    tags: ["Notifications"],
+    summary: "Add a notification channel",
+    description:
+      "A channel with the same name is answered with 409 channel_exists.",
+    scopes: ["notifications:write"],
+    requestBody: jsonBody(ref("ChannelCreate")),
+    responses: {
+      201: jsonResponse("Created", messageWith("channel", ref("Channel"))),
+    },
+    errors: [409],
+  },
+  updateChannel: {
+    method: "put",
+    paths: ["/notifications/channels/{id}"],
+    tags: ["Notifications"],
+    summary: "Update the given fields of a notification channel",
+    scopes: ["notifications:write"],
+    requestBody: jsonBody(ref("ChannelUpdate")),
+    responses: {
+      200: jsonResponse("Updated", messageWith("channel", ref("Channel"))),
+    },
+    errors: [404],
+  },
+  deleteChannel: {
+    method: "delete",
+    paths: ["/notifications/channels/{id}"],
+    tags: ["Notifications"],
+    summary: "Remove a notification channel",
+    scopes: ["notifications:write"],
+    responses: {
+      200: jsonResponse("Deleted", ref("Message")),
+    },
+    errors: [404],
+  },
+  testChannel: {
+    method: "post",
+    paths: ["/notifications/channels/{id}/test"],
+    tags: ["Notifications"],
+    summary: "Send a test notification about the current rotation",
+    scopes: ["notifications:write"],
+    responses: {
+      200: jsonResponse("Sent", messageWith("delivery", ref("Delivery"))),
+      502: jsonResponse("Failed", messageWith("delivery", ref("Delivery"))),
+    },
+    errors: [404],
+  },
+  listDeliveries: {
+    method: "get",
+    paths: ["/notifications/deliveries"],
+    tags: ["Notifications"],
+    summary: "Paginated delivery log, newest first",
+    scopes: ["notifications:write"],
+    query: {
+      ...pageParameters,
+      channel: { description: "Channel id", schema: PATH_PARAMETERS.id.schema },
+      status: { schema: { type: "string", enum: DELIVERY_STATUSES } },
+    },
+    responses: {
+      200: jsonResponse("Deliveries", {
+        type: "object",
+        properties: {
+          deliveries: { type: "array", items: ref("Delivery") },
+          pagination: ref("Pagination"),
+        },
+      }),
+    },
+  },
+  listTokens: {
+    method: "get",
+    paths: ["/tokens"],
+    tags: ["Tokens"],
+    summary: "List API tokens",
+    scopes: ["tokens:admin"],
+    responses: {
+      200: jsonResponse("Tokens", {
+        type: "object",
+        properties: { tokens: { type: "array", items: ref("Token") } },
+      }),
+    },
+  },
+  createToken: {
+    method: "post",
+    paths: ["/tokens"],
+    tags: ["Tokens"],
+    summary: "Mint an API token; the token is only ever shown in this response",
+    scopes: ["tokens:admin"],
+    requestBody: jsonBody(ref("TokenCreate")),
+    responses: {
+      201: jsonResponse("Created", {
+        type: "object",
+        properties: {
+          message: { type: "string" },
+          token: { type: "string" },
+          details: ref("Token"),
+        },
+      }),
+    },
+  },
+  revokeToken: {
+    method: "delete",
+    paths: ["/tokens/{id}"],
+    tags: ["Tokens"],
+    summary: "Revoke an API token",
+    scopes: ["tokens:admin"],
+    responses: {
+      200: jsonResponse("Revoked", ref("Message")),
+    },
+    errors: [404],
+  },
+  listAuditEntries: {
+    method: "get",
+    paths: ["/audit"],
+    tags: ["Audit"],
+    summary: "Paginated log of schedule changes, newest first",
+    scopes: ["schedule:read"],
+    query: {
+      ...pageParameters,
+      slug: { schema: { type: "string" } },
+      action: { schema: { type: "string", enum: AUDIT_ACTIONS } },
+    },
+    responses: {
+      200: jsonResponse("Audit entries", {
+        type: "object",
+        properties: {
+          entries: { type: "array", items: ref("AuditEntry") },
+          pagination: ref("Pagination"),
+        },
+      }),
+    },
+  },
+  restoreAuditEntry: {
+    method: "post",
+    paths: ["/audit/{id}/restore"],
+    tags: ["Audit"],
+    summary: "Revert a schedule to the state before or after an audited change",
+    scopes: ["schedule:write"],
+    requestBody: jsonBody(ref("RestoreInput"), false),
+    responses: {
+      200: jsonResponse("Restored", messageWith("schedule", ref("Schedule"))),
+    },
+    errors: [404],
+  },
+  exportData: {
+    method: "get",
+    paths: ["/export", "/schedules/{slug}/export"],
+    tags: ["Backup"],
+    summary: "Back up schedules as JSON, or their history as CSV",
+    description:
+      "Notification channels, secrets included, are only exported for callers with notifications:write.",
+    scopes: ["schedule:read"],
+    query: {
+      format: {
+        schema: { type: "string", enum: ["json", "csv"], default: "json" },
+      },
+    },
+    responses: {
+      200: {
+        description: "Export file",
+        content: {
+          ...json(ref("ExportFile")),
+          "text/csv": { schema: { type: "string" } },
+        },
+      },
+    },
+    errors: [404],
+  },
+  importData: {
+    method: "post",
+    paths: ["/import"],
+    tags: ["Backup"],
+    summary: "Restore a JSON export, or history rows from CSV",
+    description:
+      "An invalid file is answered with 400 import_invalid and conflicts under onConflict=fail with 409 import_conflict; details holds the import report either way.",
+    scopes: ["schedule:write"],
+    query: {
+      dryRun: {
+        description: "Report what would change without writing anything",
+        schema: { type: "boolean", default: false },
+      },
+      onConflict: {
+        schema: {
+          type: "string",
+          enum: limits.importConflictModes,
+          default: "fail",
+        },
+      },
+    },
+    requestBody: {
+      required: true,
+      content: {
+        ...json(ref("ExportFile")),
+        "text/csv": { schema: { type: "string" } },
+      },
+    },
+    responses: { 200: jsonResponse("Import report", ref("ImportReport")) },
+    errors: [409],
+  },
+  listLocales: {
+    method: "get",
+    paths: ["/locales"],
+    tags: ["Info"],
+    summary: "List the languages / and /eink can be shown in",
+    responses: {
+      200: jsonResponse("Locales", {
+        type: "object",
+        properties: {
+          locales: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                code: { type: "string", enum: LOCALES },
+                name: { type: "string" },
+                englishName: { type: "string" },
+              },
+            },
+          },
+          default: { type: "string", enum: LOCALES },
+        },
+      }),
+    },
+  },
+  listEinkProfiles: {
+    method: "get",
+    paths: ["/eink/profiles"],
+    tags: ["Info"],
+    summary: "List the device profiles /eink can render",
+    responses: {
+      200: jsonResponse("Profiles", {
+        type: "object",
+        properties: {
+          profiles: {
+            type: "array",
+            items: { type: "object", additionalProperties: true },
+          },
+        },
+      }),
+    },
+  },
+  getHealth: {
+    method: "get",
+    paths: ["/health"],
+    tags: ["Info"],
+    summary: "Health check",
+    responses: {
+      200: jsonResponse("Healthy", {
+        type: "object",
+        properties: { status: { type: "string" }, timestamp: dateTime },
+      }),
+    },
+  },
+  getOpenApiDocument: {
+    method: "get",
+    paths: ["/openapi.json"],
+    tags: ["Info"],
+    summary: "This document",
+    responses: {
+      200: jsonResponse("OpenAPI document", {
+        type: "object",
+        additionalProperties: true,
+      }),
+    },
+  },
+  getApiDocs: {
+    method: "get",
+    paths: ["/docs"],
+    tags: ["Info"],
+    summary: "Browsable documentation of this API",
+    responses: {
+      200: {
+        description: "Documentation page",
+        content: { "text/html": { schema: { type: "string" } } },
+      },
+    },
+  },
+});
+
+// Helper function to list the path parameters a path template holds
+const getPathParameters = (path) =>
+  [...path.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+    name,
+    in: "path",
+    required: true,
+    ...PATH_PARAMETERS[name],
+  }));
+
+// Helper function to turn one operation into its OpenAPI form for a path
+const toOpenApiOperation = (operationId, operation, path) => {
+  const parameters = [
+    ...getPathParameters(path),
+    ...Object.entries(operation.query || {}).map(([name, parameter]) => ({
+      name,
+      in: "query",
+      required: Boolean(parameter.required),
+      ...parameter,
+    })),
+    ...Object.entries(operation.headers || {}).map(([name, parameter]) => ({
+      name,
+      in: "header",
+      ...parameter,
+    })),
+  ];
+
+  const errors = [
+    ...(parameters.length > 0 || operation.requestBody ? [400] : []),
+    ...(operation.scopes ? [401, 403] : []),
+    ...(operation.errors || []),
+    429,
+    500,
+  ];
+
+  return {
+    operationId,
+    tags: operation.tags,
+    summary: operation.summary,
+    description: [
+      operation.description,
+      operation.scopes &&
+        `Requires an API key, or a token with one of the scopes: ${operation.scopes.join(
+          ", "
+        )}.`,
+    ]
+      .filter(Boolean)
+      .join(" "),
+    ...(operation.scopes && {
+      security: [{ apiKey: [] }, { bearerToken: [] }],
+      "x-scopes": operation.scopes,
+    }),
+    ...(parameters.length > 0 && { parameters }),
+    ...(operation.requestBody && { requestBody: operation.requestBody }),
+    responses: {
+      ...operation.responses,
+      ...(operation.cached && {
+        304: { description: "Not modified since the ETag in If-None-Match" },
+      }),
+      ...Object.fromEntries(
+        errors.map((status) => [
+          status,
+          { $ref: `#/components/responses/${ERROR_RESPONSES[status].name}` },
+        ])
+      ),
+    },
+  };
+};
+
+// Helper function to read a query or path parameter as its schema's type
+// Values that do not convert are left as strings for the schema to reject
+const coerceParameter = (schema, value) => {
+  if (typeof value !== "string") {
+    return value;
+  }
+
+  if (
+    (schema.type === "integer" || schema.type === "number") &&
+    /^-?\d+(\.\d+)?$/.test(value)
+  ) {
+    return Number(value);
+  }
+
+  if (
+    schema.type === "boolean" &&
+    ["true", "1", "false", "0"].includes(value)
+  ) {
+    return value === "true" || value === "1";
+  }
+
+  return value;
+};
+
+// Builds the OpenAPI document and a validator for the operations it lists
+const createApiDescription = (limits) => {
+  const schemas = buildSchemas(limits);
+  const operations = buildOperations(limits);
+  const paths = {};
+
+  for (const [operationId, operation] of Object.entries(operations)) {
+    operation.paths.forEach((path, index) => {
+      paths[path] = {
+        ...paths[path],
+        [operation.method]: toOpenApiOperation(
+          index === 0 ? operationId : `${operationId}BySlug`,
+          operation,
+          path
+        ),
+      };
+    });
+  }
+
+  const document = {
+    openapi: "3.0.3",
+    info: {
+      title: "Cleaning Schedule API",
+      version: limits.version,
+      description:
+        "Manages house cleaning rotations. Errors are answered as { error: { code, message, details } }.",
+    },
+    servers: [{ url: "/api" }],
+    paths,
+    components: {
+      schemas,
+      responses: Object.fromEntries(
+        Object.values(ERROR_RESPONSES).map(({ name, description }) => [
+          name,
+          jsonResponse(description, ref("Error")),
+        ])
+      ),
+      securitySchemes: {
+        apiKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+        bearerToken: { type: "http", scheme: "bearer" },
+      },
+    },
+  };
+
+  // Checks a request's path and query parameters and its body against an
+  // operation. Returns the problems found as { in, path, message }
+  const validateRequest = (operationId, req) => {
+    const operation = operations[operationId];
+
+    if (!operation) {
+      throw new Error(`Unknown operation: ${operationId}`);
+    }
+
+    const issues = [];
+    const check = (location, schema, value, path) =>
+      issues.push(
+        ...validateSchema(schema, value, { schemas, path }).map((issue) => ({
+          in: location,
+          ...issue,
+        }))
+      );
+
+    for (const [name, value] of Object.entries(req.params)) {
+      // Aliases without a parameter leave it undefined
+      if (PATH_PARAMETERS[name] && value !== undefined) {
+        check("path", PATH_PARAMETERS[name].schema, value, name);
+      }
+    }
+
+    for (const [name, parameter] of Object.entries(operation.query || {})) {
+      const value = req.query[name];
+
+      if (value === undefined) {
+        if (parameter.required) {
+          issues.push({ in: "query", path: name, message: "is required" });
+        }
+      } else {
+        check(
+          "query",
+          parameter.schema,
+          coerceParameter(parameter.schema, value),
+          name
+        );
+      }
+    }
+
+    if (operation.requestBody) {
+      const { content } = operation.requestBody;
+      const type =
+        Object.keys(content).find(
+          (candidate) => candidate !== "application/json" && req.is(candidate)
+        ) || "application/json";
+
+      check("body", content[type].schema, req.body, "");
+    }
+
+    return issues;
+  };
+
+  return { document, validateRequest };
+};
+
+// Helper function to phrase a validation problem as a sentence
+const describeIssue = (issue) => {
+  if (issue.in === "body") {
+    return issue.path
+      ? `${issue.path} ${issue.message}`
+      : `Request body ${issue.message}`;
+  }
+
+  return `${issue.in === "path" ? "Path" : "Query"} parameter ${issue.path} ${
+    issue.message
+  }`;
+};
+
+module.exports = { createApiDescription, describeIssue };
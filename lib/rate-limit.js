@@ -0,0 +1,96 @@
+// Per-address request limits and API key lockouts
+// A limiter counts each client address's requests in fixed windows of
+// `windowMs`, allowing `max` per window. It also counts the invalid API keys
+// an address sends: `maxFailures` within `lockoutMs` lock it out of
+// authenticating for `lockoutMs`. Invalid keys stop counting only by growing
+// older than `lockoutMs`: a valid key in between does not clear them, or any
+// token holder could keep guessing the API key. A max or maxFailures of 0
+// turns that part off. Everything is kept in memory, so limits reset when the process
+// restarts. Times are milliseconds since the epoch, passed in by the caller.
+
+const createRateLimiter = ({ windowMs, max, lockoutMs, maxFailures }) => {
+  // address -> { start, count }
+  const windows = new Map();
+  // address -> { times, lockedUntil }, times being recent invalid keys
+  const failures = new Map();
+  let lastSweep = 0;
+
+  // Helper function to forget addresses that no longer limit anything
+  // Runs at most once a window, so addresses seen once do not pile up; a
+  // duration of 0 belongs to a part that is off and does not count
+  const sweepMs = Math.min(...[windowMs, lockoutMs].filter(Boolean));
+  const sweep = (now) => {
+    if (now - lastSweep < sweepMs) {
+      return;
+    }
+    lastSweep = now;
+
+    for (const [address, window] of windows) {
+      if (now - window.start >= windowMs) {
+        windows.delete(address);
+      }
+    }
+
+    for (const [address, entry] of failures) {
+      if (
+        entry.lockedUntil <= now &&
+        entry.times.every((time) => now - time >= lockoutMs)
+      ) {
+        failures.delete(address);
+      }
+    }
+  };
+
+  return {
+    // Counts a request; returns { allowed, limit, remaining, resetAt }
+    hit: (address, now) => {
+      sweep(now);
+
+      if (!max) {
+        return { allowed: true, limit: null, remaining: null, resetAt: null };
+      }
+
+      let window = windows.get(address);
+      if (!window || now - window.start >= windowMs) {
+        window = { start: now, count: 0 };
+        windows.set(address, window);
+      }
+      window.count += 1;
+
+      return {
+        allowed: window.count <= max,
+        limit: max,
+        remaining: Math.max(max - window.count, 0),
+        resetAt: window.start + windowMs,
+      };
+    },
+
+    // Returns when the address's lockout ends, or null if it has none
+    lockedUntil: (address, now) => {
+      const entry = failures.get(address);
+      return entry && entry.lockedUntil > now ? entry.lockedUntil : null;
+    },
+
+    // Counts an invalid key; returns when the lockout it started ends, or
+    // null if it did not start one
+    recordFailure: (address, now) => {
+      if (!maxFailures) {
+        return null;
+      }
+
+      const entry = failures.get(address) || { times: [], lockedUntil: 0 };
+      entry.times = entry.times.filter((time) => now - time < lockoutMs);
+      entry.times.push(now);
+
+      if (entry.times.length >= maxFailures) {
+        entry.times = [];
+        entry.lockedUntil = now + lockoutMs;
+      }
+      failures.set(address, entry);
+
+      return entry.lockedUntil > now ? entry.lockedUntil : null;
+    },
+  };
+};
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,77 @@
+const fs = require("fs");
+const path = require("path");
+const { createMemoryStorage } = require("./memory");
+
+// JSON file storage
+// Keeps every record in memory and rewrites one JSON file after each write,
+// so a small household deployment needs no database server. Writes go to a
+// temporary file first and are renamed over the old one, so a crash never
+// leaves a half-written file behind.
+
+const createFileStorage = ({ path: filePath }) => {
+  let pending = Promise.resolve();
+  let dirty = false;
+  let ready = false;
+
+  // Helper function to write the current records, one write at a time
+  const persist = () => {
+    dirty = true;
+
+    // A failed write must not stop later ones
+    pending = pending
+      .catch(() => {})
+      .then(async () => {
+        if (!dirty) {
+          return;
+        }
+
+        dirty = false;
+        const temporaryPath = `${filePath}.${process.pid}.tmp`;
+
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(
+          temporaryPath,
+          JSON.stringify(storage.dump(), null, 2)
+        );
+        await fs.promises.rename(temporaryPath, filePath);
+      });
+
+    pending.catch((error) =>
+      console.error(`Could not write ${filePath}:`, error)
+    );
+  };
+
+  const storage = createMemoryStorage({
+    onChange: () => {
+      if (ready) {
+        persist();
+      }
+    },
+  });
+
+  return {
+    ...storage,
+    type: "file",
+
+    // A missing file starts an empty store; it is created on the first write
+    connect: async () => {
+      try {
+        storage.load(JSON.parse(await fs.promises.readFile(filePath, "utf8")));
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          throw new Error(`Could not read ${filePath}: ${error.message}`);
+        }
+      }
+
+      ready = true;
+    },
+
+    // Waits for the last write so nothing is lost on shutdown
+    disconnect: async () => {
+      ready = false;
+      await pending.catch(() => {});
+    },
+  };
+};
+
+module.exports = { createFileStorage };
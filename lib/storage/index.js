@@ -0,0 +1,53 @@
+const path = require("path");
+const { createMongoStorage } = require("./mongo");
+const { createFileStorage } = require("./file");
+const { createMemoryStorage } = require("./memory");
+
+// Storage backends
+// A storage has connect() and disconnect(), plus one collection per entry of
+// COLLECTIONS in ./models (schedules, overrides, history, absences,
+// taskCompletions, notificationChannels, notificationDeliveries, apiTokens,
+// auditEntries). Every collection offers the same async methods:
+//
+//   find(filter, { sort, skip, limit })  -> records
+//   findOne(filter, { sort })            -> record or null
+//   findById(id)                         -> record or null
+//   count(filter)                        -> number
+//   insert(fields)                       -> the stored record
+//   insertMany(list)                     -> the stored records
+//   update(id, fields)                   -> the updated record or null;
+//                                           undefined values unset a field
+//   deleteOne(filter), deleteMany(filter) -> number deleted
+//
+// Records are plain objects whose string id is in `id`; changing one does not
+// change what is stored. Filters are Mongo-style objects limited to equality,
+// $in, $ne, $lt, $lte, $gt and $gte, with `id` in place of `_id`; sorts are
+// { field: 1 | -1 } objects.
+
+const STORAGE_TYPES = ["mongo", "file", "memory"];
+
+const DEFAULT_MONGODB_URI = "mongodb://localhost:27017/cleaning-schedule";
+const DEFAULT_STORAGE_FILE = path.join("data", "cleaning-schedule.json");
+
+// Helper function to create the storage named by the options or, failing
+// that, by the STORAGE, MONGODB_URI and STORAGE_FILE environment settings
+const createStorage = ({
+  type = process.env.STORAGE || "mongo",
+  uri = process.env.MONGODB_URI || DEFAULT_MONGODB_URI,
+  file = process.env.STORAGE_FILE || DEFAULT_STORAGE_FILE,
+} = {}) => {
+  switch (type) {
+    case "mongo":
+      return createMongoStorage({ uri });
+    case "file":
+      return createFileStorage({ path: file });
+    case "memory":
+      return createMemoryStorage();
+    default:
+      throw new Error(
+        `STORAGE must be one of: ${STORAGE_TYPES.join(", ")} (got "${type}")`
+      );
+  }
+};
+
+module.exports = { createStorage, STORAGE_TYPES };
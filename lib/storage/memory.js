@@ -0,0 +1,221 @@
+const mongoose = require("mongoose");
+const { COLLECTIONS, createModels, toRecord } = require("./models");
+const { matchesFilter, sortRecords, cloneRecord } = require("./query");
+
+// In-memory storage
+// Records live in arrays per collection and are lost when the process ends,
+// which suits tests and trying the API out. Records are built through the
+// Mongo schemas (without a database connection) so defaults, casting and
+// validation match the Mongo backend, and unique indexes are enforced.
+
+// Helper function to list the unique indexes of a schema as field lists
+const getUniqueIndexes = (schema) =>
+  schema
+    .indexes()
+    .filter(([, options]) => options && options.unique)
+    .map(([fields, options]) => ({
+      fields: Object.keys(fields),
+      sparse: Boolean(options.sparse),
+    }));
+
+// Helper function to build an error shaped like Mongo's duplicate key error
+const duplicateKeyError = (collection, fields) =>
+  Object.assign(
+    new Error(
+      `E11000 duplicate key error collection: ${collection} index: ${fields.join(
+        "_"
+      )}`
+    ),
+    { code: 11000 }
+  );
+
+// onChange, when given, is called after every write with no arguments
+const createMemoryStorage = ({ onChange } = {}) => {
+  // Compiled on an unopened connection: documents are only built, never saved
+  const models = createModels(mongoose.createConnection());
+  const data = {};
+
+  // Helper function to cast and validate fields into a stored record
+  const buildRecord = (name, fields) => {
+    const document = new models[name](fields);
+    const error = document.validateSync();
+
+    if (error) {
+      throw error;
+    }
+
+    return toRecord(document);
+  };
+
+  // Helper function to reject a record that repeats a unique key
+  const checkUnique = (name, record, records) => {
+    for (const { fields, sparse } of getUniqueIndexes(
+      COLLECTIONS[name].schema
+    )) {
+      const key = Object.fromEntries(
+        fields.map((field) => [field, record[field] ?? null])
+      );
+
+      if (sparse && Object.values(key).every((value) => value === null)) {
+        continue;
+      }
+
+      if (
+        records.some(
+          (other) => other.id !== record.id && matchesFilter(other, key)
+        )
+      ) {
+        throw duplicateKeyError(name, fields);
+      }
+    }
+  };
+
+  const changed = () => {
+    if (onChange) {
+      onChange();
+    }
+  };
+
+  const createCollection = (name) => {
+    data[name] = [];
+
+    const select = (filter, { sort, skip, limit } = {}) => {
+      let records = sortRecords(
+        data[name].filter((record) => matchesFilter(record, filter)),
+        sort
+      );
+
+      if (skip) {
+        records = records.slice(skip);
+      }
+      if (limit) {
+        records = records.slice(0, limit);
+      }
+
+      return records;
+    };
+
+    const collection = {
+      find: async (filter, options) => select(filter, options).map(cloneRecord),
+
+      findOne: async (filter, options) => {
+        const [record] = select(filter, { ...options, limit: 1 });
+        return record ? cloneRecord(record) : null;
+      },
+
+      findById: (id) => collection.findOne({ id: String(id) }),
+
+      count: async (filter) => select(filter).length,
+
+      insert: async (fields) => {
+        const record = buildRecord(name, fields);
+        checkUnique(name, record, data[name]);
+        data[name].push(record);
+        changed();
+        return cloneRecord(record);
+      },
+
+      // Checks every record before storing any, so a failure stores nothing
+      insertMany: async (list) => {
+        const records = [];
+
+        for (const fields of list) {
+          const record = buildRecord(name, fields);
+          checkUnique(name, record, [...data[name], ...records]);
+          records.push(record);
+        }
+
+        data[name].push(...records);
+        if (records.length > 0) {
+          changed();
+        }
+        return records.map(cloneRecord);
+      },
+
+      update: async (id, fields) => {
+        const index = data[name].findIndex((record) => record.id === id);
+
+        if (index === -1) {
+          return null;
+        }
+
+        const merged = { ...data[name][index], ...fields };
+        delete merged.id;
+
+        for (const [key, value] of Object.entries(merged)) {
+          if (value === undefined) {
+            delete merged[key];
+          }
+        }
+
+        const record = buildRecord(name, { ...merged, _id: id });
+        checkUnique(name, record, data[name]);
+        data[name][index] = record;
+        changed();
+        return cloneRecord(record);
+      },
+
+      deleteOne: async (filter) => {
+        const index = data[name].findIndex((record) =>
+          matchesFilter(record, filter)
+        );
+
+        if (index === -1) {
+          return 0;
+        }
+
+        data[name].splice(index, 1);
+        changed();
+        return 1;
+      },
+
+      deleteMany: async (filter) => {
+        const kept = data[name].filter(
+          (record) => !matchesFilter(record, filter)
+        );
+        const deleted = data[name].length - kept.length;
+
+        data[name] = kept;
+        if (deleted > 0) {
+          changed();
+        }
+        return deleted;
+      },
+    };
+
+    return collection;
+  };
+
+  const storage = {
+    type: "memory",
+    connect: async () => {},
+    disconnect: async () => {},
+
+    // Helper function to copy every collection, e.g. to write it to a file
+    dump: () =>
+      Object.fromEntries(
+        Object.keys(COLLECTIONS).map((name) => [
+          name,
+          data[name].map(cloneRecord),
+        ])
+      ),
+
+    // Helper function to replace every collection with dumped records
+    // Values are cast again, so dates read back from JSON become Dates
+    load: (dump) => {
+      for (const name of Object.keys(COLLECTIONS)) {
+        data[name] = ((dump && dump[name]) || []).map(({ id, ...fields }) =>
+          buildRecord(name, { ...fields, _id: id })
+        );
+      }
+    },
+  };
+
+  for (const name of Object.keys(COLLECTIONS)) {
+    storage[name] = createCollection(name);
+  }
+
+  return storage;
+};
+
+module.exports = { createMemoryStorage };
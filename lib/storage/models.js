@@ -0,0 +1,481 @@
+const mongoose = require("mongoose");
+const { CHANNEL_TYPES } = require("../notification-channels");
+
+// Record schemas
+// Every storage backend stores the same records: Mongo through these schemas
+// directly, the memory and file backends by building documents from them so
+// defaults, casting and validation behave the same everywhere.
+
+// Schedule Schema
+const scheduleSchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    unique: true,
+    sparse: true,
+  },
+  name: {
+    type: String,
+    trim: true,
+  },
+  people: [
+    {
+      type: String,
+      required: true,
+    },
+  ],
+  startDate: {
+    type: Date,
+    required: true,
+  },
+  rotation: {
+    unit: {
+      type: String,
+      enum: ["day", "week", "month"],
+      default: "week",
+    },
+    // Number of units per period, e.g. 2 for a two-week rotation
+    length: {
+      type: Number,
+      min: 1,
+      default: 2,
+    },
+    // Day of month monthly periods start on (capped at 28 for February)
+    dayOfMonth: {
+      type: Number,
+      min: 1,
+      max: 28,
+      default: 1,
+    },
+  },
+  // Rosters in effect over time; each applies from its 0-based rotation index
+  // (rotationNumber - 1) until the next one, starting with people[offset]
+  rosterHistory: [
+    {
+      _id: false,
+      fromIndex: {
+        type: Number,
+        required: true,
+      },
+      people: [String],
+      offset: {
+        type: Number,
+        default: 0,
+      },
+    },
+  ],
+  // 0 = Sunday ... 6 = Saturday, as returned by getUTCDay()
+  weekStartDay: {
+    type: Number,
+    min: 0,
+    max: 6,
+    default: 1,
+  },
+  // IANA timezone whose midnight periods start at; DEFAULT_TIMEZONE if unset
+  timezone: String,
+  // Name of the EINK_PROFILES entry /eink renders when ?profile is not given
+  einkProfile: String,
+  // Language of / and /eink when the request names none; see lib/i18n.js
+  locale: String,
+  // How each rotation's person is picked; see ROTATION_STRATEGIES in server.js
+  strategy: {
+    type: String,
+    enum: ["round-robin", "weighted", "fair-balance"],
+    default: "round-robin",
+  },
+  // What happens to a turn that falls on someone's absence; see
+  // ABSENCE_POLICIES in server.js
+  absencePolicy: {
+    type: String,
+    enum: ["pass", "defer"],
+    default: "pass",
+  },
+  // Relative share of turns for weighted and fair-balance; unlisted people
+  // have weight 1. Stored as a list because names may contain dots.
+  weights: [
+    {
+      _id: false,
+      person: String,
+      weight: Number,
+    },
+  ],
+  // Chores for whoever has the rotation; a task with perWeek is due that many
+  // times a week, otherwise once per rotation. Ticks refer to the id.
+  tasks: [
+    {
+      _id: false,
+      id: String,
+      title: String,
+      perWeek: Number,
+    },
+  ],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Override Schema - reassigns single rotations without touching `people`
+// "assign" hands a rotation number or date range to `person`; "swap" exchanges
+// the turns `rotationNumber` (person's) and `swapRotationNumber` (swapWith's)
+const overrideSchema = new mongoose.Schema({
+  scheduleSlug: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  type: {
+    type: String,
+    enum: ["assign", "swap"],
+    default: "assign",
+  },
+  person: {
+    type: String,
+    required: true,
+  },
+  rotationNumber: Number,
+  startDate: Date,
+  endDate: Date,
+  swapWith: String,
+  swapRotationNumber: Number,
+  reason: {
+    type: String,
+    trim: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const HISTORY_STATUSES = ["done", "skipped"];
+
+// Rotation Log Schema - who actually cleaned, one entry per marked rotation
+const rotationLogSchema = new mongoose.Schema({
+  scheduleSlug: {
+    type: String,
+    required: true,
+  },
+  rotationNumber: {
+    type: Number,
+    required: true,
+  },
+  person: {
+    type: String,
+    required: true,
+  },
+  periodStart: {
+    type: Date,
+    required: true,
+  },
+  periodEnd: {
+    type: Date,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: HISTORY_STATUSES,
+    required: true,
+  },
+  note: {
+    type: String,
+    trim: true,
+  },
+  completedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Rotation numbers restart when a schedule is replaced, so the period start
+// is part of what identifies a rotation
+rotationLogSchema.index(
+  { scheduleSlug: 1, rotationNumber: 1, periodStart: 1 },
+  { unique: true }
+);
+
+// Absence Schema - a person is away and should not be given rotations
+const absenceSchema = new mongoose.Schema({
+  scheduleSlug: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  person: {
+    type: String,
+    required: true,
+  },
+  // Inclusive calendar dates, read like the schedule's startDate: the UTC
+  // date is the local date in the schedule's timezone
+  startDate: {
+    type: Date,
+    required: true,
+  },
+  endDate: {
+    type: Date,
+    required: true,
+  },
+  reason: {
+    type: String,
+    trim: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Task Completion Schema - one entry per tick of a task in a rotation
+const taskCompletionSchema = new mongoose.Schema({
+  scheduleSlug: {
+    type: String,
+    required: true,
+  },
+  rotationNumber: {
+    type: Number,
+    required: true,
+  },
+  // As in the rotation log, the period start tells replaced schedules apart
+  periodStart: {
+    type: Date,
+    required: true,
+  },
+  taskId: {
+    type: String,
+    required: true,
+  },
+  // Person or token name that ticked the task
+  completedBy: String,
+  completedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+taskCompletionSchema.index({
+  scheduleSlug: 1,
+  rotationNumber: 1,
+  periodStart: 1,
+});
+
+const NOTIFICATION_EVENTS = [
+  "rotation.started",
+  "reminder.upcoming",
+  "reminder.last-day",
+];
+const DELIVERY_STATUSES = ["pending", "sent", "failed"];
+
+// Notification Channel Schema - where and when to send notifications
+const notificationChannelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true,
+  },
+  type: {
+    type: String,
+    enum: CHANNEL_TYPES,
+    required: true,
+  },
+  // Type-specific settings, e.g. { url, secret } for webhooks
+  config: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+  // Limit the channel to one schedule and/or one person (all when unset)
+  scheduleSlug: String,
+  person: String,
+  events: {
+    type: [{ type: String, enum: NOTIFICATION_EVENTS }],
+    default: NOTIFICATION_EVENTS,
+  },
+  // Days before a turn starts to send reminder.upcoming
+  daysBefore: {
+    type: [Number],
+    default: [2],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Notification Delivery Schema - one entry per notification and channel
+// The unique key makes sends idempotent across scheduler runs and restarts
+const notificationDeliverySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  channelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true,
+  },
+  channelName: String,
+  event: {
+    type: String,
+    required: true,
+  },
+  scheduleSlug: String,
+  rotationNumber: Number,
+  person: String,
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: "pending",
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  error: String,
+  sentAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// What an API token may do; the API_KEY from the environment may do all of it
+// "member" tokens belong to one person and may only mark their own rotation
+// done or swap one of their own turns
+const TOKEN_SCOPES = [
+  "schedule:read",
+  "schedule:write",
+  "overrides:write",
+  "history:write",
+  "absences:write",
+  "notifications:write",
+  "tokens:admin",
+  "member",
+];
+
+// API Token Schema - only a SHA-256 hash of each token is stored
+const apiTokenSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // First characters of the token, to tell tokens apart in listings
+  prefix: {
+    type: String,
+    required: true,
+  },
+  scopes: {
+    type: [{ type: String, enum: TOKEN_SCOPES }],
+    required: true,
+  },
+  // Person a member token acts as
+  person: String,
+  expiresAt: Date,
+  lastUsedAt: Date,
+  revokedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const AUDIT_ACTIONS = ["create", "update", "delete", "restore", "import"];
+
+// Audit Entry Schema - one entry per change to a schedule definition
+// `before` and `after` are full snapshots (null when the schedule did not
+// exist), so any entry can be restored
+const auditEntrySchema = new mongoose.Schema({
+  scheduleSlug: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true,
+  },
+  actor: {
+    type: { type: String },
+    name: String,
+    tokenId: mongoose.Schema.Types.ObjectId,
+  },
+  ip: String,
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  diff: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Helper function to turn a document into a plain record with a string id
+// Empty objects are kept, so a channel's config is {} rather than missing
+const toRecord = (document) => {
+  const { _id, __v, ...fields } = document.toObject({ minimize: false });
+  return { id: String(_id), ...fields };
+};
+
+// Model name of each collection, as the Mongo backend names them
+const COLLECTIONS = {
+  schedules: { model: "Schedule", schema: scheduleSchema },
+  overrides: { model: "Override", schema: overrideSchema },
+  history: { model: "RotationLog", schema: rotationLogSchema },
+  absences: { model: "Absence", schema: absenceSchema },
+  taskCompletions: { model: "TaskCompletion", schema: taskCompletionSchema },
+  notificationChannels: {
+    model: "NotificationChannel",
+    schema: notificationChannelSchema,
+  },
+  notificationDeliveries: {
+    model: "NotificationDelivery",
+    schema: notificationDeliverySchema,
+  },
+  apiTokens: { model: "ApiToken", schema: apiTokenSchema },
+  auditEntries: { model: "AuditEntry", schema: auditEntrySchema },
+};
+
+// Helper function to compile every collection's model on a connection
+// Returns { [collection]: Model }
+const createModels = (connection) =>
+  Object.fromEntries(
+    Object.entries(COLLECTIONS).map(([name, { model, schema }]) => [
+      name,
+      connection.model(model, schema),
+    ])
+  );
+
+module.exports = {
+  COLLECTIONS,
+  createModels,
+  toRecord,
+  HISTORY_STATUSES,
+  NOTIFICATION_EVENTS,
+  DELIVERY_STATUSES,
+  TOKEN_SCOPES,
+  AUDIT_ACTIONS,
+};
@@ -0,0 +1,117 @@
+const mongoose = require("mongoose");
+const { COLLECTIONS, createModels, toRecord } = require("./models");
+
+// MongoDB storage through Mongoose
+// Each storage opens its own connection, so several apps (or tests) can use
+// different databases in one process.
+
+// Helper function to translate a storage filter to a Mongo query
+// Returns null when the filter names an id Mongo could never hold
+const toMongoFilter = (filter = {}) => {
+  if (!("id" in filter)) {
+    return filter;
+  }
+
+  const { id, ...rest } = filter;
+
+  if (typeof id !== "object" && !mongoose.isValidObjectId(id)) {
+    return null;
+  }
+
+  return { ...rest, _id: id };
+};
+
+const createMongoCollection = (Model) => {
+  const collection = {
+    find: async (filter, { sort, skip, limit } = {}) => {
+      const query = toMongoFilter(filter);
+
+      if (!query) {
+        return [];
+      }
+
+      let cursor = Model.find(query);
+      if (sort) {
+        cursor = cursor.sort(sort);
+      }
+      if (skip) {
+        cursor = cursor.skip(skip);
+      }
+      if (limit) {
+        cursor = cursor.limit(limit);
+      }
+
+      return (await cursor).map(toRecord);
+    },
+
+    findOne: async (filter, { sort } = {}) => {
+      const query = toMongoFilter(filter);
+      const document = query
+        ? await Model.findOne(query).sort(sort || {})
+        : null;
+
+      return document ? toRecord(document) : null;
+    },
+
+    findById: (id) => collection.findOne({ id: String(id) }),
+
+    count: async (filter) => {
+      const query = toMongoFilter(filter);
+      return query ? Model.countDocuments(query) : 0;
+    },
+
+    insert: async (fields) => toRecord(await new Model(fields).save()),
+
+    insertMany: async (list) =>
+      list.length > 0 ? (await Model.insertMany(list)).map(toRecord) : [],
+
+    // Undefined values unset the field
+    update: async (id, fields) => {
+      const document = mongoose.isValidObjectId(id)
+        ? await Model.findById(id)
+        : null;
+
+      if (!document) {
+        return null;
+      }
+
+      document.set(fields);
+      return toRecord(await document.save());
+    },
+
+    deleteOne: async (filter) => {
+      const query = toMongoFilter(filter);
+      return query ? (await Model.deleteOne(query)).deletedCount : 0;
+    },
+
+    deleteMany: async (filter) => {
+      const query = toMongoFilter(filter);
+      return query ? (await Model.deleteMany(query)).deletedCount : 0;
+    },
+  };
+
+  return collection;
+};
+
+const createMongoStorage = ({ uri }) => {
+  const connection = mongoose.createConnection();
+  const models = createModels(connection);
+
+  const storage = {
+    type: "mongo",
+    connect: async () => {
+      await connection.openUri(uri);
+    },
+    disconnect: async () => {
+      await connection.close();
+    },
+  };
+
+  for (const name of Object.keys(COLLECTIONS)) {
+    storage[name] = createMongoCollection(models[name]);
+  }
+
+  return storage;
+};
+
+module.exports = { createMongoStorage };
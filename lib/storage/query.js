@@ -0,0 +1,133 @@
+// Filter and sort evaluation for the backends that keep records in memory
+// Understands the subset of Mongo query syntax server.js uses: equality
+// (null also matches a missing field), $in, $ne, $lt, $lte, $gt and $gte.
+
+const OPERATORS = {
+  $in: (value, operand) => operand.some((item) => equals(value, item)),
+  $ne: (value, operand) => !equals(value, operand),
+  $lt: (value, operand) => value !== null && compare(value, operand) < 0,
+  $lte: (value, operand) => value !== null && compare(value, operand) <= 0,
+  $gt: (value, operand) => value !== null && compare(value, operand) > 0,
+  $gte: (value, operand) => value !== null && compare(value, operand) >= 0,
+};
+
+// Helper function to reduce Dates and ObjectIds to comparable primitives
+const normalize = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (typeof value === "object" && typeof value.toHexString === "function") {
+    return value.toHexString();
+  }
+
+  return value;
+};
+
+const equals = (a, b) => normalize(a) === normalize(b);
+
+// Helper function to order two values, with missing values first
+const compare = (a, b) => {
+  const left = normalize(a);
+  const right = normalize(b);
+
+  if (left === right) {
+    return 0;
+  }
+  if (left === null) {
+    return -1;
+  }
+  if (right === null) {
+    return 1;
+  }
+
+  return left < right ? -1 : 1;
+};
+
+// Helper function to read a dotted path such as "actor.name"
+const getPath = (record, path) =>
+  path
+    .split(".")
+    .reduce(
+      (value, key) =>
+        value === undefined || value === null ? undefined : value[key],
+      record
+    );
+
+// Helper function to test one field condition; an array field matches when
+// any of its elements does
+const matchesCondition = (value, condition) => {
+  if (Array.isArray(value)) {
+    return value.some((item) => matchesCondition(item, condition));
+  }
+
+  const isOperatorObject =
+    condition !== null &&
+    typeof condition === "object" &&
+    !(condition instanceof Date) &&
+    Object.keys(condition).some((key) => key.startsWith("$"));
+
+  if (!isOperatorObject) {
+    return equals(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    if (!OPERATORS[operator]) {
+      throw new Error(`Unsupported query operator ${operator}`);
+    }
+
+    return OPERATORS[operator](normalize(value), operand);
+  });
+};
+
+// Helper function to test a record against a filter object
+const matchesFilter = (record, filter = {}) =>
+  Object.entries(filter).every(([path, condition]) =>
+    matchesCondition(getPath(record, path), condition)
+  );
+
+// Helper function to sort records by a { field: 1 | -1 } object
+// Records that compare equal keep their insertion order
+const sortRecords = (records, sort) => {
+  const keys = Object.entries(sort || {});
+
+  if (keys.length === 0) {
+    return records;
+  }
+
+  return [...records].sort((a, b) => {
+    for (const [path, direction] of keys) {
+      const order = compare(getPath(a, path), getPath(b, path));
+      if (order !== 0) {
+        return direction < 0 ? -order : order;
+      }
+    }
+
+    return 0;
+  });
+};
+
+// Helper function to deep-copy a record so callers cannot change the store
+const cloneRecord = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(cloneRecord);
+  }
+  if (value instanceof Date) {
+    return new Date(value);
+  }
+  if (
+    value === null ||
+    typeof value !== "object" ||
+    typeof value.toHexString === "function"
+  ) {
+    return value;
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, cloneRecord(item)])
+  );
+};
+
+module.exports = { matchesFilter, sortRecords, cloneRecord, getPath };
@@ -1,347 +1,5659 @@
+const crypto = require("crypto");
 const express = require("express");
-const mongoose = require("mongoose");
 const cors = require("cors");
-const sharp = require("sharp");
 require("dotenv").config();
+const {
+  channels: notificationChannels,
+  CHANNEL_TYPES,
+} = require("./lib/notification-channels");
+const {
+  EINK_PROFILES,
+  resolveEinkOptions,
+  renderEinkSvg,
+  renderEinkImage,
+} = require("./lib/eink");
+const {
+  resolveCalendarOptions,
+  getCalendarMonths,
+  getMonthDays,
+  renderCalendarHtml,
+  renderCalendar,
+  closeCalendarBrowser,
+} = require("./lib/calendar");
+const { escapeHtml } = require("./lib/escape");
+const { formatCsv, parseCsv } = require("./lib/csv");
+const {
+  LOCALES,
+  isLocale,
+  getDefaultLocale,
+  translate,
+  formatDate,
+  formatDateRange,
+  listLocales,
+} = require("./lib/i18n");
+const { EVENT_TYPES, createEventStream, formatEvent } = require("./lib/events");
+const { createApiDescription, describeIssue } = require("./lib/openapi");
+const { createRateLimiter } = require("./lib/rate-limit");
+const { createStorage } = require("./lib/storage");
+const {
+  HISTORY_STATUSES,
+  NOTIFICATION_EVENTS,
+  TOKEN_SCOPES,
+} = require("./lib/storage/models");
 
-const app = express();
 const apiRouter = express.Router();
+const pageRouter = express.Router();
 const PORT = process.env.PORT || 3000;
 
-// Middleware
-app.use(cors());
-app.use(express.json());
+// Slug of the schedule served by the legacy single-schedule routes
+const DEFAULT_SCHEDULE_SLUG = process.env.DEFAULT_SCHEDULE_SLUG || "default";
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,62}[a-z0-9])?$/;
+// Slugs that would shadow top-level routes when served at /:slug
+const RESERVED_SLUGS = ["api", "eink", "health", "schedule", "schedules"];
 
-// MongoDB connection
-mongoose.connect(
-  process.env.MONGODB_URI || "mongodb://localhost:27017/cleaning-schedule",
-  {
-    useNewUrlParser: true,
-    useUnifiedTopology: true,
+// Schedules created before slugs existed have none and belong to the default
+const scheduleQuery = (slug) =>
+  slug === DEFAULT_SCHEDULE_SLUG ? { slug: { $in: [slug, null] } } : { slug };
+
+// Record ids are 24 hex digits in every storage backend
+const isRecordId = (id) => typeof id === "string" && /^[0-9a-f]{24}$/i.test(id);
+
+// Helper function to drop the id from a record, e.g. to store it again
+const withoutId = ({ id, ...fields }) => fields;
+
+// Helper function to load the newest schedule for a slug
+const findSchedule = (storage, slug) =>
+  storage.schedules.findOne(scheduleQuery(slug), { sort: { createdAt: -1 } });
+
+// Helper function to load a schedule's overrides in the order they apply
+const findOverrides = (storage, slug) =>
+  storage.overrides.find({ scheduleSlug: slug }, { sort: { createdAt: 1 } });
+
+// Helper function to load the history entry recorded for a rotation, if any
+const findHistoryEntry = (storage, slug, rotation) =>
+  storage.history.findOne({
+    scheduleSlug: slug,
+    rotationNumber: rotation.rotationNumber,
+    periodStart: rotation.periodStart,
+  });
+
+// Helper function to load what the rotation math reads besides the schedule
+// itself, as of `at`; completion history only matters to fair-balance schedules
+const findRotationContext = async (storage, slug, schedule, at) => ({
+  at,
+  overrides: await findOverrides(storage, slug),
+  absences: await storage.absences.find(
+    { scheduleSlug: slug },
+    { sort: { startDate: 1 } }
+  ),
+  history:
+    schedule.strategy === "fair-balance"
+      ? await storage.history.find(
+          { scheduleSlug: slug },
+          { sort: { rotationNumber: 1 } }
+        )
+      : [],
+});
+
+// Rendered e-ink images, keyed by slug and render options, each stored with
+// the content version it was rendered for. Writes drop a schedule's entries;
+// a rotation boundary changes the version, so older renders simply miss.
+// Each storage has its own cache, so apps sharing a process never mix them.
+const RENDER_CACHE_SIZE = 50;
+const renderCaches = new WeakMap();
+
+// Helper function to get the render cache of a storage
+const getRenderCache = (storage) => {
+  if (!renderCaches.has(storage)) {
+    renderCaches.set(storage, new Map());
   }
-);
 
-// Schedule Schema
-const scheduleSchema = new mongoose.Schema({
-  people: [
-    {
-      type: String,
-      required: true,
+  return renderCaches.get(storage);
+};
+
+// Helper function to forget a schedule's cached renders
+const invalidateRenderCache = (storage, slug) => {
+  const renderCache = getRenderCache(storage);
+
+  for (const key of renderCache.keys()) {
+    if (key.startsWith(`${slug}|`)) {
+      renderCache.delete(key);
+    }
+  }
+};
+
+// Helper function to store a render, evicting the oldest beyond the limit
+const cacheRender = (storage, key, version, buffer) => {
+  const renderCache = getRenderCache(storage);
+
+  renderCache.delete(key);
+  renderCache.set(key, { version, buffer });
+
+  if (renderCache.size > RENDER_CACHE_SIZE) {
+    renderCache.delete(renderCache.keys().next().value);
+  }
+};
+
+// Helper function to mark a schedule changed by data stored outside it
+// (overrides, history, absences, task ticks) so its content version moves on
+const touchSchedule = async (storage, slug) => {
+  const schedule = await findSchedule(storage, slug);
+
+  if (schedule) {
+    await storage.schedules.update(schedule.id, { updatedAt: new Date() });
+  }
+  invalidateRenderCache(storage, slug);
+};
+
+// Helper function to tell GET /api/events listeners about a write
+// Every event names the schedule it concerns; data adds the details
+const publishEvent = (req, type, slug, data = {}) =>
+  req.app.locals.events.publish(type, { slug, ...data });
+
+// Helper function to identify what a schedule's views show for a rotation
+// Changes whenever the schedule is written or the rotation moves on
+const getContentVersion = (schedule, rotation) => {
+  const updatedAt = new Date(schedule.updatedAt || schedule.createdAt || 0);
+  const periodStart = new Date(rotation.periodStart);
+
+  // The content last changed at the later of the last write and the start
+  // of the rotation shown, but never in the future
+  const lastModified = new Date(
+    Math.min(Math.max(updatedAt.getTime(), periodStart.getTime()), Date.now())
+  );
+
+  return {
+    key: `${updatedAt.getTime()}-${rotation.rotationNumber}`,
+    lastModified,
+  };
+};
+
+// Helper function to set ETag/Last-Modified and answer conditional GETs
+// The ETag covers the content version, the request URL and the
+// Content-Language already set, so each query variant (?profile=, ?at=, ...)
+// and language validates separately. Returns true when a 304 was sent and
+// the handler should stop.
+const sendNotModified = (req, res, version) => {
+  const etag = crypto
+    .createHash("sha1")
+    .update(
+      `${version.key}|${req.originalUrl}|${res.get("Content-Language") || ""}`
+    )
+    .digest("base64url");
+
+  res.set("ETag", `"${etag}"`);
+  res.set("Last-Modified", version.lastModified.toUTCString());
+  // Let clients keep a copy but revalidate it on every request
+  res.set("Cache-Control", "no-cache");
+
+  if (req.fresh) {
+    res.status(304).end();
+    return true;
+  }
+
+  return false;
+};
+
+// Error codes by status; handlers pass their own where clients may want to
+// tell errors with the same status apart (e.g. absence_overlap)
+const ERROR_CODES = {
+  400: "validation_failed",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  409: "conflict",
+  413: "payload_too_large",
+  429: "rate_limited",
+  500: "internal_error",
+};
+
+// Helper function to answer with an error in the shape every route uses:
+// { error: { code, message, details } }, details being null or an object
+const sendError = (res, status, message, { code, details = null } = {}) =>
+  res.status(status).json({
+    error: { code: code || ERROR_CODES[status] || "error", message, details },
+  });
+
+// Helper function to answer 429 saying when to try again, in Retry-After
+// and in details.retryAfter (both in seconds)
+const sendRetryLater = (res, message, code, retryAfter) => {
+  res.set("Retry-After", String(retryAfter));
+  return sendError(res, 429, `${message}, try again in ${retryAfter} seconds`, {
+    code,
+    details: { retryAfter },
+  });
+};
+
+// Helper function to set the security headers of an HTML page
+// The page may run only the inline `scripts` given, which are allowed by
+// their hash, and load only from its own origin plus the origins `sources`
+// adds by directive (e.g. { "script-src": ["https://cdn.example"] })
+const setPageSecurityHeaders = (res, { scripts = [], sources = {} } = {}) => {
+  const directives = {
+    "default-src": ["'none'"],
+    "script-src": [
+      ...scripts.map(
+        (script) =>
+          `'sha256-${crypto
+            .createHash("sha256")
+            .update(script)
+            .digest("base64")}'`
+      ),
+      ...(sources["script-src"] || []),
+    ],
+    "style-src": ["'unsafe-inline'", ...(sources["style-src"] || [])],
+    "img-src": ["'self'", "data:"],
+    "connect-src": ["'self'", ...(sources["connect-src"] || [])],
+    "base-uri": ["'none'"],
+    "form-action": ["'none'"],
+    "frame-ancestors": ["'none'"],
+  };
+
+  res.set(
+    "Content-Security-Policy",
+    Object.entries(directives)
+      .map(
+        ([name, values]) =>
+          `${name} ${values.length > 0 ? values.join(" ") : "'none'"}`
+      )
+      .join("; ")
+  );
+  res.set("X-Frame-Options", "DENY");
+  res.set("Referrer-Policy", "same-origin");
+};
+
+// Helper function to read the app's clock; tests pass createApp a fixed one
+const getNow = (req) => req.app.locals.clock();
+
+// Routes without a :slug param operate on the default schedule
+const getSlug = (req) =>
+  (req.params.slug || DEFAULT_SCHEDULE_SLUG).toLowerCase();
+
+// Helper function to find the preferred locale among those the
+// Accept-Language header names; a bare "*", which fetch() sends by default,
+// states no preference. Returns null when nothing matches.
+const negotiateLocale = (req) => {
+  const header = req.get("Accept-Language");
+
+  if (!header) {
+    return null;
+  }
+
+  const named = LOCALES.filter((code) =>
+    new RegExp(`(^|,)\\s*${code}(-|\\s*(;|,|$))`, "i").test(header)
+  );
+
+  return (named.length > 0 && req.acceptsLanguages(...named)) || null;
+};
+
+// Helper function to pick the language of a page or image: ?lang=, then the
+// Accept-Language header, then the schedule's locale, then DEFAULT_LOCALE
+// Sets Content-Language and Vary to match. Returns { error } or { locale }
+const resolveLocale = (req, res, schedule) => {
+  const { lang } = req.query;
+  let locale;
+
+  if (lang !== undefined) {
+    if (!isLocale(lang)) {
+      return { error: `Lang must be one of: ${LOCALES.join(", ")}` };
+    }
+    locale = lang;
+  } else {
+    locale =
+      negotiateLocale(req) ||
+      (schedule && schedule.locale) ||
+      getDefaultLocale();
+  }
+
+  res.vary("Accept-Language");
+  res.set("Content-Language", locale);
+  return { locale };
+};
+
+// Helper function to turn stored weights into a { person: weight } object
+const serializeWeights = (schedule) =>
+  Object.fromEntries(
+    (schedule.weights || []).map(({ person, weight }) => [person, weight])
+  );
+
+// Helper function to turn stored tasks into plain { id, title, perWeek }
+const serializeTasks = (schedule) =>
+  (schedule.tasks || []).map(({ id, title, perWeek }) => ({
+    id,
+    title,
+    perWeek: perWeek ?? null,
+  }));
+
+// Helper function to shape a schedule document for JSON responses
+const serializeSchedule = (schedule) => {
+  const { unit, length, dayOfMonth, weekStartDay, timeZone } =
+    getCadence(schedule);
+
+  return {
+    slug: schedule.slug || DEFAULT_SCHEDULE_SLUG,
+    name: schedule.name,
+    people: schedule.people,
+    startDate: schedule.startDate,
+    rosterHistory: getRosterHistory(schedule).map(
+      ({ fromIndex, people, offset }) => ({
+        fromRotationNumber: fromIndex + 1,
+        people,
+        offset,
+      })
+    ),
+    rotation: { unit, length, dayOfMonth },
+    weekStartDay,
+    timezone: timeZone,
+    einkProfile: schedule.einkProfile || null,
+    locale: schedule.locale || null,
+    strategy: schedule.strategy || DEFAULT_STRATEGY,
+    weights: serializeWeights(schedule),
+    absencePolicy: schedule.absencePolicy || DEFAULT_ABSENCE_POLICY,
+    tasks: serializeTasks(schedule),
+    createdAt: schedule.createdAt,
+    updatedAt: schedule.updatedAt,
+  };
+};
+
+// Helper function to capture everything needed to restore a schedule later
+const snapshotSchedule = (schedule) => {
+  if (!schedule) {
+    return null;
+  }
+
+  const { unit, length, dayOfMonth, weekStartDay, timeZone } =
+    getCadence(schedule);
+
+  return {
+    name: schedule.name,
+    people: [...schedule.people],
+    startDate: new Date(schedule.startDate),
+    rotation: { unit, length, dayOfMonth },
+    weekStartDay,
+    timezone: timeZone,
+    einkProfile: schedule.einkProfile || null,
+    locale: schedule.locale || null,
+    strategy: schedule.strategy || DEFAULT_STRATEGY,
+    weights: serializeWeights(schedule),
+    absencePolicy: schedule.absencePolicy || DEFAULT_ABSENCE_POLICY,
+    tasks: serializeTasks(schedule),
+    rosterHistory: getRosterHistory(schedule).map((segment) => ({
+      fromIndex: segment.fromIndex,
+      people: [...segment.people],
+      offset: segment.offset,
+    })),
+  };
+};
+
+// Helper function to list the fields that differ between two snapshots
+// People changes also list who was added and removed
+const diffSnapshots = (before, after) => {
+  const diff = {};
+  const empty = {};
+
+  for (const field of [
+    "name",
+    "people",
+    "startDate",
+    "rotation",
+    "weekStartDay",
+    "timezone",
+    "einkProfile",
+    "locale",
+    "strategy",
+    "weights",
+    "absencePolicy",
+    "tasks",
+  ]) {
+    const from = (before || empty)[field];
+    const to = (after || empty)[field];
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      diff[field] = { before: from ?? null, after: to ?? null };
+    }
+  }
+
+  if (diff.people) {
+    const from = diff.people.before || [];
+    const to = diff.people.after || [];
+    diff.people.added = to.filter((person) => !from.includes(person));
+    diff.people.removed = from.filter((person) => !to.includes(person));
+  }
+
+  return diff;
+};
+
+// Helper function to record who changed a schedule, from where, and how
+const recordAudit = (req, action, slug, before, after) =>
+  req.app.locals.storage.auditEntries.insert({
+    scheduleSlug: slug,
+    action,
+    actor: req.auth && {
+      type: req.auth.type,
+      name: req.auth.name,
+      tokenId: req.auth.tokenId,
     },
-  ],
-  startDate: {
-    type: Date,
-    required: true,
-  },
-  createdAt: {
-    type: Date,
-    default: Date.now,
-  },
-  updatedAt: {
-    type: Date,
-    default: Date.now,
-  },
-});
+    ip: req.ip,
+    before,
+    after,
+    diff: diffSnapshots(before, after),
+  });
+
+const isValidSlug = (slug) =>
+  typeof slug === "string" &&
+  SLUG_PATTERN.test(slug) &&
+  !RESERVED_SLUGS.includes(slug);
+
+// Helper function to hash an API token for storage and lookup
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
 
-const Schedule = mongoose.model("Schedule", scheduleSchema);
+// Helper function to compare a key with a secret in constant time
+// Both are hashed first, so neither their contents nor their lengths show
+// in how long the comparison takes
+const matchesSecret = (key, secret) =>
+  crypto.timingSafeEqual(
+    Buffer.from(hashToken(key), "hex"),
+    Buffer.from(hashToken(secret), "hex")
+  );
+
+// Helper function to resolve the caller behind an API key or token
+// Returns null when the key is neither the API_KEY nor an active token
+const authenticate = async (storage, apiKey) => {
+  if (process.env.API_KEY && matchesSecret(apiKey, process.env.API_KEY)) {
+    return { type: "api-key", name: "API_KEY", scopes: TOKEN_SCOPES };
+  }
 
-// API Key middleware for protected routes
-const requireApiKey = (req, res, next) => {
-  const apiKey = req.header("X-API-Key");
+  const token = await storage.apiTokens.findOne({
+    tokenHash: hashToken(apiKey),
+  });
 
-  if (!apiKey) {
-    return res.status(401).json({ error: "API key required" });
+  if (
+    !token ||
+    token.revokedAt ||
+    (token.expiresAt && token.expiresAt <= new Date())
+  ) {
+    return null;
   }
 
-  if (apiKey !== process.env.API_KEY) {
-    return res.status(403).json({ error: "Invalid API key" });
+  // Bookkeeping only, so a failed write must not fail the request
+  storage.apiTokens
+    .update(token.id, { lastUsedAt: new Date() })
+    .catch((error) => console.error("Could not update token usage:", error));
+
+  return {
+    type: "token",
+    tokenId: token.id,
+    name: token.name,
+    scopes: token.scopes,
+    person: token.person,
+  };
+};
+
+// Helper function to check whether a caller holds a scope
+const hasScope = (auth, scope) => Boolean(auth) && auth.scopes.includes(scope);
+
+// Middleware for protected routes: accepts the API_KEY or an API token with
+// any of the given scopes in X-API-Key (or Authorization: Bearer), and sets
+// req.auth to the caller. Addresses that send too many invalid keys are
+// locked out for a while (see readSecuritySettings).
+const requireScope =
+  (...scopes) =>
+  async (req, res, next) => {
+    try {
+      const { rateLimiter } = req.app.locals;
+      const now = getNow(req).getTime();
+      const lockedUntil = rateLimiter.lockedUntil(req.ip, now);
+
+      if (lockedUntil) {
+        return sendRetryLater(
+          res,
+          "Too many invalid API keys",
+          "locked_out",
+          Math.ceil((lockedUntil - now) / 1000)
+        );
+      }
+
+      const authorization = req.header("Authorization") || "";
+      const apiKey =
+        req.header("X-API-Key") ||
+        (authorization.startsWith("Bearer ") ? authorization.slice(7) : "");
+
+      if (!apiKey) {
+        return sendError(res, 401, "API key required");
+      }
+
+      const auth = await authenticate(req.app.locals.storage, apiKey);
+
+      if (!auth) {
+        rateLimiter.recordFailure(req.ip, now);
+        return sendError(res, 403, "Invalid API key");
+      }
+
+      if (!scopes.some((scope) => hasScope(auth, scope))) {
+        return sendError(
+          res,
+          403,
+          `Token lacks the required scope: ${scopes.join(" or ")}`
+        );
+      }
+
+      req.auth = auth;
+      next();
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  };
+
+// Middleware to check a request's parameters and body against its operation
+// in the OpenAPI document (GET /api/openapi.json) before the handler runs
+// Answers 400 validation_failed listing every problem in details.issues
+const validate = (operationId) => (req, res, next) => {
+  const issues = apiDescription.validateRequest(operationId, req);
+
+  if (issues.length > 0) {
+    return sendError(res, 400, describeIssue(issues[0]), {
+      code: "validation_failed",
+      details: { issues },
+    });
   }
 
   next();
 };
 
-// Helper function to get Monday of a given date (in UTC)
-const getMondayOfWeek = (date) => {
+// Rotation cadence defaults: two-week periods starting on Monday
+const ROTATION_UNITS = ["day", "week", "month"];
+const DEFAULT_ROTATION = { unit: "week", length: 2, dayOfMonth: 1 };
+const DEFAULT_WEEK_START_DAY = 1;
+const ROTATION_STRATEGIES = ["round-robin", "weighted", "fair-balance"];
+const DEFAULT_STRATEGY = "round-robin";
+// "pass" hands an absent person's turn to the next person, who is paid back
+// with the absent person's next turn; "defer" moves it to the first rotation
+// they are back for, everyone in between moving up one
+const ABSENCE_POLICIES = ["pass", "defer"];
+const DEFAULT_ABSENCE_POLICY = "pass";
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || "Europe/Prague";
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Calendar math below works on "calendar dates": Dates at UTC midnight that
+// stand for a local date in the schedule's timezone. Periods are computed on
+// calendar dates and only turned into real instants (local midnight) at the
+// end, which keeps day counting exact across DST changes.
+
+const zonedFormatters = {};
+
+// Helper function to check whether a string is an IANA timezone Intl knows
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== "string" || !timeZone) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// A mistyped DEFAULT_TIMEZONE would only show once a schedule without its own
+// timezone is read, so refuse to start instead
+if (!isValidTimeZone(DEFAULT_TIMEZONE)) {
+  throw new Error(
+    `DEFAULT_TIMEZONE must be an IANA timezone (got "${DEFAULT_TIMEZONE}")`
+  );
+}
+
+// Helper function to get the wall-clock fields of an instant in a timezone
+const getZonedParts = (date, timeZone) => {
+  if (!zonedFormatters[timeZone]) {
+    zonedFormatters[timeZone] = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    });
+  }
+
+  const parts = {};
+  for (const { type, value } of zonedFormatters[timeZone].formatToParts(date)) {
+    if (type !== "literal") {
+      parts[type] = parseInt(value, 10);
+    }
+  }
+
+  return parts;
+};
+
+// Helper function to get how far a timezone is ahead of UTC at an instant
+const getTimeZoneOffset = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(
+    date,
+    timeZone
+  );
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Helper function to get the local date of an instant as a calendar date
+const toCalendarDate = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+// Helper function to get the instant a calendar date begins in a timezone
+// Where DST skips midnight, the day begins at the first valid local time
+const getLocalMidnight = (calendarDate, timeZone) => {
+  const wallClock = calendarDate.getTime();
+  let instant = wallClock - getTimeZoneOffset(calendarDate, timeZone);
+
+  // The offset at the guess may differ from the one at local midnight
+  instant = wallClock - getTimeZoneOffset(new Date(instant), timeZone);
+
+  if (toCalendarDate(new Date(instant), timeZone) < calendarDate) {
+    instant += 60 * 60 * 1000;
+  }
+
+  return new Date(instant);
+};
+
+// Helper function to get the first day of the week containing a calendar date
+// weekStartDay follows getUTCDay(): 0 = Sunday, 1 = Monday, ... 6 = Saturday
+const getStartOfWeek = (date, weekStartDay = DEFAULT_WEEK_START_DAY) => {
   const d = new Date(date);
   // Force UTC calculation
-  const day = d.getUTCDay();
-  const diff = d.getUTCDate() - day + (day === 0 ? -6 : 1); // Adjust when day is Sunday
-  const monday = new Date(
-    Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), diff, 0, 0, 0, 0)
+  const offset = (d.getUTCDay() - weekStartDay + 7) % 7;
+  return new Date(
+    Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - offset)
   );
-  return monday;
 };
 
-// Helper function to add days to a date (in UTC)
+// Helper function to add days to a date (calendar days for calendar dates)
 const addDays = (date, days) => {
   const result = new Date(date);
   result.setUTCDate(result.getUTCDate() + days);
   return result;
 };
 
-// Helper function to calculate current rotation
-const getCurrentRotation = (startDate, people) => {
-  const now = new Date();
+// Helper function to fill in cadence settings missing on older schedules
+const getCadence = (schedule) => {
+  const rotation =
+    schedule.rotation && schedule.rotation.unit
+      ? schedule.rotation
+      : DEFAULT_ROTATION;
+
+  return {
+    unit: rotation.unit,
+    length: rotation.length || DEFAULT_ROTATION.length,
+    dayOfMonth: rotation.dayOfMonth || DEFAULT_ROTATION.dayOfMonth,
+    weekStartDay:
+      schedule.weekStartDay === undefined || schedule.weekStartDay === null
+        ? DEFAULT_WEEK_START_DAY
+        : schedule.weekStartDay,
+    timeZone: schedule.timezone || DEFAULT_TIMEZONE,
+  };
+};
+
+// Helper function to get the calendar date the first rotation period starts on
+// The start date is a date, not an instant: its UTC date is taken as is, so
+// "2024-03-18" means March 18 in every timezone
+const getRotationAnchor = (startDate, cadence) => {
   const start = new Date(startDate);
 
-  // Find Monday of the week containing start date
-  const startMonday = getMondayOfWeek(start);
+  if (cadence.unit === "week") {
+    return getStartOfWeek(start, cadence.weekStartDay);
+  }
+
+  if (cadence.unit === "month") {
+    // Latest occurrence of dayOfMonth on or before the start date
+    const monthOffset = start.getUTCDate() < cadence.dayOfMonth ? -1 : 0;
+    return new Date(
+      Date.UTC(
+        start.getUTCFullYear(),
+        start.getUTCMonth() + monthOffset,
+        cadence.dayOfMonth
+      )
+    );
+  }
+
+  return new Date(
+    Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate())
+  );
+};
+
+// Helper function to get the calendar date the nth period (0-based) starts on
+const getPeriodStart = (anchor, cadence, index) => {
+  if (cadence.unit === "month") {
+    return new Date(
+      Date.UTC(
+        anchor.getUTCFullYear(),
+        anchor.getUTCMonth() + index * cadence.length,
+        cadence.dayOfMonth
+      )
+    );
+  }
+
+  const unitDays = cadence.unit === "week" ? 7 : 1;
+  return addDays(anchor, index * cadence.length * unitDays);
+};
+
+// Helper function to get the 0-based index of the period containing an instant
+const getPeriodIndex = (anchor, cadence, instant) => {
+  const date = toCalendarDate(instant, cadence.timeZone);
+
+  if (cadence.unit === "month") {
+    const monthsSinceStart =
+      (date.getUTCFullYear() - anchor.getUTCFullYear()) * 12 +
+      (date.getUTCMonth() - anchor.getUTCMonth()) -
+      (date.getUTCDate() < cadence.dayOfMonth ? 1 : 0);
+    return Math.floor(monthsSinceStart / cadence.length);
+  }
+
+  const unitDays = cadence.unit === "week" ? 7 : 1;
+  const daysSinceStart = Math.floor((date - anchor) / MS_PER_DAY);
+  return Math.floor(daysSinceStart / (cadence.length * unitDays));
+};
 
-  // Calculate how many days have passed since start Monday
-  const daysSinceStart = Math.floor(
-    (now - startMonday) / (1000 * 60 * 60 * 24)
+// Helper function to get the start and end instants of the nth period
+// Periods start at local midnight in the schedule's timezone
+const getPeriod = (anchor, cadence, index) => {
+  const periodStart = getLocalMidnight(
+    getPeriodStart(anchor, cadence, index),
+    cadence.timeZone
   );
+  // Each period ends one millisecond before the next one starts
+  const periodEnd = new Date(
+    getLocalMidnight(
+      getPeriodStart(anchor, cadence, index + 1),
+      cadence.timeZone
+    ).getTime() - 1
+  );
+
+  return { periodStart, periodEnd };
+};
+
+// Helper function to get a schedule's roster segments, oldest first
+// Schedules created before roster history existed have a single implicit one
+const getRosterHistory = (schedule) =>
+  schedule.rosterHistory && schedule.rosterHistory.length > 0
+    ? schedule.rosterHistory
+    : [{ fromIndex: 0, people: schedule.people, offset: 0 }];
+
+// Helper function to get the roster segment in effect for a rotation index
+const getRosterSegment = (schedule, index) => {
+  const segments = getRosterHistory(schedule);
+  let segment = segments[0];
+
+  for (const candidate of segments) {
+    if (candidate.fromIndex <= index) {
+      segment = candidate;
+    }
+  }
 
-  // Each rotation is 14 days (2 weeks)
-  const rotationNumber = Math.floor(daysSinceStart / 14);
-  const personIndex = rotationNumber % people.length;
+  return segment;
+};
+
+// Helper function to get a 0-based rotation index's place in roster order
+// Returns { person, position, count } using the roster in effect at the time
+const getRosterPosition = (schedule, index) => {
+  const segment = getRosterSegment(schedule, index);
+  const count = segment.people.length;
+  // Keep the index positive for rotations before the schedule starts
+  const position =
+    (((index - segment.fromIndex + segment.offset) % count) + count) % count;
+
+  return { person: segment.people[position], position, count };
+};
 
-  // Calculate this rotation's start and end dates
-  const rotationStart = addDays(startMonday, rotationNumber * 14);
-  const rotationEnd = addDays(rotationStart, 13); // 14 days total (0-13)
-  rotationEnd.setUTCHours(23, 59, 59, 999);
+// Helper function to get who is next in roster order for a 0-based rotation
+// index, ignoring the schedule's strategy and overrides
+const getScheduledPerson = (schedule, index) =>
+  getRosterPosition(schedule, index).person;
+
+// Weights are compared in hundredths so strategies never round
+const WEIGHT_SCALE = 100;
+
+// Helper function to map each person to their weight in hundredths
+const getWeights = (schedule) => {
+  const weights = new Map();
+
+  for (const { person, weight } of schedule.weights || []) {
+    weights.set(person, Math.round(weight * WEIGHT_SCALE));
+  }
 
   return {
-    currentPerson: people[personIndex],
-    currentPersonIndex: personIndex,
-    rotationNumber: rotationNumber + 1,
-    periodStart: rotationStart,
-    periodEnd: rotationEnd,
-    weeksSinceStart: Math.floor(daysSinceStart / 7),
-    daysSinceStart,
-    isActive: now >= rotationStart && now <= rotationEnd,
+    of: (person) => weights.get(person) || WEIGHT_SCALE,
   };
 };
 
-// Helper function to get upcoming rotations
-const getUpcomingRotations = (startDate, people, count = 5) => {
-  const start = new Date(startDate);
-  const now = new Date();
-  const startMonday = getMondayOfWeek(start);
+// Helper function to list a segment's people starting at its offset, the
+// order strategies break ties in
+const getTieOrder = (segment) => [
+  ...segment.people.slice(segment.offset),
+  ...segment.people.slice(0, segment.offset),
+];
 
-  // Calculate current rotation number
-  const daysSinceStart = Math.floor(
-    (now - startMonday) / (1000 * 60 * 60 * 24)
-  );
-  const currentRotationNumber = Math.floor(daysSinceStart / 14);
+// Strategies pick the person for each rotation from index 0 on, in order.
+// Each keeps running state between rotations; picks depend only on the
+// schedule and, for fair-balance, history recorded for earlier rotations,
+// so the same inputs always give the same sequence.
+const strategies = {
+  // Smooth weighted round-robin: each rotation everyone gains their weight,
+  // the person with the most accumulated is picked and pays back the total
+  weighted: {
+    start: () => ({ current: new Map() }),
+    enterSegment: (state, segment) => {
+      state.current = new Map(segment.people.map((person) => [person, 0]));
+    },
+    pick: (state, { order, weights }) => {
+      let total = 0;
+      let best = null;
 
-  const rotations = [];
+      for (const person of order) {
+        const weight = weights.of(person);
+        total += weight;
+        state.current.set(person, state.current.get(person) + weight);
+        if (
+          best === null ||
+          state.current.get(person) > state.current.get(best)
+        ) {
+          best = person;
+        }
+      }
 
-  // Start from the NEXT rotation (currentRotationNumber + 1)
-  for (let i = 1; i <= count; i++) {
-    const rotationNumber = currentRotationNumber + i;
-    const personIndex = rotationNumber % people.length;
+      state.current.set(best, state.current.get(best) - total);
+
+      return {
+        person: best,
+        reason: "weighted-share",
+        detail: `Weight ${weights.of(best) / WEIGHT_SCALE} of ${
+          total / WEIGHT_SCALE
+        } in total; furthest behind their share of turns`,
+      };
+    },
+    record: () => {},
+  },
+
+  // Whoever has served the fewest turns relative to their weight goes next.
+  // Rotations without a history entry count as served by the person picked;
+  // a skipped rotation counts for nobody, so the skipper is picked next.
+  "fair-balance": {
+    start: () => ({ turns: new Map(), lastServed: new Map(), owed: new Map() }),
+    enterSegment: (state, segment, weights) => {
+      // Newcomers start level with the least-served continuing person
+      // instead of being picked until they catch up
+      const continuing = segment.people.filter((person) =>
+        state.turns.has(person)
+      );
+      let least = null;
+      for (const person of continuing) {
+        if (
+          least === null ||
+          state.turns.get(person) * weights.of(least) <
+            state.turns.get(least) * weights.of(person)
+        ) {
+          least = person;
+        }
+      }
+
+      for (const person of segment.people) {
+        if (!state.turns.has(person)) {
+          state.turns.set(
+            person,
+            least === null
+              ? 0
+              : Math.floor(
+                  (state.turns.get(least) * weights.of(person)) /
+                    weights.of(least)
+                )
+          );
+        }
+      }
+    },
+    pick: (state, { order, weights }) => {
+      // Compare turns / weight without dividing
+      const compare = (a, b) =>
+        state.turns.get(a) * weights.of(b) -
+          state.turns.get(b) * weights.of(a) ||
+        (state.lastServed.has(a) ? state.lastServed.get(a) : -1) -
+          (state.lastServed.has(b) ? state.lastServed.get(b) : -1);
+
+      let best = order[0];
+      for (const person of order.slice(1)) {
+        if (compare(person, best) < 0) {
+          best = person;
+        }
+      }
+
+      if (state.owed.has(best)) {
+        return {
+          person: best,
+          reason: "make-up",
+          detail: `Skipped rotation ${state.owed.get(
+            best
+          )}, so takes the next turn`,
+        };
+      }
+
+      const turns = state.turns.get(best);
+      const tied = order.some(
+        (person) =>
+          person !== best &&
+          turns * weights.of(person) ===
+            state.turns.get(person) * weights.of(best)
+      );
+
+      return {
+        person: best,
+        reason: "fewest-turns",
+        detail: `Fewest turns for their weight (${turns} at weight ${
+          weights.of(best) / WEIGHT_SCALE
+        })${tied ? "; waited longest since their last turn" : ""}`,
+      };
+    },
+    record: (state, index, person, entry) => {
+      if (entry && entry.status === "skipped") {
+        state.owed.set(entry.person, index + 1);
+        return;
+      }
+
+      const servedBy = entry ? entry.person : person;
+      state.owed.delete(servedBy);
+      state.turns.set(servedBy, (state.turns.get(servedBy) || 0) + 1);
+      state.lastServed.set(servedBy, index);
+    },
+  },
+};
+
+// Picks already computed per schedule document and history list, so a
+// request that builds many rotations simulates each index once
+const strategyRuns = new WeakMap();
+const NO_HISTORY = [];
+
+// Helper function to pick the person for a 0-based rotation index with the
+// schedule's strategy, before overrides
+// Returns { person, selection: { strategy, reason, detail } }
+const getStrategyPick = (schedule, index, history = NO_HISTORY) => {
+  const strategy = schedule.strategy || DEFAULT_STRATEGY;
+
+  if (strategy === "round-robin" || !strategies[strategy] || index < 0) {
+    const { person, position, count } = getRosterPosition(schedule, index);
+
+    return {
+      person,
+      selection: {
+        strategy,
+        reason: index < 0 ? "before-start" : "roster-order",
+        detail:
+          index < 0
+            ? "The schedule has not started yet; shown in roster order"
+            : `Position ${position + 1} of ${count} in roster order`,
+      },
+    };
+  }
+
+  const cadence = getCadence(schedule);
+  const signature = JSON.stringify([
+    strategy,
+    schedule.weights,
+    getRosterHistory(schedule),
+    schedule.startDate,
+    cadence,
+  ]);
+
+  let runs = strategyRuns.get(schedule);
+  if (!runs) {
+    runs = new WeakMap();
+    strategyRuns.set(schedule, runs);
+  }
+
+  let run = runs.get(history);
+  if (!run || run.signature !== signature) {
+    const entries = new Map();
+    for (const entry of history) {
+      entries.set(entry.rotationNumber, entry);
+    }
+
+    run = {
+      signature,
+      picks: [],
+      state: strategies[strategy].start(),
+      entries,
+      anchor: getRotationAnchor(schedule.startDate, cadence),
+      weights: getWeights(schedule),
+      segment: null,
+      order: [],
+    };
+    runs.set(history, run);
+  }
+
+  const { picks, state, weights } = run;
+  const implementation = strategies[strategy];
+
+  while (picks.length <= index) {
+    const next = picks.length;
+    const segment = getRosterSegment(schedule, next);
+
+    if (segment !== run.segment) {
+      run.segment = segment;
+      run.order = getTieOrder(segment);
+      implementation.enterSegment(state, segment, weights);
+    }
+
+    const { person, reason, detail } = implementation.pick(state, {
+      order: run.order,
+      weights,
+    });
+    picks.push({ person, selection: { strategy, reason, detail } });
+
+    // History only counts if it was recorded for this very period; a
+    // cadence change renumbers rotations
+    let entry = run.entries.get(next + 1) || null;
+    if (
+      entry &&
+      new Date(entry.periodStart).getTime() !==
+        getPeriod(run.anchor, cadence, next).periodStart.getTime()
+    ) {
+      entry = null;
+    }
+    implementation.record(state, next, person, entry);
+  }
+
+  return picks[index];
+};
+
+// Helper function to change the roster from the next rotation boundary on
+// Past rotations and the current person stay as they were, and the new roster
+// continues after the current person (or whoever was due next, if they left)
+const applyRosterChange = (schedule, people, now = new Date()) => {
+  const cadence = getCadence(schedule);
+  const anchor = getRotationAnchor(schedule.startDate, cadence);
+  const currentIndex = getPeriodIndex(anchor, cadence, now);
+  const fromIndex = currentIndex + 1;
+
+  // Nothing has been served yet, so the new roster can apply from the start
+  if (fromIndex <= 0) {
+    schedule.rosterHistory = [{ fromIndex: 0, people, offset: 0 }];
+    schedule.people = people;
+    return;
+  }
+
+  // Earlier edits made during the current rotation are superseded
+  const segments = getRosterHistory(schedule)
+    .filter((segment) => segment.fromIndex < fromIndex)
+    .map((segment) => ({
+      fromIndex: segment.fromIndex,
+      people: [...segment.people],
+      offset: segment.offset,
+    }));
+  const previous = { people: schedule.people, rosterHistory: segments };
+  const currentPerson = getScheduledPerson(previous, currentIndex);
+
+  let offset = 0;
+  if (people.includes(currentPerson)) {
+    offset = (people.indexOf(currentPerson) + 1) % people.length;
+  } else {
+    // Walk the old order until someone who is still on the roster comes up
+    const previousCount = segments[segments.length - 1].people.length;
+    for (let i = 1; i <= previousCount; i++) {
+      const candidate = getScheduledPerson(previous, currentIndex + i);
+      if (people.includes(candidate)) {
+        offset = people.indexOf(candidate);
+        break;
+      }
+    }
+  }
+
+  schedule.rosterHistory = [...segments, { fromIndex, people, offset }];
+  schedule.people = people;
+};
+
+// Helper function to shape an absence for JSON responses
+const serializeAbsence = (absence) => ({
+  id: absence.id,
+  person: absence.person,
+  startDate: absence.startDate,
+  endDate: absence.endDate,
+  reason: absence.reason,
+  createdAt: absence.createdAt,
+});
+
+// Helper function to find the absence keeping a person away for most of a
+// period, if any. A person's absences never overlap, so they add up.
+const findAbsence = (person, period, absences, timeZone) => {
+  const periodLength = period.periodEnd - period.periodStart + 1;
+  let away = 0;
+  let longest = null;
+  let longestOverlap = 0;
+
+  for (const absence of absences) {
+    if (absence.person !== person) {
+      continue;
+    }
+
+    const from = getLocalMidnight(absence.startDate, timeZone);
+    const to = getLocalMidnight(addDays(absence.endDate, 1), timeZone);
+    const overlap =
+      Math.min(to.getTime(), period.periodEnd.getTime() + 1) -
+      Math.max(from.getTime(), period.periodStart.getTime());
+
+    if (overlap > 0) {
+      away += overlap;
+      if (overlap > longestOverlap) {
+        longest = absence;
+        longestOverlap = overlap;
+      }
+    }
+  }
+
+  return away * 2 > periodLength ? longest : null;
+};
+
+// Helper function to describe an absence in a pick explanation
+const describeAbsence = (absence) =>
+  `away${absence.reason ? ` (${absence.reason})` : ""}`;
+
+// Helper function to replay a schedule's strategy picks from the first
+// rotation any absence touches, applying its absence policy. Turns owed by
+// absent people carry over from one rotation to the next, so the replay
+// always runs in order. Returns { pickAt(index), owedTurns() }.
+const createAbsenceRun = (schedule, { absences = [], history } = {}) => {
+  const cadence = getCadence(schedule);
+  const anchor = getRotationAnchor(schedule.startDate, cadence);
+  const policy = schedule.absencePolicy || DEFAULT_ABSENCE_POLICY;
+  const picks = [];
+  // pass: { debtor, creditor, rotationNumber } - debtor owes creditor a turn
+  const debts = [];
+  // defer: { person, rotationNumber, absence } in the order they were missed
+  const deferred = [];
+  let startIndex = 0;
+
+  if (absences.length > 0) {
+    const earliest = absences.reduce((first, absence) =>
+      absence.startDate < first.startDate ? absence : first
+    );
+    startIndex = Math.max(
+      getPeriodIndex(
+        anchor,
+        cadence,
+        getLocalMidnight(earliest.startDate, cadence.timeZone)
+      ),
+      0
+    );
+  }
+
+  // defer consumes strategy picks faster than rotations pass
+  let nextPickIndex = startIndex;
+
+  const isAway = (person, period) =>
+    findAbsence(person, period, absences, cadence.timeZone);
+
+  const pickPass = (index, period) => {
+    const pick = getStrategyPick(schedule, index, history);
+    const { people } = getRosterSegment(schedule, index);
+
+    // Someone who was covered for by today's person takes this turn back
+    const debt = debts.find(
+      (candidate) =>
+        candidate.creditor === pick.person &&
+        people.includes(candidate.debtor) &&
+        !isAway(candidate.debtor, period)
+    );
+    if (debt) {
+      debts.splice(debts.indexOf(debt), 1);
+      return {
+        person: debt.debtor,
+        selection: {
+          ...pick.selection,
+          reason: "repaying-turn",
+          detail: `Repays ${pick.person} for covering rotation ${debt.rotationNumber}`,
+        },
+      };
+    }
+
+    const absence = isAway(pick.person, period);
+    if (!absence) {
+      return pick;
+    }
+
+    // Hand the turn to the next person in roster order who is around
+    const start = people.indexOf(pick.person);
+    for (let step = 1; step < people.length; step++) {
+      const cover = people[(start + step) % people.length];
+      if (!isAway(cover, period)) {
+        debts.push({
+          debtor: pick.person,
+          creditor: cover,
+          rotationNumber: index + 1,
+        });
+        return {
+          person: cover,
+          selection: {
+            ...pick.selection,
+            reason: "covering-absence",
+            detail: `Covers for ${pick.person}, who is ${describeAbsence(
+              absence
+            )}`,
+          },
+          skipped: [
+            {
+              person: pick.person,
+              policy,
+              absence: serializeAbsence(absence),
+            },
+          ],
+        };
+      }
+    }
+
+    // Everyone is away; the turn stays where it was
+    return pick;
+  };
+
+  const pickDefer = (index, period) => {
+    const { people } = getRosterSegment(schedule, index);
+
+    // Turns deferred earlier come first, once their person is back
+    const owed = deferred.find(
+      (candidate) =>
+        people.includes(candidate.person) && !isAway(candidate.person, period)
+    );
+    if (owed) {
+      deferred.splice(deferred.indexOf(owed), 1);
+      return {
+        person: owed.person,
+        selection: {
+          strategy: schedule.strategy || DEFAULT_STRATEGY,
+          reason: "deferred-turn",
+          detail: `Deferred from rotation ${
+            owed.rotationNumber
+          }, when they were ${describeAbsence(owed.absence)}`,
+        },
+      };
+    }
+
+    const skipped = [];
+    for (let attempt = 0; attempt < people.length; attempt++) {
+      const pick = getStrategyPick(schedule, nextPickIndex, history);
+      nextPickIndex++;
+
+      const absence = isAway(pick.person, period);
+      if (!absence) {
+        if (skipped.length === 0) {
+          return pick;
+        }
+
+        const names = skipped.map(({ person }) => person).join(" and ");
+        return {
+          ...pick,
+          selection: {
+            ...pick.selection,
+            reason: "moved-up",
+            detail: `Moved up while ${names} ${
+              skipped.length === 1 ? "is" : "are"
+            } away; their turn is deferred`,
+          },
+          skipped,
+        };
+      }
+
+      deferred.push({
+        person: pick.person,
+        rotationNumber: index + 1,
+        absence,
+      });
+      skipped.push({
+        person: pick.person,
+        policy,
+        absence: serializeAbsence(absence),
+      });
+    }
+
+    // Everyone is away; give the turn to the first person passed over
+    const first = deferred.splice(deferred.length - skipped.length, 1)[0];
+    return {
+      person: first.person,
+      selection: {
+        strategy: schedule.strategy || DEFAULT_STRATEGY,
+        reason: "everyone-away",
+        detail: "Everyone is away, so the turn stays with the first in line",
+      },
+    };
+  };
+
+  const pickAt = (index) => {
+    if (absences.length === 0 || index < startIndex) {
+      return getStrategyPick(schedule, index, history);
+    }
+
+    while (startIndex + picks.length <= index) {
+      const next = startIndex + picks.length;
+      const period = getPeriod(anchor, cadence, next);
+      picks.push(
+        policy === "defer" ? pickDefer(next, period) : pickPass(next, period)
+      );
+    }
+
+    return picks[index - startIndex];
+  };
+
+  // Turns still owed after the rotations replayed so far
+  const owedTurns = () => [
+    ...debts.map(({ debtor, creditor, rotationNumber }) => ({
+      person: debtor,
+      missedRotation: rotationNumber,
+      owedTo: creditor,
+    })),
+    ...deferred.map(({ person, rotationNumber }) => ({
+      person,
+      missedRotation: rotationNumber,
+    })),
+  ];
+
+  return { pickAt, owedTurns };
+};
+
+// Absence replays per schedule document and absence list, reused by every
+// rotation a request builds
+const absenceRuns = new WeakMap();
+const NO_ABSENCES = [];
+
+// Helper function to pick the person for a 0-based rotation index after the
+// schedule's strategy and absence policy, before overrides
+// Returns { person, selection, skipped? }
+const getAssignedPick = (schedule, index, context = {}) => {
+  const absences = context.absences || NO_ABSENCES;
+  const signature = JSON.stringify([
+    schedule.strategy,
+    schedule.absencePolicy,
+    schedule.weights,
+    getRosterHistory(schedule),
+    schedule.startDate,
+    getCadence(schedule),
+  ]);
+
+  let runs = absenceRuns.get(schedule);
+  if (!runs) {
+    runs = new WeakMap();
+    absenceRuns.set(schedule, runs);
+  }
+
+  let run = runs.get(absences);
+  if (!run || run.signature !== signature || run.history !== context.history) {
+    run = {
+      signature,
+      history: context.history,
+      ...createAbsenceRun(schedule, context),
+    };
+    runs.set(absences, run);
+  }
+
+  return run.pickAt(index);
+};
+
+// Helper function to list the turns people owe for rotations they missed,
+// as of the rotation in effect at `at`
+const getOwedTurns = (schedule, { at = new Date(), ...context } = {}) => {
+  const cadence = getCadence(schedule);
+  const anchor = getRotationAnchor(schedule.startDate, cadence);
+  const run = createAbsenceRun(schedule, context);
+
+  run.pickAt(getPeriodIndex(anchor, cadence, at));
+
+  return run.owedTurns();
+};
+
+// Helper function to find the override, if any, that reassigns a rotation
+// Overrides are applied in creation order, so the newest matching one wins.
+// Date ranges are calendar dates, running from local midnight to local midnight.
+const findOverride = (
+  rotationNumber,
+  periodStart,
+  periodEnd,
+  overrides,
+  timeZone
+) => {
+  let match = null;
+
+  for (const override of overrides) {
+    if (override.type === "swap") {
+      if (override.rotationNumber === rotationNumber) {
+        match = { override, person: override.swapWith };
+      } else if (override.swapRotationNumber === rotationNumber) {
+        match = { override, person: override.person };
+      }
+    } else if (override.rotationNumber) {
+      if (override.rotationNumber === rotationNumber) {
+        match = { override, person: override.person };
+      }
+    } else if (
+      periodStart < getLocalMidnight(addDays(override.endDate, 1), timeZone) &&
+      periodEnd > getLocalMidnight(override.startDate, timeZone)
+    ) {
+      match = { override, person: override.person };
+    }
+  }
+
+  return match;
+};
+
+// Helper function to build one rotation from its 0-based period index
+// `context` holds what the rotation math reads besides the schedule, as
+// loaded by findRotationContext: { overrides, history, absences }
+const buildRotation = (schedule, cadence, anchor, index, context = {}) => {
+  const { overrides = [] } = context;
+  const rotationNumber = index + 1;
+  const { periodStart, periodEnd } = getPeriod(anchor, cadence, index);
+  const {
+    person: scheduledPerson,
+    selection,
+    skipped,
+  } = getAssignedPick(schedule, index, context);
+  const found = findOverride(
+    rotationNumber,
+    periodStart,
+    periodEnd,
+    overrides,
+    cadence.timeZone
+  );
+  // An override that hands the turn to its scheduled person changes nothing
+  const match = found && found.person !== scheduledPerson ? found : null;
+
+  return {
+    person: match ? match.person : scheduledPerson,
+    rotationNumber,
+    periodStart,
+    periodEnd,
+    selection,
+    ...(skipped && { skipped }),
+    isOverride: Boolean(match),
+    ...(match && {
+      originalPerson: scheduledPerson,
+      override: {
+        id: match.override.id,
+        type: match.override.type,
+        reason: match.override.reason,
+      },
+    }),
+  };
+};
+
+// Helper function to calculate the rotation in effect at a moment (now by default)
+const getCurrentRotation = (
+  schedule,
+  { at: now = new Date(), ...context } = {}
+) => {
+  const { startDate, people } = schedule;
+  const cadence = getCadence(schedule);
+  const anchor = getRotationAnchor(startDate, cadence);
+
+  // Calculate how many local days have passed since the first period started
+  const daysSinceStart = Math.round(
+    (toCalendarDate(now, cadence.timeZone) - anchor) / MS_PER_DAY
+  );
+
+  const { person, rotationNumber, periodStart, periodEnd, ...overrideInfo } =
+    buildRotation(
+      schedule,
+      cadence,
+      anchor,
+      getPeriodIndex(anchor, cadence, now),
+      context
+    );
+
+  return {
+    currentPerson: person,
+    currentPersonIndex: people.indexOf(person),
+    rotationNumber,
+    periodStart,
+    periodEnd,
+    weeksSinceStart: Math.floor(daysSinceStart / 7),
+    daysSinceStart,
+    isActive: now >= periodStart && now <= periodEnd,
+    ...overrideInfo,
+  };
+};
+
+// Helper function to get upcoming rotations
+const getUpcomingRotations = (
+  schedule,
+  count = 5,
+  { at: now = new Date(), ...context } = {}
+) => {
+  const cadence = getCadence(schedule);
+  const anchor = getRotationAnchor(schedule.startDate, cadence);
+
+  // Calculate current rotation number
+  const currentIndex = getPeriodIndex(anchor, cadence, now);
+
+  const rotations = [];
+
+  // Start from the NEXT rotation (currentIndex + 1)
+  for (let i = 1; i <= count; i++) {
+    rotations.push({
+      ...buildRotation(schedule, cadence, anchor, currentIndex + i, context),
+      isCurrent: false, // These are all future rotations
+    });
+  }
+
+  return rotations;
+};
+
+// Helper function to list every rotation overlapping [from, to], past or future
+const getRotationsInRange = (
+  schedule,
+  from,
+  to,
+  { at: now = new Date(), ...context } = {}
+) => {
+  const cadence = getCadence(schedule);
+  const anchor = getRotationAnchor(schedule.startDate, cadence);
+  // Nothing is scheduled before the first rotation
+  const firstIndex = Math.max(getPeriodIndex(anchor, cadence, from), 0);
+  const lastIndex = getPeriodIndex(anchor, cadence, to);
+
+  const rotations = [];
+
+  for (let index = firstIndex; index <= lastIndex; index++) {
+    const rotation = buildRotation(schedule, cadence, anchor, index, context);
+
+    rotations.push({
+      ...rotation,
+      isCurrent: now >= rotation.periodStart && now <= rotation.periodEnd,
+    });
+  }
+
+  return rotations;
+};
+
+// Helper function to find the next rotation number (from the current one on)
+// in which a person is on duty, taking existing overrides into account
+const findNextTurn = (
+  schedule,
+  person,
+  { at: now = new Date(), ...context } = {},
+  searchLimit = 200
+) => {
+  const cadence = getCadence(schedule);
+  const anchor = getRotationAnchor(schedule.startDate, cadence);
+  const currentIndex = getPeriodIndex(anchor, cadence, now);
+
+  for (let i = 0; i < searchLimit; i++) {
+    const rotation = buildRotation(
+      schedule,
+      cadence,
+      anchor,
+      currentIndex + i,
+      context
+    );
+    if (rotation.person === person) {
+      return rotation.rotationNumber;
+    }
+  }
+
+  return null;
+};
+
+// Limits for names shown on the web page and e-ink image
+const MAX_PEOPLE = 100;
+const MAX_PERSON_NAME_LENGTH = 50;
+const MAX_SCHEDULE_NAME_LENGTH = 100;
+
+// C0 and C1 control characters, plus the Unicode line and paragraph
+// separators; none of them belong in a display name
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f-\u009f\u2028\u2029]/;
+
+// Helper function to check a display name, returning an error message or null
+const validateName = (value, label, maxLength) => {
+  if (typeof value !== "string" || value.trim().length === 0) {
+    return `${label} must be a non-empty string`;
+  }
+
+  if (value.trim().length > maxLength) {
+    return `${label} must be at most ${maxLength} characters`;
+  }
+
+  if (CONTROL_CHARACTERS.test(value)) {
+    return `${label} must not contain control characters`;
+  }
+
+  return null;
+};
+
+// Helper function to validate a people array from a request body
+// Returns { error } or { people } with each name trimmed
+const parsePeople = (people) => {
+  if (!Array.isArray(people) || people.length === 0) {
+    return { error: "People array is required and cannot be empty" };
+  }
+
+  if (people.length > MAX_PEOPLE) {
+    return { error: `People array can list at most ${MAX_PEOPLE} people` };
+  }
+
+  for (const person of people) {
+    const error = validateName(person, "Each person", MAX_PERSON_NAME_LENGTH);
+    if (error) {
+      return { error };
+    }
+  }
+
+  const trimmedPeople = people.map((person) => person.trim());
+
+  // Names are matched case-insensitively so "alice" cannot sit next to "Alice"
+  const seen = new Set();
+  for (const person of trimmedPeople) {
+    const key = person.toLowerCase();
+    if (seen.has(key)) {
+      return { error: `People names must be unique: "${person}" is repeated` };
+    }
+    seen.add(key);
+  }
+
+  return { people: trimmedPeople };
+};
+
+// Helper function to validate cadence fields from a request body
+// Returns { error } or { rotation, weekStartDay, timezone } with only the
+// provided fields
+const parseCadence = (body) => {
+  const result = {};
+
+  if (body.rotation !== undefined) {
+    const { unit, length, dayOfMonth } = body.rotation || {};
+
+    if (!ROTATION_UNITS.includes(unit)) {
+      return {
+        error: `Rotation unit must be one of: ${ROTATION_UNITS.join(", ")}`,
+      };
+    }
+
+    if (
+      length !== undefined &&
+      (!Number.isInteger(length) || length < 1 || length > 52)
+    ) {
+      return { error: "Rotation length must be an integer from 1 to 52" };
+    }
+
+    if (
+      dayOfMonth !== undefined &&
+      (unit !== "month" ||
+        !Number.isInteger(dayOfMonth) ||
+        dayOfMonth < 1 ||
+        dayOfMonth > 28)
+    ) {
+      return {
+        error:
+          "Rotation dayOfMonth must be an integer from 1 to 28 and is only valid for monthly rotations",
+      };
+    }
+
+    result.rotation = {
+      unit,
+      length: length || (unit === "week" ? DEFAULT_ROTATION.length : 1),
+      dayOfMonth: dayOfMonth || DEFAULT_ROTATION.dayOfMonth,
+    };
+  }
+
+  if (body.weekStartDay !== undefined) {
+    const { weekStartDay } = body;
+
+    if (
+      !Number.isInteger(weekStartDay) ||
+      weekStartDay < 0 ||
+      weekStartDay > 6
+    ) {
+      return {
+        error:
+          "Week start day must be an integer from 0 (Sunday) to 6 (Saturday)",
+      };
+    }
+
+    result.weekStartDay = weekStartDay;
+  }
+
+  if (body.timezone !== undefined) {
+    if (!isValidTimeZone(body.timezone)) {
+      return {
+        error: 'Timezone must be an IANA timezone name, e.g. "Europe/Prague"',
+      };
+    }
+
+    result.timezone = body.timezone;
+  }
+
+  return result;
+};
+
+// Helper function to validate strategy, weights and absence policy from a
+// request body against the people they will apply to
+// Returns { error } or { strategy, weights, absencePolicy } with only the
+// provided fields; weights come back in their stored list form
+const parseStrategy = (body, people) => {
+  const result = {};
+
+  if (body.strategy !== undefined) {
+    if (!ROTATION_STRATEGIES.includes(body.strategy)) {
+      return {
+        error: `Strategy must be one of: ${ROTATION_STRATEGIES.join(", ")}`,
+      };
+    }
+
+    result.strategy = body.strategy;
+  }
+
+  if (body.absencePolicy !== undefined) {
+    if (!ABSENCE_POLICIES.includes(body.absencePolicy)) {
+      return {
+        error: `Absence policy must be one of: ${ABSENCE_POLICIES.join(", ")}`,
+      };
+    }
+
+    result.absencePolicy = body.absencePolicy;
+  }
+
+  if (body.weights !== undefined) {
+    const { weights } = body;
+
+    if (!weights || typeof weights !== "object" || Array.isArray(weights)) {
+      return { error: "Weights must be an object of person: weight" };
+    }
+
+    for (const [person, weight] of Object.entries(weights)) {
+      if (!people.includes(person)) {
+        return { error: `Weight given for unknown person "${person}"` };
+      }
+
+      // Hundredths keep weighted picks exact
+      if (
+        typeof weight !== "number" ||
+        weight < 0.1 ||
+        weight > 10 ||
+        Math.abs(Math.round(weight * WEIGHT_SCALE) - weight * WEIGHT_SCALE) >
+          1e-9
+      ) {
+        return {
+          error:
+            "Each weight must be a number from 0.1 to 10 with at most two decimals",
+        };
+      }
+    }
+
+    result.weights = Object.entries(weights).map(([person, weight]) => ({
+      person,
+      weight,
+    }));
+  }
+
+  return result;
+};
+
+// Helper function to validate the stored e-ink profile from a request body
+// Returns { error } or { einkProfile }; null clears it, undefined leaves it
+const parseEinkProfile = (body) => {
+  const { einkProfile } = body;
+
+  if (
+    einkProfile !== undefined &&
+    einkProfile !== null &&
+    !Object.prototype.hasOwnProperty.call(EINK_PROFILES, einkProfile)
+  ) {
+    return {
+      error: `E-ink profile must be one of: ${Object.keys(EINK_PROFILES).join(
+        ", "
+      )}`,
+    };
+  }
+
+  return { einkProfile };
+};
+
+// Helper function to validate the schedule's default locale from a request body
+// Returns { error } or { locale }; null clears it, undefined leaves it
+const parseLocale = (body) => {
+  const { locale } = body;
+
+  if (locale !== undefined && locale !== null && !isLocale(locale)) {
+    return { error: `Locale must be one of: ${LOCALES.join(", ")}` };
+  }
+
+  return { locale };
+};
+
+const MAX_TASKS = 30;
+const MAX_TASK_TITLE_LENGTH = 80;
+const TASK_ID_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,38}[a-z0-9])?$/;
+
+// Helper function to derive a URL-friendly task id from its title
+const slugifyTaskTitle = (title) =>
+  title
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .slice(0, 40)
+    .replace(/^-+|-+$/g, "");
+
+// Helper function to validate a task list from a request body
+// Each task is a title or { id?, title, perWeek? }. Tasks keep the id of an
+// existing task with the same id or title, so renaming one needs its id.
+// Returns { error } or { tasks }; null clears them, undefined leaves them
+const parseTasks = (body, existing = []) => {
+  const { tasks } = body;
+
+  if (tasks === undefined) {
+    return {};
+  }
+
+  if (tasks === null) {
+    return { tasks: [] };
+  }
+
+  if (!Array.isArray(tasks)) {
+    return { error: "Tasks must be an array" };
+  }
+
+  if (tasks.length > MAX_TASKS) {
+    return { error: `Tasks can list at most ${MAX_TASKS} tasks` };
+  }
+
+  const parsed = [];
+  const titles = new Set();
+  const ids = new Set();
+
+  for (const input of tasks) {
+    const task = typeof input === "string" ? { title: input } : input;
+
+    if (!task || typeof task !== "object" || Array.isArray(task)) {
+      return { error: "Each task must be a title or an object with a title" };
+    }
+
+    const titleError = validateName(
+      task.title,
+      "Task title",
+      MAX_TASK_TITLE_LENGTH
+    );
+    if (titleError) {
+      return { error: titleError };
+    }
+
+    const title = task.title.trim();
+
+    if (titles.has(title.toLowerCase())) {
+      return { error: `Task titles must be unique: "${title}" is repeated` };
+    }
+    titles.add(title.toLowerCase());
+
+    if (
+      task.perWeek !== undefined &&
+      task.perWeek !== null &&
+      (!Number.isInteger(task.perWeek) || task.perWeek < 1 || task.perWeek > 7)
+    ) {
+      return { error: "Task perWeek must be a whole number from 1 to 7" };
+    }
+
+    if (
+      task.id !== undefined &&
+      (typeof task.id !== "string" || !TASK_ID_PATTERN.test(task.id))
+    ) {
+      return {
+        error: "Task id must be up to 40 lowercase letters, digits and dashes",
+      };
+    }
+
+    const match = existing.find(
+      (candidate) => candidate.title.toLowerCase() === title.toLowerCase()
+    );
+
+    parsed.push({
+      id: task.id || (match && match.id),
+      title,
+      perWeek: task.perWeek ?? undefined,
+    });
+  }
+
+  // Explicit and kept ids first, so derived ones never take them
+  for (const task of parsed) {
+    if (task.id) {
+      if (ids.has(task.id)) {
+        return { error: `Task ids must be unique: "${task.id}" is repeated` };
+      }
+      ids.add(task.id);
+    }
+  }
+
+  for (const task of parsed) {
+    if (!task.id) {
+      const base = slugifyTaskTitle(task.title) || "task";
+      let id = base;
+      for (let suffix = 2; ids.has(id); suffix++) {
+        id = `${base}-${suffix}`;
+      }
+      task.id = id;
+      ids.add(id);
+    }
+  }
+
+  return { tasks: parsed };
+};
+
+// Default number of days ahead covered by the iCalendar feed
+const ICS_HORIZON_DAYS = parseInt(process.env.ICS_HORIZON_DAYS, 10) || 180;
+const ICS_MAX_HORIZON_DAYS = 730;
+
+// Helper function to format the local date of an instant as an iCalendar DATE
+const formatIcsDate = (date, timeZone) =>
+  toCalendarDate(date, timeZone).toISOString().slice(0, 10).replace(/-/g, "");
+
+// Helper function to format a date as an iCalendar UTC DATE-TIME
+const formatIcsDateTime = (date) =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+// Helper function to escape TEXT values (RFC 5545 section 3.3.11)
+const escapeIcsText = (text) =>
+  String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Helper function to fold content lines longer than 75 octets (section 3.1)
+const foldIcsLine = (line) => {
+  const parts = [];
+  let current = "";
+
+  // Iterate by code point so multi-byte characters are never split
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+};
+
+// Helper function to build an iCalendar feed with one all-day VEVENT per rotation
+// UIDs depend only on the schedule slug and rotation number, so calendar
+// clients update an existing event when its person or dates change. DTSTAMP
+// is the last write, not the time of the request, so an unchanged feed keeps
+// its ETag.
+const buildIcsCalendar = (schedule, slug, rotations) => {
+  const title = schedule.name || "Cleaning Schedule";
+  const { timeZone } = getCadence(schedule);
+  const dtstamp = formatIcsDateTime(schedule.updatedAt);
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//cleaning-schedule-api//Cleaning Schedule//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeIcsText(title)}`,
+    `X-WR-TIMEZONE:${timeZone}`,
+  ];
+
+  for (const rotation of rotations) {
+    const description = rotation.isOverride
+      ? `${rotation.person} is covering for ${rotation.originalPerson}`
+      : `${rotation.person} is responsible for cleaning`;
+
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${slug}-rotation-${rotation.rotationNumber}@cleaning-schedule-api`,
+      `DTSTAMP:${dtstamp}`,
+      `LAST-MODIFIED:${formatIcsDateTime(schedule.updatedAt)}`,
+      `DTSTART;VALUE=DATE:${formatIcsDate(rotation.periodStart, timeZone)}`,
+      // DTEND is exclusive, so it is the day after the period's last day
+      `DTEND;VALUE=DATE:${formatIcsDate(
+        new Date(rotation.periodEnd.getTime() + 1),
+        timeZone
+      )}`,
+      `SUMMARY:${escapeIcsText(`🧹 ${rotation.person} - ${title}`)}`,
+      `DESCRIPTION:${escapeIcsText(description)}`,
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT"
+    );
+  }
+
+  lines.push("END:VCALENDAR");
+
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+};
+
+// Helper function to parse an optional date query parameter
+// Returns undefined when absent, null when invalid
+const parseDateParam = (value) => {
+  if (value === undefined || value === "") {
+    return undefined;
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Longest window GET /api/rotations will list
+const MAX_ROTATION_RANGE_DAYS = 731;
+
+// Routes - now all attached to apiRouter
+// Every schedule route is also available as /schedules/:slug; the
+// un-slugged /schedule and /current paths are aliases for the default schedule
+
+// GET /api/schedule.ics - iCalendar feed of current and upcoming rotations (public)
+// Registered before /schedules/:slug so "kitchen.ics" is not taken for a slug
+apiRouter.get(
+  ["/schedule.ics", "/schedules/:slug.ics"],
+  validate("getScheduleCalendar"),
+  async (req, res) => {
+    try {
+      const { storage } = req.app.locals;
+      const days =
+        req.query.days === undefined
+          ? ICS_HORIZON_DAYS
+          : parseInt(req.query.days, 10);
+
+      if (!Number.isInteger(days) || days < 1 || days > ICS_MAX_HORIZON_DAYS) {
+        return sendError(
+          res,
+          400,
+          `Days must be an integer from 1 to ${ICS_MAX_HORIZON_DAYS}`
+        );
+      }
+
+      const slug = getSlug(req);
+      const schedule = await findSchedule(storage, slug);
+
+      if (!schedule) {
+        return sendError(res, 404, "No schedule found");
+      }
+
+      const context = await findRotationContext(
+        storage,
+        slug,
+        schedule,
+        getNow(req)
+      );
+      const current = getCurrentRotation(schedule, context);
+      const horizon = addDays(context.at, days);
+
+      // Enough rotations to reach the horizon with the shortest possible period
+      const { unit, length } = getCadence(schedule);
+      const minPeriodDays = length * { day: 1, week: 7, month: 28 }[unit];
+      const upcoming = getUpcomingRotations(
+        schedule,
+        Math.ceil(days / minPeriodDays),
+        context
+      );
+
+      const rotations = [
+        {
+          ...current,
+          person: current.currentPerson,
+        },
+        ...upcoming.filter((rotation) => rotation.periodStart <= horizon),
+      ].filter(
+        (rotation) => !req.query.person || rotation.person === req.query.person
+      );
+
+      const filename = req.query.person
+        ? `${slug}-${req.query.person}.ics`
+        : `${slug}.ics`;
+
+      res.set("Content-Type", "text/calendar; charset=utf-8");
+      res.set(
+        "Content-Disposition",
+        `inline; filename="${filename.replace(/[^\w.-]/g, "_")}"`
+      );
+      res.send(buildIcsCalendar(schedule, slug, rotations));
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+);
+
+// GET /api/schedules - List all schedules (public)
+apiRouter.get("/schedules", validate("listSchedules"), async (req, res) => {
+  try {
+    const { storage } = req.app.locals;
+    const schedules = await storage.schedules.find(
+      {},
+      { sort: { createdAt: 1 } }
+    );
+    const overrides = await storage.overrides.find(
+      {},
+      { sort: { createdAt: 1 } }
+    );
+    // Only fair-balance schedules read history, so load just theirs
+    const fairSlugs = schedules
+      .filter((schedule) => schedule.strategy === "fair-balance")
+      .map((schedule) => schedule.slug || DEFAULT_SCHEDULE_SLUG);
+    const absences = await storage.absences.find(
+      {},
+      { sort: { startDate: 1 } }
+    );
+    const history =
+      fairSlugs.length > 0
+        ? await storage.history.find(
+            { scheduleSlug: { $in: fairSlugs } },
+            { sort: { rotationNumber: 1 } }
+          )
+        : [];
+
+    res.json({
+      schedules: schedules.map((schedule) => {
+        const slug = schedule.slug || DEFAULT_SCHEDULE_SLUG;
+        const currentRotation = getCurrentRotation(schedule, {
+          at: getNow(req),
+          overrides: overrides.filter((o) => o.scheduleSlug === slug),
+          history: history.filter((entry) => entry.scheduleSlug === slug),
+          absences: absences.filter((absence) => absence.scheduleSlug === slug),
+        });
+
+        return {
+          ...serializeSchedule(schedule),
+          currentPerson: currentRotation.currentPerson,
+        };
+      }),
+    });
+  } catch (error) {
+    sendError(res, 500, error.message);
+  }
+});
+
+// GET /api/schedule - Get current schedule info (public)
+apiRouter.get(
+  ["/schedule", "/schedules/:slug"],
+  validate("getSchedule"),
+  async (req, res) => {
+    try {
+      const { storage } = req.app.locals;
+      const slug = getSlug(req);
+      const schedule = await findSchedule(storage, slug);
+
+      if (!schedule) {
+        return sendError(res, 404, "No schedule found");
+      }
+
+      const context = await findRotationContext(
+        storage,
+        slug,
+        schedule,
+        getNow(req)
+      );
+      const currentRotation = getCurrentRotation(schedule, context);
+
+      if (
+        sendNotModified(req, res, getContentVersion(schedule, currentRotation))
+      ) {
+        return;
+      }
+
+      const upcomingRotations = getUpcomingRotations(schedule, 5, context);
+
+      res.json({
+        ...serializeSchedule(schedule),
+        currentRotation,
+        upcomingRotations,
+      });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+);
+
+// GET /api/current - Get current person responsible (public)
+// ?at=<date> answers who is on duty at that moment instead of now
+apiRouter.get(
+  ["/current", "/schedules/:slug/current"],
+  validate("getCurrentRotation"),
+  async (req, res) => {
+    try {
+      const { storage } = req.app.locals;
+      const at = parseDateParam(req.query.at);
+
+      if (at === null) {
+        return sendError(res, 400, "Invalid at date format");
+      }
+
+      const slug = getSlug(req);
+      const schedule = await findSchedule(storage, slug);
+
+      if (!schedule) {
+        return sendError(res, 404, "No schedule found");
+      }
+
+      const currentRotation = getCurrentRotation(
+        schedule,
+        await findRotationContext(storage, slug, schedule, at || getNow(req))
+      );
+
+      if (
+        sendNotModified(req, res, getContentVersion(schedule, currentRotation))
+      ) {
+        return;
+      }
+
+      res.json({
+        currentPerson: currentRotation.currentPerson,
+        rotationNumber: currentRotation.rotationNumber,
+        periodStart: currentRotation.periodStart,
+        periodEnd: currentRotation.periodEnd,
+        isActive: currentRotation.isActive,
+        isOverride: currentRotation.isOverride,
+        originalPerson: currentRotation.originalPerson,
+        selection: currentRotation.selection,
+        timezone: getCadence(schedule).timeZone,
+      });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+);
+
+// GET /api/rotations - Every rotation overlapping ?from=&to= (public)
+apiRouter.get(
+  ["/rotations", "/schedules/:slug/rotations"],
+  validate("listRotations"),
+  async (req, res) => {
+    try {
+      const { storage } = req.app.locals;
+      const from = parseDateParam(req.query.from);
+      const to = parseDateParam(req.query.to);
+
+      if (!from || !to) {
+        return sendError(res, 400, "Valid from and to dates are required");
+      }
+
+      if (to < from) {
+        return sendError(
+          res,
+          400,
+          "The to date must not be before the from date"
+        );
+      }
+
+      if ((to - from) / MS_PER_DAY > MAX_ROTATION_RANGE_DAYS) {
+        return sendError(
+          res,
+          400,
+          `Date range cannot exceed ${MAX_ROTATION_RANGE_DAYS} days`
+        );
+      }
+
+      const slug = getSlug(req);
+      const schedule = await findSchedule(storage, slug);
+
+      if (!schedule) {
+        return sendError(res, 404, "No schedule found");
+      }
+
+      res.json({
+        from,
+        to,
+        rotations: getRotationsInRange(
+          schedule,
+          from,
+          to,
+          await findRotationContext(storage, slug, schedule, getNow(req))
+        ),
+      });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+);
+
+// Creates or replaces the schedule for one slug, leaving the others intact
+const createSchedule = async (slug, req, res) => {
+  try {
+    const { storage } = req.app.locals;
+    const { name, people, startDate } = req.body;
+
+    // Validation
+    if (!isValidSlug(slug)) {
+      return sendError(
+        res,
+        400,
+        "Slug must be lowercase letters, digits and dashes, and not a reserved word"
+      );
+    }
+
+    const parsedPeople = parsePeople(people);
+    if (parsedPeople.error) {
+      return sendError(res, 400, parsedPeople.error);
+    }
+
+    if (name !== undefined && name !== null && name !== "") {
+      const nameError = validateName(
+        name,
+        "Schedule name",
+        MAX_SCHEDULE_NAME_LENGTH
+      );
+      if (nameError) {
+        return sendError(res, 400, nameError);
+      }
+    }
+
+    if (!startDate) {
+      return sendError(res, 400, "Start date is required");
+    }
+
+    const parsedStartDate = new Date(startDate);
+    if (isNaN(parsedStartDate.getTime())) {
+      return sendError(res, 400, "Invalid start date format");
+    }
+
+    const cadence = parseCadence(req.body);
+    if (cadence.error) {
+      return sendError(res, 400, cadence.error);
+    }
+
+    const { einkProfile, error: einkError } = parseEinkProfile(req.body);
+    if (einkError) {
+      return sendError(res, 400, einkError);
+    }
+
+    const { locale, error: localeError } = parseLocale(req.body);
+    if (localeError) {
+      return sendError(res, 400, localeError);
+    }
+
+    const trimmedPeople = parsedPeople.people;
+
+    const strategy = parseStrategy(req.body, trimmedPeople);
+    if (strategy.error) {
+      return sendError(res, 400, strategy.error);
+    }
+
+    const before = snapshotSchedule(await findSchedule(storage, slug));
+
+    // Ids of tasks that keep their title survive, so their ticks still count
+    const parsedTasks = parseTasks(req.body, (before && before.tasks) || []);
+    if (parsedTasks.error) {
+      return sendError(res, 400, parsedTasks.error);
+    }
+
+    // Remove any existing schedule with this slug and create new one
+    // Overrides refer to the old rotation numbers, so they go too
+    await storage.schedules.deleteMany(scheduleQuery(slug));
+    await storage.overrides.deleteMany({ scheduleSlug: slug });
+
+    const schedule = await storage.schedules.insert({
+      slug,
+      name: name ? name.trim() : undefined,
+      people: trimmedPeople,
+      rosterHistory: [{ fromIndex: 0, people: trimmedPeople, offset: 0 }],
+      startDate: parsedStartDate,
+      rotation: cadence.rotation,
+      weekStartDay: cadence.weekStartDay,
+      timezone: cadence.timezone,
+      einkProfile: einkProfile || undefined,
+      locale: locale || undefined,
+      strategy: strategy.strategy,
+      weights: strategy.weights,
+      absencePolicy: strategy.absencePolicy,
+      tasks: parsedTasks.tasks,
+      updatedAt: new Date(),
+    });
+
+    invalidateRenderCache(storage, slug);
+    await recordAudit(req, "create", slug, before, snapshotSchedule(schedule));
+    publishEvent(req, "schedule.updated", slug, { change: "created" });
+
+    const currentRotation = getCurrentRotation(schedule, { at: getNow(req) });
+
+    res.status(201).json({
+      message: "Schedule created successfully",
+      schedule: {
+        ...serializeSchedule(schedule),
+        currentRotation,
+      },
+    });
+  } catch (error) {
+    sendError(res, 500, error.message);
+  }
+};
+
+// POST /api/schedules - Create a named schedule from body.slug (protected)
+apiRouter.post(
+  "/schedules",
+  requireScope("schedule:write"),
+  validate("createNamedSchedule"),
+  (req, res) => {
+    const slug =
+      typeof req.body.slug === "string"
+        ? req.body.slug.trim().toLowerCase()
+        : "";
+
+    return createSchedule(slug, req, res);
+  }
+);
+
+// POST /api/schedule - Create or replace schedule (protected)
+apiRouter.post(
+  ["/schedule", "/schedules/:slug"],
+  requireScope("schedule:write"),
+  validate("createSchedule"),
+  (req, res) => createSchedule(getSlug(req), req, res)
+);
+
+// PUT /api/schedule - Update existing schedule (protected)
+apiRouter.put(
+  ["/schedule", "/schedules/:slug"],
+  requireScope("schedule:write"),
+  validate("updateSchedule"),
+  async (req, res) => {
+    try {
+      const { storage } = req.app.locals;
+      const { name, people, startDate, effective = "next-rotation" } = req.body;
+
+      const slug = getSlug(req);
+      const schedule = await findSchedule(storage, slug);
+
+      if (!schedule) {
+        return sendError(res, 404, "No schedule found to update");
+      }
+
+      const before = snapshotSchedule(schedule);
+
+      // Update fields if provided; an empty name clears it
+      if (typeof name === "string") {
+        if (name.trim()) {
+          const nameError = validateName(
+            name,
+            "Schedule name",
+            MAX_SCHEDULE_NAME_LENGTH
+          );
+          if (nameError) {
+            return sendError(res, 400, nameError);
+          }
+        }
+        schedule.name = name.trim();
+      }
+
+      if (!["next-rotation", "immediate"].includes(effective)) {
+        return sendError(
+          res,
+          400,
+          'Effective must be "next-rotation" or "immediate"'
+        );
+      }
+
+      if (people !== undefined) {
+        const parsedPeople = parsePeople(people);
+        if (parsedPeople.error) {
+          return sendError(res, 400, parsedPeople.error);
+        }
+
+        const trimmedPeople = parsedPeople.people;
+
+        if (effective === "immediate") {
+          // Re-derive every rotation, past and present, from the new roster
+          schedule.people = trimmedPeople;
+          schedule.rosterHistory = [
+            { fromIndex: 0, people: trimmedPeople, offset: 0 },
+          ];
+        } else if (trimmedPeople.join("\n") !== schedule.people.join("\n")) {
+          applyRosterChange(schedule, trimmedPeople, getNow(req));
+        }
+      }
+
+      if (startDate) {
+        const parsedStartDate = new Date(startDate);
+        if (isNaN(parsedStartDate.getTime())) {
+          return sendError(res, 400, "Invalid start date format");
+        }
+        schedule.startDate = parsedStartDate;
+      }
+
+      const cadence = parseCadence(req.body);
+      if (cadence.error) {
+        return sendError(res, 400, cadence.error);
+      }
+
+      if (cadence.rotation) {
+        schedule.rotation = cadence.rotation;
+      }
+
+      if (cadence.weekStartDay !== undefined) {
+        schedule.weekStartDay = cadence.weekStartDay;
+      }
+
+      if (cadence.timezone !== undefined) {
+        schedule.timezone = cadence.timezone;
+      }
+
+      const { einkProfile, error: einkError } = parseEinkProfile(req.body);
+      if (einkError) {
+        return sendError(res, 400, einkError);
+      }
+
+      if (einkProfile !== undefined) {
+        schedule.einkProfile = einkProfile || undefined;
+      }
+
+      const { locale, error: localeError } = parseLocale(req.body);
+      if (localeError) {
+        return sendError(res, 400, localeError);
+      }
+
+      if (locale !== undefined) {
+        schedule.locale = locale || undefined;
+      }
+
+      const strategy = parseStrategy(req.body, schedule.people);
+      if (strategy.error) {
+        return sendError(res, 400, strategy.error);
+      }
+
+      if (strategy.strategy) {
+        schedule.strategy = strategy.strategy;
+      }
+
+      if (strategy.absencePolicy) {
+        schedule.absencePolicy = strategy.absencePolicy;
+      }
+
+      const parsedTasks = parseTasks(req.body, serializeTasks(schedule));
+      if (parsedTasks.error) {
+        return sendError(res, 400, parsedTasks.error);
+      }
+
+      if (parsedTasks.tasks) {
+        schedule.tasks = parsedTasks.tasks;
+      }
+
+      // Weights of people who left the roster are dropped
+      schedule.weights = (strategy.weights || schedule.weights || []).filter(
+        ({ person }) => schedule.people.includes(person)
+      );
+
+      // Claim legacy un-slugged schedules for the default slug on first write
+      schedule.slug = slug;
+      schedule.updatedAt = new Date();
+      await storage.schedules.update(schedule.id, withoutId(schedule));
+      invalidateRenderCache(storage, slug);
+      await recordAudit(
+        req,
+        "update",
+        slug,
+        before,
+        snapshotSchedule(schedule)
+      );
+      publishEvent(req, "schedule.updated", slug, { change: "updated" });
+
+      const currentRotation = getCurrentRotation(
+        schedule,
+        await findRotationContext(storage, slug, schedule, getNow(req))
+      );
+
+      res.json({
+        message: "Schedule updated successfully",
+        schedule: {
+          ...serializeSchedule(schedule),
+          currentRotation,
+        },
+      });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+);
+
+// DELETE /api/schedule - Delete schedule (protected)
+apiRouter.delete(
+  ["/schedule", "/schedules/:slug"],
+  requireScope("schedule:write"),
+  validate("deleteSchedule"),
+  async (req, res) => {
+    try {
+      const { storage } = req.app.locals;
+      const slug = getSlug(req);
+      const before = snapshotSchedule(await findSchedule(storage, slug));
+      const deleted = await storage.schedules.deleteMany(scheduleQuery(slug));
+
+      if (deleted === 0) {
+        return sendError(res, 404, "No schedule found to delete");
+      }
+
+      invalidateRenderCache(storage, slug);
+      await recordAudit(req, "delete", slug, before, null);
+
+      await storage.overrides.deleteMany({ scheduleSlug: slug });
+      await storage.history.deleteMany({ scheduleSlug: slug });
+      await storage.absences.deleteMany({ scheduleSlug: slug });
+      await storage.taskCompletions.deleteMany({ scheduleSlug: slug });
+      publishEvent(req, "schedule.updated", slug, { change: "deleted" });
+
+      res.json({ message: "Schedule deleted successfully" });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+);
+
+// Helper function to shape an override document for JSON responses
+const serializeOverride = (override) => ({
+  id: override.id,
+  type: override.type,
+  person: override.person,
+  rotationNumber: override.rotationNumber,
+  startDate: override.startDate,
+  endDate: override.endDate,
+  swapWith: override.swapWith,
+  swapRotationNumber: override.swapRotationNumber,
+  reason: override.reason,
+  createdAt: override.createdAt,
+});
+
+// Helper function to validate an override request against its schedule
+// Returns { error } or the fields to store on the Override
+const parseOverride = (body, schedule, context) => {
+  const { type = "assign", person, swapWith, rotationNumber, reason } = body;
+
+  if (!["assign", "swap"].includes(type)) {
+    return { error: 'Override type must be "assign" or "swap"' };
+  }
+
+  if (!schedule.people.includes(person)) {
+    return { error: "Person must be one of the schedule's people" };
+  }
+
+  if (reason !== undefined && typeof reason !== "string") {
+    return { error: "Reason must be a string" };
+  }
+
+  if (type === "swap") {
+    if (!schedule.people.includes(swapWith) || swapWith === person) {
+      return {
+        error: "swapWith must be another one of the schedule's people",
+      };
+    }
+
+    const personTurn = findNextTurn(schedule, person, context);
+    const swapWithTurn = findNextTurn(schedule, swapWith, context);
+
+    if (!personTurn || !swapWithTurn) {
+      return { error: "Could not find upcoming turns for both people" };
+    }
+
+    return {
+      type,
+      person,
+      rotationNumber: personTurn,
+      swapWith,
+      swapRotationNumber: swapWithTurn,
+      reason,
+    };
+  }
+
+  if (rotationNumber !== undefined) {
+    if (body.startDate !== undefined || body.endDate !== undefined) {
+      return {
+        error: "Provide either rotationNumber or startDate/endDate, not both",
+      };
+    }
+
+    if (!Number.isInteger(rotationNumber) || rotationNumber < 1) {
+      return { error: "Rotation number must be a positive integer" };
+    }
+
+    return { type, person, rotationNumber, reason };
+  }
+
+  if (!body.startDate || !body.endDate) {
+    return {
+      error:
+        "Either rotationNumber or a valid startDate and endDate is required",
+    };
+  }
+
+  // Ranges cover whole days, so a time of day would only shift them
+  const startDate = parseDateOnly(body.startDate);
+  const endDate = parseDateOnly(body.endDate);
+
+  if (!startDate || !endDate) {
+    return { error: "startDate and endDate must be dates as YYYY-MM-DD" };
+  }
+
+  if (endDate < startDate) {
+    return { error: "End date must not be before start date" };
+  }
+
+  return { type, person, startDate, endDate, reason };
+};
+
+// GET /api/schedule/overrides - List overrides (protected)
+apiRouter.get(
+  ["/schedule/overrides", "/schedules/:slug/overrides"],
+  requireScope("schedule:read"),
+  validate("listOverrides"),
+  async (req, res) => {
+    try {
+      const { storage } = req.app.locals;
+      const overrides = await findOverrides(storage, getSlug(req));
+
+      res.json({ overrides: overrides.map(serializeOverride) });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+);
+
+// POST /api/schedule/overrides - Reassign or swap rotations (protected)
+apiRouter.post(
+  ["/schedule/overrides", "/schedules/:slug/overrides"],
+  requireScope("overrides:write", "member"),
+  validate("createOverride"),
+  async (req, res) => {
+    try {
+      const { storage } = req.app.locals;
+      const slug = getSlug(req);
+      const schedule = await findSchedule(storage, slug);
+
+      if (!schedule) {
+        return sendError(res, 404, "No schedule found");
+      }
+
+      // Member tokens may only swap one of their own turns
+      if (
+        !hasScope(req.auth, "overrides:write") &&
+        (req.body.type !== "swap" || req.body.person !== req.auth.person)
+      ) {
+        return sendError(
+          res,
+          403,
+          "Member tokens can only request swaps of their own turns"
+        );
+      }
+
+      const fields = parseOverride(
+        req.body,
+        schedule,
+        await findRotationContext(storage, slug, schedule, getNow(req))
+      );
+      if (fields.error) {
+        return sendError(res, 400, fields.error);
+      }
+
+      const override = await storage.overrides.insert({
+        scheduleSlug: slug,
+        ...fields,
+      });
+      await touchSchedule(storage, slug);
+      publishEvent(req, "override.created", slug, {
+        override: serializeOverride(override),
+      });
+
+      res.status(201).json({
+        message: "Override created successfully",
+        override: serializeOverride(override),
+      });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+);
+
+// DELETE /api/schedule/overrides/:id - Remove an override (protected)
+apiRouter.delete(
+  ["/schedule/overrides/:id", "/schedules/:slug/overrides/:id"],
+  requireScope("overrides:write"),
+  validate("deleteOverride"),
+  async (req, res) => {
+    try {
+      const { storage } = req.app.locals;
+      const { id } = req.params;
+      const slug = getSlug(req);
+      const deleted = await storage.overrides.deleteOne({
+        id,
+        scheduleSlug: slug,
+      });
+
+      if (deleted === 0) {
+        return sendError(res, 404, "Override not found");
+      }
+
+      await touchSchedule(storage, slug);
+      publishEvent(req, "schedule.updated", slug, {
+        change: "override-deleted",
+      });
+
+      res.json({ message: "Override deleted successfully" });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+);
+
+// Helper function to read a request date as a calendar date (UTC midnight)
+// Returns null when it is missing or invalid
+const parseCalendarDate = (value) => {
+  const date = value ? new Date(value) : null;
+
+  if (!date || isNaN(date.getTime())) {
+    return null;
+  }
+
+  return new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+};
+
+// Calendar dates without a time of day, as date ranges take them
+const CALENDAR_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Helper function to read a YYYY-MM-DD request date as a calendar date
+// Returns null for anything else, including timestamps and days like Feb 30
+const parseDateOnly = (value) => {
+  const date =
+    typeof value === "string" && CALENDAR_DATE_PATTERN.test(value)
+      ? parseCalendarDate(value)
+      : null;
+
+  return date && date.toISOString().startsWith(value) ? date : null;
+};
+
+// Helper function to load a schedule and the person of req.params.name
+// Returns { error, status } or { slug, schedule, person }
+const loadAbsenceTarget = async (req) => {
+  const { storage } = req.app.locals;
+  const slug = getSlug(req);
+  const person = req.params.name;
+
+  const schedule = await findSchedule(storage, slug);
+
+  if (!schedule) {
+    return { status: 404, error: "No schedule found" };
+  }
+
+  if (!schedule.people.includes(person)) {
+    return { status: 404, error: "Person not found in the schedule" };
+  }
+
+  return { slug, schedule, person };
+};
+
+// GET /api/people/:name/absences - List a person's absences and owed turns (protected)
+apiRouter.get(
+  ["/people/:name/absences", "/schedules/:slug/people/:name/absences"],
+  requireScope("schedule:read", "absences:write", "member"),
+  validate("listAbsences"),
+  async (req, res) => {
+    try {
+      const { storage } = req.app.locals;
+
+      // Members only read their own
+      if (
+        !hasScope(req.auth, "schedule:read") &&
+        !hasScope(req.auth, "absences:write") &&
+        req.params.name !== req.auth.person
+      ) {
+        return sendError(
+          res,
+          403,
+          "Member tokens can only read their own absences"
+        );
+      }
+
+      const target = await loadAbsenceTarget(req);
+      if (target.error) {
+        return sendError(res, target.status, target.error);
+      }
+
+      const { slug, schedule, person } = target;
+      const context = await findRotationContext(
+        storage,
+        slug,
+        schedule,
+        getNow(req)
+      );
+
+      res.json({
+        person,
+        absencePolicy: schedule.absencePolicy || DEFAULT_ABSENCE_POLICY,
+        absences: context.absences
+          .filter((absence) => absence.person === person)
+          .map(serializeAbsence),
+        owedTurns: getOwedTurns(schedule, context).filter(
+          (turn) => turn.person === person
+        ),
+      });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+);
+
+// POST /api/people/:name/absences - Record an absence (protected)
+apiRouter.post(
+  ["/people/:name/absences", "/schedules/:slug/people/:name/absences"],
+  requireScope("absences:write"),
+  validate("createAbsence"),
+  async (req, res) => {
+    try {
+      const { storage } = req.app.locals;
+      const target = await loadAbsenceTarget(req);
+      if (target.error) {
+        return sendError(res, target.status, target.error);
+      }
+
+      const { slug, person } = target;
+      const { reason } = req.body;
+      const startDate = parseCalendarDate(req.body.startDate);
+      const endDate = parseCalendarDate(req.body.endDate);
+
+      if (!startDate || !endDate) {
+        return sendError(
+          res,
+          400,
+          "A valid startDate and endDate are required"
+        );
+      }
+
+      if (endDate < startDate) {
+        return sendError(res, 400, "End date must not be before start date");
+      }
+
+      if (reason !== undefined) {
+        const reasonError =
+          typeof reason !== "string" || reason.length > 200
+            ? "Reason must be a string of at most 200 characters"
+            : CONTROL_CHARACTERS.test(reason)
+            ? "Reason must not contain control characters"
+            : null;
+        if (reasonError) {
+          return sendError(res, 400, reasonError);
+        }
+      }
+
+      // Overlapping absences would count the same days twice
+      const overlapping = await storage.absences.findOne({
+        scheduleSlug: slug,
+        person,
+        startDate: { $lte: endDate },
+        endDate: { $gte: startDate },
+      });
+      if (overlapping) {
+        return sendError(
+          res,
+          409,
+          "Absence overlaps an existing absence of this person",
+          {
+            code: "absence_overlap",
+            details: { absence: serializeAbsence(overlapping) },
+          }
+        );
+      }
+
+      const absence = await storage.absences.insert({
+        scheduleSlug: slug,
+        person,
+        startDate,
+        endDate,
+        reason,
+      });
+      await touchSchedule(storage, slug);
+      publishEvent(req, "schedule.updated", slug, {
+        change: "absence-created",
+      });
+
+      res.status(201).json({
+        message: "Absence recorded successfully",
+        absence: serializeAbsence(absence),
+      });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+);
+
+// DELETE /api/people/:name/absences/:id - Remove an absence (protected)
+apiRouter.delete(
+  ["/people/:name/absences/:id", "/schedules/:slug/people/:name/absences/:id"],
+  requireScope("absences:write"),
+  validate("deleteAbsence"),
+  async (req, res) => {
+    try {
+      const { storage } = req.app.locals;
+      const target = await loadAbsenceTarget(req);
+      if (target.error) {
+        return sendError(res, target.status, target.error);
+      }
+
+      const deleted = await storage.absences.deleteOne({
+        id: req.params.id,
+        scheduleSlug: target.slug,
+        person: target.person,
+      });
+
+      if (deleted === 0) {
+        return sendError(res, 404, "Absence not found");
+      }
+
+      await touchSchedule(storage, target.slug);
+      publishEvent(req, "schedule.updated", target.slug, {
+        change: "absence-deleted",
+      });
+
+      res.json({ message: "Absence deleted successfully" });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+);
+
+// Helper function to shape a history entry for JSON responses
+const serializeHistoryEntry = (entry) => ({
+  id: entry.id,
+  rotationNumber: entry.rotationNumber,
+  person: entry.person,
+  periodStart: entry.periodStart,
+  periodEnd: entry.periodEnd,
+  status: entry.status,
+  note: entry.note,
+  completedAt: entry.completedAt,
+});
+
+// POST /api/current/complete - Mark the current rotation done or skipped (protected)
+apiRouter.post(
+  ["/current/complete", "/schedules/:slug/current/complete"],
+  requireScope("history:write", "member"),
+  validate("completeRotation"),
+  async (req, res) => {
+    try {
+      const { storage } = req.app.locals;
+      const { status = "done", note, completedAt } = req.body;
+
+      if (!HISTORY_STATUSES.includes(status)) {
+        return sendError(
+          res,
+          400,
+          `Status must be one of: ${HISTORY_STATUSES.join(", ")}`
+        );
+      }
+
+      if (note !== undefined && typeof note !== "string") {
+        return sendError(res, 400, "Note must be a string");
+      }
+
+      const parsedCompletedAt = completedAt
+        ? new Date(completedAt)
+        : getNow(req);
+      if (isNaN(parsedCompletedAt.getTime())) {
+        return sendError(res, 400, "Invalid completedAt format");
+      }
+
+      const slug = getSlug(req);
+      const schedule = await findSchedule(storage, slug);
+
+      if (!schedule) {
+        return sendError(res, 404, "No schedule found");
+      }
+
+      const currentRotation = getCurrentRotation(
+        schedule,
+        await findRotationContext(storage, slug, schedule, getNow(req))
+      );
+
+      // Member tokens may only mark their own rotation done
+      if (
+        !hasScope(req.auth, "history:write") &&
+        (status !== "done" || currentRotation.currentPerson !== req.auth.person)
+      ) {
+        return sendError(
+          res,
+          403,
+          "Member tokens can only mark their own rotation done"
+        );
+      }
+
+      // Marking the same rotation again replaces the earlier entry
+      const existing = await findHistoryEntry(storage, slug, currentRotation);
+      const isNew = !existing;
+      const fields = {
+        person: currentRotation.currentPerson,
+        status,
+        note,
+        completedAt: parsedCompletedAt,
+      };
+
+      const entry = isNew
+        ? await storage.history.insert({
+            scheduleSlug: slug,
+            rotationNumber: currentRotation.rotationNumber,
+            periodStart: currentRotation.periodStart,
+            periodEnd: currentRotation.periodEnd,
+            ...fields,
+          })
+        : await storage.history.update(existing.id, fields);
+      await touchSchedule(storage, slug);
+      publishEvent(req, "schedule.updated", slug, {
+        change: "history-recorded",
+      });
+
+      res.status(isNew ? 201 : 200).json({
+        message: `Rotation marked as ${status}`,
+        entry: serializeHistoryEntry(entry),
+      });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+);
+
+// GET /api/history - Paginated rotation log with per-person stats (public)
+apiRouter.get(
+  ["/history", "/schedules/:slug/history"],
+  validate("listHistory"),
+  async (req, res) => {
+    try {
+      const { storage } = req.app.locals;
+      const page = parseInt(req.query.page, 10) || 1;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+      const from = parseDateParam(req.query.from);
+      const to = parseDateParam(req.query.to);
+
+      if (page < 1 || limit < 1) {
+        return sendError(res, 400, "Page and limit must be positive integers");
+      }
+
+      if (from === null || to === null) {
+        return sendError(res, 400, "Invalid from/to date format");
+      }
+
+      // Rotations overlapping [from, to], optionally for one person
+      const query = { scheduleSlug: getSlug(req) };
+      if (req.query.person) {
+        query.person = req.query.person;
+      }
+      if (from) {
+        query.periodEnd = { $gte: from };
+      }
+      if (to) {
+        query.periodStart = { $lte: to };
+      }
+
+      const total = await storage.history.count(query);
+      const entries = await storage.history.find(query, {
+        sort: { periodStart: -1 },
+        skip: (page - 1) * limit,
+        limit,
+      });
+
+      // Stats cover every matching entry, not just the current page
+      const allEntries = await storage.history.find(query);
+      const statsByPerson = {};
+      for (const entry of allEntries) {
+        const stats = (statsByPerson[entry.person] = statsByPerson[
+          entry.person
+        ] || { person: entry.person, done: 0, skipped: 0 });
+        stats[entry.status] += 1;
+      }
+
+      res.json({
+        history: entries.map(serializeHistoryEntry),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+        stats: Object.values(statsByPerson).map((stats) => ({
+          ...stats,
+          total: stats.done + stats.skipped,
+          completionRate: stats.done / (stats.done + stats.skipped),
+        })),
+      });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+);
+
+// Helper function to load the task ticks recorded for a rotation, oldest first
+const findTaskCompletions = (storage, slug, rotation) =>
+  storage.taskCompletions.find(
+    {
+      scheduleSlug: slug,
+      rotationNumber: rotation.rotationNumber,
+      periodStart: rotation.periodStart,
+    },
+    { sort: { completedAt: 1 } }
+  );
+
+// Helper function to count how many ticks a task needs in a rotation
+// perWeek scales with the period's length in days, rounded up
+const getRequiredTicks = (task, rotation) => {
+  if (!task.perWeek) {
+    return 1;
+  }
+
+  const days = Math.round(
+    (rotation.periodEnd - rotation.periodStart + 1) / MS_PER_DAY
+  );
+  return Math.max(Math.ceil((task.perWeek * days) / 7), 1);
+};
+
+// Helper function to combine a schedule's tasks with a rotation's ticks
+// Ticks of tasks no longer on the schedule are ignored
+const buildChecklist = (schedule, rotation, completions) => {
+  const tasks = serializeTasks(schedule).map((task) => {
+    const ticks = completions.filter(
+      (completion) => completion.taskId === task.id
+    );
+    const required = getRequiredTicks(task, rotation);
+
+    return {
+      ...task,
+      required,
+      completed: Math.min(ticks.length, required),
+      remaining: Math.max(required - ticks.length, 0),
+      done: ticks.length >= required,
+      completions: ticks.map(({ completedBy, completedAt }) => ({
+        completedBy,
+        completedAt,
+      })),
+    };
+  });
+
+  const required = tasks.reduce((sum, task) => sum + task.required, 0);
+  const completed = tasks.reduce((sum, task) => sum + task.completed, 0);
+
+  return {
+    tasks,
+    progress: {
+      completed,
+      required,
+      done: tasks.filter((task) => task.done).length,
+      total: tasks.length,
+      percent: required === 0 ? 100 : Math.floor((completed / required) * 100),
+    },
+  };
+};
+
+// Helper function to shape a rotation's checklist for JSON responses
+const serializeChecklist = (rotation, checklist) => ({
+  rotationNumber: rotation.rotationNumber,
+  person: rotation.currentPerson,
+  periodStart: rotation.periodStart,
+  periodEnd: rotation.periodEnd,
+  ...checklist,
+});
+
+// Helper function to load the current rotation and one of its tasks and
+// check the caller may tick it; members only tick their own rotation's tasks
+// Returns { error, status } or { slug, schedule, rotation, task }
+const loadTaskTarget = async (req) => {
+  const { storage } = req.app.locals;
+  const slug = getSlug(req);
+  const schedule = await findSchedule(storage, slug);
+
+  if (!schedule) {
+    return { status: 404, error: "No schedule found" };
+  }
+
+  const rotation = getCurrentRotation(
+    schedule,
+    await findRotationContext(storage, slug, schedule, getNow(req))
+  );
+
+  if (
+    !hasScope(req.auth, "history:write") &&
+    rotation.currentPerson !== req.auth.person
+  ) {
+    return {
+      status: 403,
+      error: "Member tokens can only tick tasks of their own rotation",
+    };
+  }
+
+  const task = serializeTasks(schedule).find(
+    (candidate) => candidate.id === req.params.taskId
+  );
+
+  if (!task) {
+    return { status: 404, error: "Task not found" };
+  }
+
+  return { slug, schedule, rotation, task };
+};
+
+// GET /api/current/tasks - Checklist of the current rotation (public)
+// ?at=<date> answers for the rotation at that moment instead of now
+apiRouter.get(
+  ["/current/tasks", "/schedules/:slug/current/tasks"],
+  validate("getTaskChecklist"),
+  async (req, res) => {
+    try {
+      const { storage } = req.app.locals;
+      const at = parseDateParam(req.query.at);
+
+      if (at === null) {
+        return sendError(res, 400, "Invalid at date format");
+      }
+
+      const slug = getSlug(req);
+      const schedule = await findSchedule(storage, slug);
+
+      if (!schedule) {
+        return sendError(res, 404, "No schedule found");
+      }
+
+      const currentRotation = getCurrentRotation(
+        schedule,
+        await findRotationContext(storage, slug, schedule, at || getNow(req))
+      );
+
+      if (
+        sendNotModified(req, res, getContentVersion(schedule, currentRotation))
+      ) {
+        return;
+      }
+
+      const completions = await findTaskCompletions(
+        storage,
+        slug,
+        currentRotation
+      );
+
+      res.json(
+        serializeChecklist(
+          currentRotation,
+          buildChecklist(schedule, currentRotation, completions)
+        )
+      );
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+);
+
+// POST /api/current/tasks/:taskId - Tick a task off the current checklist (protected)
+// Tasks due several times a rotation take one tick per time
+apiRouter.post(
+  ["/current/tasks/:taskId", "/schedules/:slug/current/tasks/:taskId"],
+  requireScope("history:write", "member"),
+  validate("tickTask"),
+  async (req, res) => {
+    try {
+      const { storage } = req.app.locals;
+      const target = await loadTaskTarget(req);
+      if (target.error) {
+        return sendError(res, target.status, target.error);
+      }
+
+      const { slug, schedule, rotation, task } = target;
+      const completions = await findTaskCompletions(storage, slug, rotation);
+      const ticks = completions.filter(
+        (completion) => completion.taskId === task.id
+      );
+
+      if (ticks.length >= getRequiredTicks(task, rotation)) {
+        return sendError(res, 409, "Task is already done for this rotation", {
+          code: "task_done",
+        });
+      }
+
+      const completion = await storage.taskCompletions.insert({
+        scheduleSlug: slug,
+        rotationNumber: rotation.rotationNumber,
+        periodStart: rotation.periodStart,
+        taskId: task.id,
+        completedBy: req.auth.person || req.auth.name,
+        completedAt: getNow(req),
+      });
+      await touchSchedule(storage, slug);
+
+      const checklist = serializeChecklist(
+        rotation,
+        buildChecklist(schedule, rotation, [...completions, completion])
+      );
+      publishEvent(req, "task.completed", slug, {
+        rotationNumber: rotation.rotationNumber,
+        task: checklist.tasks.find((item) => item.id === task.id),
+        completedBy: completion.completedBy,
+        progress: checklist.progress,
+      });
+
+      res.status(201).json({ message: "Task ticked off", ...checklist });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+);
+
+// DELETE /api/current/tasks/:taskId - Undo the latest tick of a task (protected)
+apiRouter.delete(
+  ["/current/tasks/:taskId", "/schedules/:slug/current/tasks/:taskId"],
+  requireScope("history:write", "member"),
+  validate("untickTask"),
+  async (req, res) => {
+    try {
+      const { storage } = req.app.locals;
+      const target = await loadTaskTarget(req);
+      if (target.error) {
+        return sendError(res, target.status, target.error);
+      }
+
+      const { slug, schedule, rotation, task } = target;
+      const completions = await findTaskCompletions(storage, slug, rotation);
+      const latest = completions
+        .filter((completion) => completion.taskId === task.id)
+        .pop();
+
+      if (!latest) {
+        return sendError(res, 404, "Task has not been ticked this rotation");
+      }
+
+      await storage.taskCompletions.deleteOne({ id: latest.id });
+      await touchSchedule(storage, slug);
+      publishEvent(req, "schedule.updated", slug, { change: "task-unticked" });
+
+      res.json({
+        message: "Task tick removed",
+        ...serializeChecklist(
+          rotation,
+          buildChecklist(
+            schedule,
+            rotation,
+            completions.filter((completion) => completion !== latest)
+          )
+        ),
+      });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+);
+
+// Live updates
+// GET /api/events streams the events write routes publish. Rotation
+// boundaries pass without any request, so a watcher compares each schedule's
+// current rotation every ROTATION_CHECK_SECONDS and publishes the changes.
+
+const ROTATION_CHECK_SECONDS = 30;
+// Comment lines keep idle streams from being cut by proxies
+const EVENTS_KEEPALIVE_SECONDS = 25;
+// How long browsers wait before reconnecting a dropped stream
+const EVENTS_RETRY_MS = 5000;
+
+// GET /api/events - Server-sent stream of schedule changes (public)
+// Clients that reconnect with Last-Event-ID get the events they missed, or a
+// schedule.updated event without a slug when those are no longer known
+apiRouter.get("/events", validate("streamEvents"), (req, res) => {
+  const { events } = req.app.locals;
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // Stop nginx from buffering the stream
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write(`retry: ${EVENTS_RETRY_MS}\n\n`);
+
+  const lastEventId = req.get("Last-Event-ID");
+  if (lastEventId) {
+    const missed = events.since(lastEventId);
+
+    if (missed) {
+      missed.forEach((event) => res.write(formatEvent(event)));
+    } else {
+      res.write(
+        formatEvent({
+          id: events.lastId,
+          type: "schedule.updated",
+          data: { slug: null, change: "resync" },
+        })
+      );
+    }
+  }
+
+  const unsubscribe = events.subscribe((event) =>
+    res.write(formatEvent(event))
+  );
+  const keepAlive = setInterval(
+    () => res.write(": keep-alive\n\n"),
+    EVENTS_KEEPALIVE_SECONDS * 1000
+  );
+
+  req.on("close", () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+    res.end();
+  });
+});
+
+// Current rotation of each schedule as of the last check, per event stream
+const rotationSnapshots = new WeakMap();
+
+// Publishes rotation.changed for every schedule whose current rotation, or
+// the person on it, differs from the last check. The first check of an app
+// only takes note of where each schedule stands.
+const checkRotations = async (app) => {
+  const { storage, clock, events } = app.locals;
+  const now = clock();
+  const previous = rotationSnapshots.get(events);
+  const current = new Map();
+
+  for (const schedule of await storage.schedules.find()) {
+    const slug = schedule.slug || DEFAULT_SCHEDULE_SLUG;
+    const rotation = getCurrentRotation(
+      schedule,
+      await findRotationContext(storage, slug, schedule, now)
+    );
+    const seen = previous && previous.get(slug);
+
+    current.set(slug, {
+      rotationNumber: rotation.rotationNumber,
+      person: rotation.currentPerson,
+    });
+
+    if (
+      seen &&
+      (seen.rotationNumber !== rotation.rotationNumber ||
+        seen.person !== rotation.currentPerson)
+    ) {
+      events.publish("rotation.changed", {
+        slug,
+        rotationNumber: rotation.rotationNumber,
+        person: rotation.currentPerson,
+        periodStart: rotation.periodStart,
+        periodEnd: rotation.periodEnd,
+        previous: seen,
+      });
+    }
+  }
+
+  rotationSnapshots.set(events, current);
+};
+
+// Returns the interval timer of the rotation watcher
+const startRotationWatcher = (app) => {
+  let running = false;
+
+  const tick = async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      await checkRotations(app);
+    } catch (error) {
+      console.error("Rotation watcher error:", error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, ROTATION_CHECK_SECONDS * 1000);
+  tick();
+  return timer;
+};
+
+// Notification scheduler
+// Every NOTIFICATION_INTERVAL_SECONDS the scheduler works out which
+// notifications are due for each schedule and sends those not yet delivered
+
+const NOTIFICATION_INTERVAL_SECONDS =
+  process.env.NOTIFICATION_INTERVAL_SECONDS === undefined
+    ? 60
+    : parseInt(process.env.NOTIFICATION_INTERVAL_SECONDS, 10);
+// Failed deliveries are retried on later runs up to this many attempts
+const MAX_DELIVERY_ATTEMPTS = 3;
+
+// Helper function to format a date for notification texts
+const formatDateForNotification = (date, timeZone) =>
+  new Date(date).toLocaleDateString("en-US", {
+    weekday: "short",
+    month: "long",
+    day: "numeric",
+    timeZone,
+  });
+
+// Helper function to build the message sent to every channel type
+const buildNotificationMessage = (
+  id,
+  event,
+  schedule,
+  rotation,
+  now = new Date()
+) => {
+  const scheduleName = schedule.name || "Cleaning Schedule";
+  const { timeZone } = getCadence(schedule);
+  const dates = `${formatDateForNotification(
+    rotation.periodStart,
+    timeZone
+  )} - ${formatDateForNotification(rotation.periodEnd, timeZone)}`;
+  const daysUntil = Math.ceil((rotation.periodStart - now) / MS_PER_DAY);
+
+  const titles = {
+    "rotation.started": `🧹 ${rotation.person}'s cleaning turn has started`,
+    "reminder.upcoming": `🧹 ${
+      rotation.person
+    }'s cleaning turn starts in ${daysUntil} day${daysUntil === 1 ? "" : "s"}`,
+    "reminder.last-day": `🧹 Last day of ${rotation.person}'s cleaning turn`,
+    test: `🧹 Test notification`,
+  };
+
+  return {
+    id: String(id),
+    event,
+    title: `${titles[event]} (${scheduleName})`,
+    text: `${rotation.person} is responsible for cleaning (${scheduleName}): ${dates}`,
+    schedule: {
+      slug: schedule.slug || DEFAULT_SCHEDULE_SLUG,
+      name: schedule.name,
+    },
+    person: rotation.person,
+    rotationNumber: rotation.rotationNumber,
+    periodStart: rotation.periodStart,
+    periodEnd: rotation.periodEnd,
+    isOverride: rotation.isOverride,
+    sentAt: now,
+  };
+};
+
+// Helper function to list the notifications due for a schedule at `now`
+// Each entry carries the idempotency key suffix that identifies it
+const getDueNotifications = (schedule, context, channel, now) => {
+  const daysBefore = channel.daysBefore || [];
+  const horizon = addDays(now, Math.max(0, ...daysBefore));
+  const rotations = getRotationsInRange(schedule, now, horizon, context);
+  const current = rotations.find((rotation) => rotation.periodStart <= now);
+  const due = [];
+
+  if (current) {
+    // Boundaries are announced during the first day of a period, so a
+    // short outage still sends them but a new channel does not spam old ones
+    if (now - current.periodStart < MS_PER_DAY) {
+      due.push({ event: "rotation.started", rotation: current });
+    }
+
+    const { timeZone } = getCadence(schedule);
+    const lastDayStart = getLocalMidnight(
+      toCalendarDate(current.periodEnd, timeZone),
+      timeZone
+    );
+    if (now >= lastDayStart) {
+      due.push({ event: "reminder.last-day", rotation: current });
+    }
+  }
+
+  for (const rotation of rotations) {
+    if (rotation.periodStart <= now) {
+      continue;
+    }
+
+    // Only the nearest offset whose time has come is due. Longer ones were
+    // sent when their time came, or it passed before the channel existed or
+    // while nothing ran, and sending them now would only repeat it
+    const opened = daysBefore.filter(
+      (days) => now >= addDays(rotation.periodStart, -days)
+    );
+    if (opened.length > 0) {
+      due.push({
+        event: "reminder.upcoming",
+        rotation,
+        days: Math.min(...opened),
+      });
+    }
+  }
+
+  return due.filter(
+    ({ event, rotation }) =>
+      channel.events.includes(event) &&
+      (!channel.person || channel.person === rotation.person)
+  );
+};
+
+// Helper function to send one notification through a channel at most once
+const deliverNotification = async (
+  storage,
+  channel,
+  schedule,
+  notification,
+  now
+) => {
+  const { event, rotation, days } = notification;
+  const slug = schedule.slug || DEFAULT_SCHEDULE_SLUG;
+  const key = [
+    channel.id,
+    slug,
+    event,
+    rotation.rotationNumber,
+    rotation.periodStart.toISOString(),
+    days,
+  ]
+    .filter((part) => part !== undefined)
+    .join(":");
+
+  const existing = await storage.notificationDeliveries.findOne({ key });
+
+  if (
+    existing &&
+    (existing.status !== "failed" || existing.attempts >= MAX_DELIVERY_ATTEMPTS)
+  ) {
+    // Already sent, in flight when the server stopped, or out of retries
+    return;
+  }
+
+  // Record the attempt before sending so a crash mid-send never re-sends
+  const delivery = existing
+    ? await storage.notificationDeliveries.update(existing.id, {
+        status: "pending",
+        attempts: existing.attempts + 1,
+      })
+    : await storage.notificationDeliveries.insert({
+        key,
+        channelId: channel.id,
+        channelName: channel.name,
+        event,
+        scheduleSlug: slug,
+        rotationNumber: rotation.rotationNumber,
+        person: rotation.person,
+        status: "pending",
+        attempts: 1,
+      });
+
+  await sendThroughChannel(
+    storage,
+    channel,
+    delivery,
+    buildNotificationMessage(delivery.id, event, schedule, rotation, now)
+  );
+};
+
+// Helper function to send a message and record the outcome on its delivery
+// Returns the updated delivery
+const sendThroughChannel = async (storage, channel, delivery, message) => {
+  let outcome;
+
+  try {
+    await notificationChannels[channel.type].send(channel.config, message);
+    outcome = { status: "sent", sentAt: new Date(), error: undefined };
+  } catch (error) {
+    outcome = { status: "failed", error: error.message };
+  }
+
+  return storage.notificationDeliveries.update(delivery.id, outcome);
+};
+
+// Runs one scheduler pass over every schedule and enabled channel
+const runNotificationCycle = async (storage, now = new Date()) => {
+  const channels = await storage.notificationChannels.find({ enabled: true });
+
+  if (channels.length === 0) {
+    return;
+  }
+
+  const schedules = await storage.schedules.find();
+
+  for (const schedule of schedules) {
+    const slug = schedule.slug || DEFAULT_SCHEDULE_SLUG;
+    const context = await findRotationContext(storage, slug, schedule, now);
+
+    for (const channel of channels) {
+      if (channel.scheduleSlug && channel.scheduleSlug !== slug) {
+        continue;
+      }
+
+      const due = getDueNotifications(schedule, context, channel, now);
+      for (const notification of due) {
+        await deliverNotification(
+          storage,
+          channel,
+          schedule,
+          notification,
+          now
+        );
+      }
+    }
+  }
+};
+
+// Returns the interval timer, or null when the scheduler is disabled
+const startNotificationScheduler = (storage) => {
+  if (!NOTIFICATION_INTERVAL_SECONDS || NOTIFICATION_INTERVAL_SECONDS < 1) {
+    return null;
+  }
+
+  let running = false;
+
+  const tick = async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      await runNotificationCycle(storage);
+    } catch (error) {
+      console.error("Notification scheduler error:", error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, NOTIFICATION_INTERVAL_SECONDS * 1000);
+  tick();
+  return timer;
+};
+
+// Helper function to shape a channel for JSON responses, hiding secrets
+const serializeChannel = (channel) => ({
+  id: channel.id,
+  name: channel.name,
+  type: channel.type,
+  config: {
+    ...channel.config,
+    ...(channel.config && channel.config.secret && { secret: "********" }),
+  },
+  enabled: channel.enabled,
+  scheduleSlug: channel.scheduleSlug,
+  person: channel.person,
+  events: channel.events,
+  daysBefore: channel.daysBefore,
+  createdAt: channel.createdAt,
+  updatedAt: channel.updatedAt,
+});
+
+// Helper function to shape a delivery log entry for JSON responses
+const serializeDelivery = (delivery) => ({
+  id: delivery.id,
+  channelId: delivery.channelId,
+  channelName: delivery.channelName,
+  event: delivery.event,
+  scheduleSlug: delivery.scheduleSlug,
+  rotationNumber: delivery.rotationNumber,
+  person: delivery.person,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  error: delivery.error,
+  sentAt: delivery.sentAt,
+  createdAt: delivery.createdAt,
+});
+
+// Helper function to validate channel fields from a request body
+// `existing` is the channel being updated, so only provided fields are checked
+// Returns { error } or the fields to set
+const parseChannel = (body, existing) => {
+  const fields = {};
+  const type = body.type === undefined && existing ? existing.type : body.type;
+
+  if (body.name !== undefined || !existing) {
+    if (typeof body.name !== "string" || !body.name.trim()) {
+      return { error: "Channel name is required" };
+    }
+    fields.name = body.name.trim();
+  }
+
+  if (!CHANNEL_TYPES.includes(type)) {
+    return {
+      error: `Channel type must be one of: ${CHANNEL_TYPES.join(", ")}`,
+    };
+  }
+  fields.type = type;
+
+  if (body.config !== undefined || !existing || body.type !== undefined) {
+    const config = body.config || {};
+    if (typeof config !== "object" || Array.isArray(config)) {
+      return { error: "Channel config must be an object" };
+    }
+
+    const error = notificationChannels[type].validate(config);
+    if (error) {
+      return { error };
+    }
+    fields.config = config;
+  }
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== "boolean") {
+      return { error: "Enabled must be a boolean" };
+    }
+    fields.enabled = body.enabled;
+  }
+
+  for (const field of ["scheduleSlug", "person"]) {
+    if (body[field] !== undefined) {
+      if (body[field] !== null && typeof body[field] !== "string") {
+        return { error: `${field} must be a string or null` };
+      }
+      fields[field] = body[field] || undefined;
+    }
+  }
+
+  if (body.events !== undefined) {
+    if (
+      !Array.isArray(body.events) ||
+      !body.events.every((event) => NOTIFICATION_EVENTS.includes(event))
+    ) {
+      return {
+        error: `Events must be a list of: ${NOTIFICATION_EVENTS.join(", ")}`,
+      };
+    }
+    fields.events = body.events;
+  }
+
+  if (body.daysBefore !== undefined) {
+    if (
+      !Array.isArray(body.daysBefore) ||
+      !body.daysBefore.every(
+        (days) => Number.isInteger(days) && days >= 1 && days <= 30
+      )
+    ) {
+      return { error: "daysBefore must be a list of integers from 1 to 30" };
+    }
+    fields.daysBefore = body.daysBefore;
+  }
+
+  return fields;
+};
+
+// Helper function to load a channel by id, or null for unknown/invalid ids
+const findChannel = (storage, id) => storage.notificationChannels.findById(id);
+
+// GET /api/notifications/channels - List notification channels (protected)
+apiRouter.get(
+  "/notifications/channels",
+  requireScope("notifications:write"),
+  validate("listChannels"),
+  async (req, res) => {
+    try {
+      const { storage } = req.app.locals;
+      const channels = await storage.notificationChannels.find(
+        {},
+        { sort: { createdAt: 1 } }
+      );
+
+      res.json({ channels: channels.map(serializeChannel) });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+);
+
+// POST /api/notifications/channels - Add a notification channel (protected)
+apiRouter.post(
+  "/notifications/channels",
+  requireScope("notifications:write"),
+  validate("createChannel"),
+  async (req, res) => {
+    try {
+      const { storage } = req.app.locals;
+      const fields = parseChannel(req.body);
+      if (fields.error) {
+        return sendError(res, 400, fields.error);
+      }
+
+      if (await storage.notificationChannels.findOne({ name: fields.name })) {
+        return sendError(res, 409, "A channel with this name already exists", {
+          code: "channel_exists",
+        });
+      }
+
+      const channel = await storage.notificationChannels.insert(fields);
+
+      res.status(201).json({
+        message: "Channel created successfully",
+        channel: serializeChannel(channel),
+      });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+);
+
+// PUT /api/notifications/channels/:id - Update a notification channel (protected)
+apiRouter.put(
+  "/notifications/channels/:id",
+  requireScope("notifications:write"),
+  validate("updateChannel"),
+  async (req, res) => {
+    try {
+      const { storage } = req.app.locals;
+      const channel = await findChannel(storage, req.params.id);
+
+      if (!channel) {
+        return sendError(res, 404, "Channel not found");
+      }
+
+      const fields = parseChannel(req.body, channel);
+      if (fields.error) {
+        return sendError(res, 400, fields.error);
+      }
+
+      const updated = await storage.notificationChannels.update(channel.id, {
+        ...fields,
+        updatedAt: new Date(),
+      });
+
+      res.json({
+        message: "Channel updated successfully",
+        channel: serializeChannel(updated),
+      });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+);
+
+// DELETE /api/notifications/channels/:id - Remove a notification channel (protected)
+apiRouter.delete(
+  "/notifications/channels/:id",
+  requireScope("notifications:write"),
+  validate("deleteChannel"),
+  async (req, res) => {
+    try {
+      const { storage } = req.app.locals;
+      const channel = await findChannel(storage, req.params.id);
+
+      if (!channel) {
+        return sendError(res, 404, "Channel not found");
+      }
+
+      await storage.notificationChannels.deleteOne({ id: channel.id });
+
+      res.json({ message: "Channel deleted successfully" });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+);
+
+// POST /api/notifications/channels/:id/test - Send a test notification (protected)
+apiRouter.post(
+  "/notifications/channels/:id/test",
+  requireScope("notifications:write"),
+  validate("testChannel"),
+  async (req, res) => {
+    try {
+      const { storage } = req.app.locals;
+      const channel = await findChannel(storage, req.params.id);
+
+      if (!channel) {
+        return sendError(res, 404, "Channel not found");
+      }
+
+      const slug = channel.scheduleSlug || DEFAULT_SCHEDULE_SLUG;
+      const schedule = await findSchedule(storage, slug);
+
+      if (!schedule) {
+        return sendError(res, 404, "No schedule found");
+      }
+
+      const currentRotation = getCurrentRotation(
+        schedule,
+        await findRotationContext(storage, slug, schedule, getNow(req))
+      );
+      const rotation = {
+        ...currentRotation,
+        person: currentRotation.currentPerson,
+      };
+
+      const pending = await storage.notificationDeliveries.insert({
+        key: `${channel.id}:test:${Date.now()}`,
+        channelId: channel.id,
+        channelName: channel.name,
+        event: "test",
+        scheduleSlug: slug,
+        rotationNumber: rotation.rotationNumber,
+        person: rotation.person,
+        attempts: 1,
+      });
+
+      const delivery = await sendThroughChannel(
+        storage,
+        channel,
+        pending,
+        buildNotificationMessage(pending.id, "test", schedule, rotation)
+      );
+
+      res.status(delivery.status === "sent" ? 200 : 502).json({
+        message:
+          delivery.status === "sent"
+            ? "Test notification sent"
+            : "Test notification failed",
+        delivery: serializeDelivery(delivery),
+      });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+);
+
+// GET /api/notifications/deliveries - Paginated delivery log (protected)
+apiRouter.get(
+  "/notifications/deliveries",
+  requireScope("notifications:write"),
+  validate("listDeliveries"),
+  async (req, res) => {
+    try {
+      const { storage } = req.app.locals;
+      const page = parseInt(req.query.page, 10) || 1;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+      if (page < 1 || limit < 1) {
+        return sendError(res, 400, "Page and limit must be positive integers");
+      }
+
+      const query = {};
+      if (req.query.channel) {
+        if (!isRecordId(req.query.channel)) {
+          return sendError(res, 400, "Invalid channel id");
+        }
+        query.channelId = req.query.channel;
+      }
+      if (req.query.status) {
+        query.status = req.query.status;
+      }
+
+      const total = await storage.notificationDeliveries.count(query);
+      const deliveries = await storage.notificationDeliveries.find(query, {
+        sort: { createdAt: -1 },
+        skip: (page - 1) * limit,
+        limit,
+      });
+
+      res.json({
+        deliveries: deliveries.map(serializeDelivery),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+);
+
+// Helper function to shape a token for JSON responses (never the hash)
+const serializeToken = (token) => ({
+  id: token.id,
+  name: token.name,
+  prefix: token.prefix,
+  scopes: token.scopes,
+  person: token.person,
+  expiresAt: token.expiresAt,
+  lastUsedAt: token.lastUsedAt,
+  revokedAt: token.revokedAt,
+  createdAt: token.createdAt,
+});
+
+// GET /api/tokens - List API tokens (protected)
+apiRouter.get(
+  "/tokens",
+  requireScope("tokens:admin"),
+  validate("listTokens"),
+  async (req, res) => {
+    try {
+      const { storage } = req.app.locals;
+      const tokens = await storage.apiTokens.find(
+        {},
+        { sort: { createdAt: 1 } }
+      );
+
+      res.json({ tokens: tokens.map(serializeToken) });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+);
+
+// POST /api/tokens - Mint an API token; the token is only ever shown here (protected)
+apiRouter.post(
+  "/tokens",
+  requireScope("tokens:admin"),
+  validate("createToken"),
+  async (req, res) => {
+    try {
+      const { storage } = req.app.locals;
+      const { name, scopes, person, expiresAt } = req.body;
+
+      if (typeof name !== "string" || !name.trim()) {
+        return sendError(res, 400, "Token name is required");
+      }
+
+      if (
+        !Array.isArray(scopes) ||
+        scopes.length === 0 ||
+        !scopes.every((scope) => TOKEN_SCOPES.includes(scope))
+      ) {
+        return sendError(
+          res,
+          400,
+          `Scopes must be a non-empty list of: ${TOKEN_SCOPES.join(", ")}`
+        );
+      }
+
+      if (
+        scopes.includes("member") &&
+        (typeof person !== "string" || !person)
+      ) {
+        return sendError(res, 400, "Member tokens need the person they act as");
+      }
+
+      if (person !== undefined && person !== null) {
+        const personError = validateName(
+          person,
+          "Person",
+          MAX_PERSON_NAME_LENGTH
+        );
+        if (personError) {
+          return sendError(res, 400, personError);
+        }
+      }
+
+      const parsedExpiresAt = expiresAt ? new Date(expiresAt) : undefined;
+      if (parsedExpiresAt && isNaN(parsedExpiresAt.getTime())) {
+        return sendError(res, 400, "Invalid expiresAt format");
+      }
+
+      const secret = "cst_" + crypto.randomBytes(32).toString("base64url");
+
+      const token = await storage.apiTokens.insert({
+        name,
+        tokenHash: hashToken(secret),
+        prefix: secret.slice(0, 12),
+        scopes,
+        person: person ? person.trim() : undefined,
+        expiresAt: parsedExpiresAt,
+      });
+
+      res.status(201).json({
+        message:
+          "Token created successfully. Store it now, it is not shown again",
+        token: secret,
+        details: serializeToken(token),
+      });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+);
+
+// DELETE /api/tokens/:id - Revoke an API token (protected)
+apiRouter.delete(
+  "/tokens/:id",
+  requireScope("tokens:admin"),
+  validate("revokeToken"),
+  async (req, res) => {
+    try {
+      const { storage } = req.app.locals;
+      const token = await storage.apiTokens.findById(req.params.id);
+
+      if (!token || token.revokedAt) {
+        return sendError(res, 404, "Token not found");
+      }
+
+      await storage.apiTokens.update(token.id, { revokedAt: new Date() });
+
+      res.json({ message: "Token revoked successfully" });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+);
+
+// Helper function to shape an audit entry for JSON responses
+const serializeAuditEntry = (entry) => ({
+  id: entry.id,
+  scheduleSlug: entry.scheduleSlug,
+  action: entry.action,
+  actor: entry.actor,
+  ip: entry.ip,
+  diff: entry.diff,
+  before: entry.before,
+  after: entry.after,
+  createdAt: entry.createdAt,
+});
+
+// GET /api/audit - Paginated log of schedule changes, newest first (protected)
+apiRouter.get(
+  "/audit",
+  requireScope("schedule:read"),
+  validate("listAuditEntries"),
+  async (req, res) => {
+    try {
+      const { storage } = req.app.locals;
+      const page = parseInt(req.query.page, 10) || 1;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+      if (page < 1 || limit < 1) {
+        return sendError(res, 400, "Page and limit must be positive integers");
+      }
+
+      const query = {};
+      if (req.query.slug) {
+        query.scheduleSlug = req.query.slug;
+      }
+      if (req.query.action) {
+        query.action = req.query.action;
+      }
+
+      const total = await storage.auditEntries.count(query);
+      const entries = await storage.auditEntries.find(query, {
+        sort: { createdAt: -1 },
+        skip: (page - 1) * limit,
+        limit,
+      });
+
+      res.json({
+        entries: entries.map(serializeAuditEntry),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+);
+
+// POST /api/audit/:id/restore - Revert a schedule to an audit snapshot (protected)
+// Restores the state after the entry's change, or before it with
+// { "state": "before" } (e.g. to undo a delete)
+apiRouter.post(
+  "/audit/:id/restore",
+  requireScope("schedule:write"),
+  validate("restoreAuditEntry"),
+  async (req, res) => {
+    try {
+      const { storage } = req.app.locals;
+      const { state = "after" } = req.body;
+
+      if (!["before", "after"].includes(state)) {
+        return sendError(res, 400, 'State must be "before" or "after"');
+      }
+
+      const entry = await storage.auditEntries.findById(req.params.id);
+
+      if (!entry) {
+        return sendError(res, 404, "Audit entry not found");
+      }
+
+      const snapshot = entry[state];
+
+      if (!snapshot) {
+        return sendError(
+          res,
+          400,
+          `The schedule did not exist ${state} this change`
+        );
+      }
+
+      const slug = entry.scheduleSlug;
+      const existing = await findSchedule(storage, slug);
+      const before = snapshotSchedule(existing);
+      const fields = {
+        slug,
+        name: snapshot.name,
+        people: snapshot.people,
+        startDate: snapshot.startDate,
+        rotation: snapshot.rotation,
+        weekStartDay: snapshot.weekStartDay,
+        timezone: snapshot.timezone,
+        einkProfile: snapshot.einkProfile || undefined,
+        locale: snapshot.locale || undefined,
+        strategy: snapshot.strategy || DEFAULT_STRATEGY,
+        absencePolicy: snapshot.absencePolicy || DEFAULT_ABSENCE_POLICY,
+        weights: Object.entries(snapshot.weights || {}).map(
+          ([person, weight]) => ({ person, weight })
+        ),
+        tasks: (snapshot.tasks || []).map(({ id, title, perWeek }) => ({
+          id,
+          title,
+          perWeek: perWeek ?? undefined,
+        })),
+        rosterHistory: snapshot.rosterHistory,
+        updatedAt: new Date(),
+      };
+      const schedule = existing
+        ? await storage.schedules.update(existing.id, fields)
+        : await storage.schedules.insert(fields);
+      invalidateRenderCache(storage, slug);
+      await recordAudit(
+        req,
+        "restore",
+        slug,
+        before,
+        snapshotSchedule(schedule)
+      );
+      publishEvent(req, "schedule.updated", slug, { change: "restored" });
+
+      res.json({
+        message: "Schedule restored successfully",
+        schedule: serializeSchedule(schedule),
+      });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+);
+
+// Backups: GET /api/export writes a versioned JSON file that POST /api/import
+// reads back. Version 1 holds schedules, each with its overrides, history,
+// absences and task ticks, plus the notification channels.
+const EXPORT_FORMAT = "cleaning-schedule-export";
+const EXPORT_VERSION = 1;
+const IMPORT_CONFLICT_MODES = ["fail", "skip", "replace"];
+// Largest import body, in bytes or e.g. "10mb"; exports outgrow the 100kb
+// other requests are held to
+const IMPORT_BODY_LIMIT = process.env.IMPORT_BODY_LIMIT || "10mb";
+
+// Columns of the history CSV, in order
+const HISTORY_CSV_COLUMNS = [
+  "schedule",
+  "rotationNumber",
+  "person",
+  "periodStart",
+  "periodEnd",
+  "status",
+  "note",
+  "completedAt",
+];
+
+// Helper function to load the schedules an export covers, newest per slug
+const findExportSchedules = async (storage, slug) => {
+  if (slug) {
+    const schedule = await findSchedule(storage, slug);
+    return schedule ? [schedule] : [];
+  }
+
+  const seen = new Set();
+  return (await storage.schedules.find({}, { sort: { createdAt: -1 } }))
+    .filter((schedule) => {
+      const key = schedule.slug || DEFAULT_SCHEDULE_SLUG;
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) =>
+      (a.slug || DEFAULT_SCHEDULE_SLUG).localeCompare(
+        b.slug || DEFAULT_SCHEDULE_SLUG
+      )
+    );
+};
+
+// Helper function to load a schedule's history entries in rotation order
+const findScheduleHistory = (storage, slug) =>
+  storage.history.find({ scheduleSlug: slug }, { sort: { rotationNumber: 1 } });
+
+// Helper function to gather a schedule and the data stored alongside it
+const exportSchedule = async (storage, schedule) => {
+  const slug = schedule.slug || DEFAULT_SCHEDULE_SLUG;
+
+  return {
+    slug,
+    ...snapshotSchedule(schedule),
+    createdAt: schedule.createdAt,
+    updatedAt: schedule.updatedAt,
+    overrides: (await findOverrides(storage, slug)).map((override) =>
+      withoutId(serializeOverride(override))
+    ),
+    history: (await findScheduleHistory(storage, slug)).map((entry) =>
+      withoutId(serializeHistoryEntry(entry))
+    ),
+    absences: (
+      await storage.absences.find(
+        { scheduleSlug: slug },
+        { sort: { startDate: 1 } }
+      )
+    ).map((absence) => withoutId(serializeAbsence(absence))),
+    taskCompletions: (
+      await storage.taskCompletions.find(
+        { scheduleSlug: slug },
+        { sort: { completedAt: 1 } }
+      )
+    ).map(
+      ({ rotationNumber, periodStart, taskId, completedBy, completedAt }) => ({
+        rotationNumber,
+        periodStart,
+        taskId,
+        completedBy,
+        completedAt,
+      })
+    ),
+  };
+};
+
+// Helper function to shape a channel for export; unlike serializeChannel the
+// secret is kept, so the backup can be restored
+const exportChannel = (channel) => ({
+  name: channel.name,
+  type: channel.type,
+  config: channel.config,
+  enabled: channel.enabled,
+  scheduleSlug: channel.scheduleSlug,
+  person: channel.person,
+  events: channel.events,
+  daysBefore: channel.daysBefore,
+});
+
+// Helper function to read a date from an import file, or null if invalid
+const parseImportDate = (value) => {
+  if (typeof value !== "string" && typeof value !== "number") {
+    return null;
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Helper function to check that a value is a plain object
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+// Helper function to validate an imported roster history against `people`
+// Returns { error } or { rosterHistory }
+const parseImportedRosterHistory = (rosterHistory, people) => {
+  if (rosterHistory === undefined || rosterHistory === null) {
+    return { rosterHistory: [{ fromIndex: 0, people, offset: 0 }] };
+  }
+
+  if (!Array.isArray(rosterHistory) || rosterHistory.length === 0) {
+    return { error: "rosterHistory must be a non-empty array" };
+  }
+
+  const parsed = [];
+
+  for (const segment of rosterHistory) {
+    if (!isPlainObject(segment)) {
+      return { error: "Each rosterHistory entry must be an object" };
+    }
+
+    const { fromIndex, offset = 0 } = segment;
+    const previous = parsed[parsed.length - 1];
+
+    if (
+      !Number.isInteger(fromIndex) ||
+      (previous ? fromIndex <= previous.fromIndex : fromIndex !== 0)
+    ) {
+      return {
+        error: "rosterHistory fromIndex values must start at 0 and increase",
+      };
+    }
+
+    const segmentPeople = parsePeople(segment.people);
+    if (segmentPeople.error) {
+      return { error: `rosterHistory: ${segmentPeople.error}` };
+    }
+
+    if (
+      !Number.isInteger(offset) ||
+      offset < 0 ||
+      offset >= segmentPeople.people.length
+    ) {
+      return { error: "rosterHistory offset must index into its people" };
+    }
+
+    parsed.push({ fromIndex, people: segmentPeople.people, offset });
+  }
+
+  if (parsed[parsed.length - 1].people.join("\n") !== people.join("\n")) {
+    return { error: "The last rosterHistory entry must list the same people" };
+  }
+
+  return { rosterHistory: parsed };
+};
+
+// Helper function to validate an imported override in its stored form
+// Returns { error } or the fields to store
+const parseImportedOverride = (data) => {
+  if (!isPlainObject(data)) {
+    return { error: "Must be an object" };
+  }
+
+  const { type = "assign", person, swapWith, reason } = data;
+  const rotationNumber = data.rotationNumber ?? undefined;
+  const createdAt =
+    data.createdAt === undefined ? new Date() : parseImportDate(data.createdAt);
+
+  if (!["assign", "swap"].includes(type)) {
+    return { error: 'Override type must be "assign" or "swap"' };
+  }
+
+  const personError = validateName(
+    person,
+    "Override person",
+    MAX_PERSON_NAME_LENGTH
+  );
+  if (personError) {
+    return { error: personError };
+  }
+
+  if (reason !== undefined && reason !== null && typeof reason !== "string") {
+    return { error: "Reason must be a string" };
+  }
+
+  if (!createdAt) {
+    return { error: "Invalid createdAt date" };
+  }
+
+  const fields = { type, person, reason: reason ?? undefined, createdAt };
+
+  if (type === "swap") {
+    const swapWithError = validateName(
+      swapWith,
+      "swapWith",
+      MAX_PERSON_NAME_LENGTH
+    );
+    if (swapWithError) {
+      return { error: swapWithError };
+    }
+
+    if (
+      ![rotationNumber, data.swapRotationNumber].every(
+        (number) => Number.isInteger(number) && number >= 1
+      )
+    ) {
+      return {
+        error: "Swaps need positive rotationNumber and swapRotationNumber",
+      };
+    }
+
+    return {
+      ...fields,
+      rotationNumber,
+      swapWith,
+      swapRotationNumber: data.swapRotationNumber,
+    };
+  }
+
+  if (rotationNumber !== undefined) {
+    if (!Number.isInteger(rotationNumber) || rotationNumber < 1) {
+      return { error: "Rotation number must be a positive integer" };
+    }
+
+    return { ...fields, rotationNumber };
+  }
+
+  const startDate = parseCalendarDate(data.startDate);
+  const endDate = parseCalendarDate(data.endDate);
+
+  if (!startDate || !endDate || endDate < startDate) {
+    return {
+      error:
+        "Either rotationNumber or a valid startDate and endDate is required",
+    };
+  }
+
+  return { ...fields, startDate, endDate };
+};
+
+// Helper function to validate an imported history entry
+// Returns { error } or the fields to store
+const parseImportedHistoryEntry = (data) => {
+  if (!isPlainObject(data)) {
+    return { error: "Must be an object" };
+  }
+
+  const { rotationNumber, person, status, note } = data;
+  const periodStart = parseImportDate(data.periodStart);
+  const periodEnd = parseImportDate(data.periodEnd);
+  const completedAt =
+    data.completedAt === undefined || data.completedAt === null
+      ? periodEnd
+      : parseImportDate(data.completedAt);
+
+  if (!Number.isInteger(rotationNumber) || rotationNumber < 1) {
+    return { error: "Rotation number must be a positive integer" };
+  }
+
+  const personError = validateName(
+    person,
+    "History person",
+    MAX_PERSON_NAME_LENGTH
+  );
+  if (personError) {
+    return { error: personError };
+  }
+
+  if (!periodStart || !periodEnd || periodEnd < periodStart) {
+    return { error: "A valid periodStart and periodEnd are required" };
+  }
+
+  if (!HISTORY_STATUSES.includes(status)) {
+    return {
+      error: `Status must be one of: ${HISTORY_STATUSES.join(", ")}`,
+    };
+  }
+
+  if (note !== undefined && note !== null && typeof note !== "string") {
+    return { error: "Note must be a string" };
+  }
+
+  if (!completedAt) {
+    return { error: "Invalid completedAt date" };
+  }
+
+  return {
+    rotationNumber,
+    person,
+    periodStart,
+    periodEnd,
+    status,
+    note: note || undefined,
+    completedAt,
+  };
+};
+
+// Helper function to validate an imported absence
+// Returns { error } or the fields to store
+const parseImportedAbsence = (data) => {
+  if (!isPlainObject(data)) {
+    return { error: "Must be an object" };
+  }
+
+  const personError = validateName(
+    data.person,
+    "Absence person",
+    MAX_PERSON_NAME_LENGTH
+  );
+  if (personError) {
+    return { error: personError };
+  }
+
+  const startDate = parseCalendarDate(data.startDate);
+  const endDate = parseCalendarDate(data.endDate);
+
+  if (!startDate || !endDate || endDate < startDate) {
+    return { error: "A valid startDate and endDate are required" };
+  }
+
+  const { reason } = data;
+  if (
+    reason !== undefined &&
+    reason !== null &&
+    (typeof reason !== "string" || reason.length > 200)
+  ) {
+    return { error: "Reason must be a string of at most 200 characters" };
+  }
+
+  return {
+    person: data.person,
+    startDate,
+    endDate,
+    reason: reason || undefined,
+    createdAt: parseImportDate(data.createdAt) || new Date(),
+  };
+};
+
+// Helper function to validate an imported task tick
+// Returns { error } or the fields to store
+const parseImportedTaskCompletion = (data) => {
+  if (!isPlainObject(data)) {
+    return { error: "Must be an object" };
+  }
+
+  const { rotationNumber, taskId, completedBy } = data;
+  const periodStart = parseImportDate(data.periodStart);
+  const completedAt = parseImportDate(data.completedAt);
+
+  if (!Number.isInteger(rotationNumber) || rotationNumber < 1) {
+    return { error: "Rotation number must be a positive integer" };
+  }
+
+  if (typeof taskId !== "string" || !TASK_ID_PATTERN.test(taskId)) {
+    return { error: "Task id must be a task id string" };
+  }
+
+  if (!periodStart || !completedAt) {
+    return { error: "A valid periodStart and completedAt are required" };
+  }
+
+  if (
+    completedBy !== undefined &&
+    completedBy !== null &&
+    typeof completedBy !== "string"
+  ) {
+    return { error: "completedBy must be a string" };
+  }
+
+  return {
+    rotationNumber,
+    periodStart,
+    taskId,
+    completedBy: completedBy ?? undefined,
+    completedAt,
+  };
+};
+
+// Helper function to validate one schedule of an import file
+// Returns { errors } or { slug, fields, records } where records holds the
+// overrides, history, absences and task ticks to store with it
+const parseImportedSchedule = (data) => {
+  if (!isPlainObject(data)) {
+    return { errors: ["Must be an object"] };
+  }
+
+  const slug = typeof data.slug === "string" ? data.slug.toLowerCase() : "";
+  if (!isValidSlug(slug)) {
+    return {
+      errors: [
+        "Slug must be lowercase letters, digits and dashes, and not a reserved word",
+      ],
+    };
+  }
+
+  const parsedPeople = parsePeople(data.people);
+  if (parsedPeople.error) {
+    return { errors: [parsedPeople.error] };
+  }
+  const { people } = parsedPeople;
+
+  const errors = [];
+
+  if (data.name !== undefined && data.name !== null && data.name !== "") {
+    const nameError = validateName(
+      data.name,
+      "Schedule name",
+      MAX_SCHEDULE_NAME_LENGTH
+    );
+    if (nameError) {
+      errors.push(nameError);
+    }
+  }
+
+  const startDate = parseImportDate(data.startDate);
+  if (!startDate) {
+    errors.push("Invalid start date format");
+  }
+
+  // Snapshots always carry dayOfMonth; it only means something monthly
+  const { rotation } = data;
+  const cadence = parseCadence({
+    rotation:
+      isPlainObject(rotation) && rotation.unit !== "month"
+        ? { unit: rotation.unit, length: rotation.length }
+        : rotation,
+    weekStartDay: data.weekStartDay ?? undefined,
+    timezone: data.timezone ?? undefined,
+  });
+
+  const einkProfile = parseEinkProfile({ einkProfile: data.einkProfile });
+  const locale = parseLocale({ locale: data.locale });
+  const strategy = parseStrategy(
+    {
+      strategy: data.strategy ?? undefined,
+      weights: data.weights ?? undefined,
+      absencePolicy: data.absencePolicy ?? undefined,
+    },
+    people
+  );
+  const tasks = parseTasks({ tasks: data.tasks ?? undefined });
+  const rosterHistory = parseImportedRosterHistory(data.rosterHistory, people);
+
+  for (const result of [
+    cadence,
+    einkProfile,
+    locale,
+    strategy,
+    tasks,
+    rosterHistory,
+  ]) {
+    if (result.error) {
+      errors.push(result.error);
+    }
+  }
+
+  const records = {};
+
+  for (const [field, parse] of [
+    ["overrides", parseImportedOverride],
+    ["history", parseImportedHistoryEntry],
+    ["absences", parseImportedAbsence],
+    ["taskCompletions", parseImportedTaskCompletion],
+  ]) {
+    const list = data[field] ?? [];
+
+    if (!Array.isArray(list)) {
+      errors.push(`${field} must be an array`);
+      continue;
+    }
+
+    records[field] = [];
+    list.forEach((item, index) => {
+      const parsed = parse(item);
+      if (parsed.error) {
+        errors.push(`${field}[${index}]: ${parsed.error}`);
+      } else {
+        records[field].push({ scheduleSlug: slug, ...parsed });
+      }
+    });
+  }
+
+  // The history log allows one entry per rotation
+  const rotations = new Set();
+  for (const entry of records.history || []) {
+    const key = `${entry.rotationNumber}|${entry.periodStart.getTime()}`;
+    if (rotations.has(key)) {
+      errors.push(
+        `history: rotation ${entry.rotationNumber} is listed more than once`
+      );
+    }
+    rotations.add(key);
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    slug,
+    fields: {
+      slug,
+      name: data.name ? data.name.trim() : undefined,
+      people,
+      rosterHistory: rosterHistory.rosterHistory,
+      startDate,
+      rotation: cadence.rotation,
+      weekStartDay: cadence.weekStartDay,
+      timezone: cadence.timezone,
+      einkProfile: einkProfile.einkProfile || undefined,
+      locale: locale.locale || undefined,
+      strategy: strategy.strategy,
+      weights: strategy.weights,
+      absencePolicy: strategy.absencePolicy,
+      tasks: tasks.tasks,
+      createdAt: parseImportDate(data.createdAt) || new Date(),
+      updatedAt: new Date(),
+    },
+    records,
+  };
+};
+
+// Helper function to validate a JSON export for import
+// Returns { errors, schedules, channels }
+const parseImportFile = (data) => {
+  if (!isPlainObject(data) || data.format !== EXPORT_FORMAT) {
+    return { errors: [`Import must be a "${EXPORT_FORMAT}" JSON file`] };
+  }
+
+  if (
+    !Number.isInteger(data.version) ||
+    data.version < 1 ||
+    data.version > EXPORT_VERSION
+  ) {
+    return {
+      errors: [
+        `Unsupported export version ${data.version}; this server reads versions 1 to ${EXPORT_VERSION}`,
+      ],
+    };
+  }
+
+  const errors = [];
+  const schedules = [];
+  const channels = [];
+
+  if (!Array.isArray(data.schedules)) {
+    errors.push("schedules must be an array");
+  } else {
+    data.schedules.forEach((item, index) => {
+      const parsed = parseImportedSchedule(item);
+
+      if (parsed.errors) {
+        errors.push(
+          ...parsed.errors.map((error) => `schedules[${index}]: ${error}`)
+        );
+      } else if (schedules.some(({ slug }) => slug === parsed.slug)) {
+        errors.push(
+          `schedules[${index}]: Slug "${parsed.slug}" is listed more than once`
+        );
+      } else {
+        schedules.push(parsed);
+      }
+    });
+  }
+
+  const channelList = data.notificationChannels ?? [];
+
+  if (!Array.isArray(channelList)) {
+    errors.push("notificationChannels must be an array");
+  } else {
+    channelList.forEach((item, index) => {
+      const parsed = isPlainObject(item)
+        ? parseChannel(item)
+        : { error: "Must be an object" };
+
+      if (parsed.error) {
+        errors.push(`notificationChannels[${index}]: ${parsed.error}`);
+      } else if (channels.some(({ name }) => name === parsed.name)) {
+        errors.push(
+          `notificationChannels[${index}]: Name "${parsed.name}" is listed more than once`
+        );
+      } else {
+        channels.push(parsed);
+      }
+    });
+  }
+
+  return { errors, schedules, channels };
+};
+
+// Collections holding a schedule's records, by scheduleSlug
+const SCHEDULE_RECORD_COLLECTIONS = [
+  "overrides",
+  "history",
+  "absences",
+  "taskCompletions",
+];
+
+// Helper function to delete a schedule and every record stored for it
+const deleteScheduleRecords = async (storage, slug) => {
+  await storage.schedules.deleteMany(scheduleQuery(slug));
+  for (const name of SCHEDULE_RECORD_COLLECTIONS) {
+    await storage[name].deleteMany({ scheduleSlug: slug });
+  }
+};
+
+// Helper function to replace everything stored for a slug with an imported
+// schedule. The file was validated up front, so only a database failure can
+// stop it halfway; what was stored before is then put back, ids included.
+const storeImportedSchedule = async (req, imported) => {
+  const { storage } = req.app.locals;
+  const { slug, fields, records } = imported;
+  const before = snapshotSchedule(await findSchedule(storage, slug));
+  const previous = {
+    schedules: await storage.schedules.find(scheduleQuery(slug)),
+  };
+  for (const name of SCHEDULE_RECORD_COLLECTIONS) {
+    previous[name] = await storage[name].find({ scheduleSlug: slug });
+  }
+
+  let schedule;
+  try {
+    await deleteScheduleRecords(storage, slug);
+    schedule = await storage.schedules.insert(fields);
+    for (const name of SCHEDULE_RECORD_COLLECTIONS) {
+      await storage[name].insertMany(records[name]);
+    }
+  } catch (error) {
+    await deleteScheduleRecords(storage, slug);
+    for (const [name, list] of Object.entries(previous)) {
+      await storage[name].insertMany(
+        list.map(({ id, ...rest }) => ({ _id: id, ...rest }))
+      );
+    }
+    throw error;
+  }
+
+  invalidateRenderCache(storage, slug);
+  await recordAudit(req, "import", slug, before, snapshotSchedule(schedule));
+  publishEvent(req, "schedule.updated", slug, { change: "imported" });
+};
+
+// Helper function to check, and unless it is a dry run apply, a JSON import
+// Conflicts are whole schedules (by slug) and channels (by name)
+// Returns the import report
+const importExportFile = async (req, { dryRun, onConflict }) => {
+  const { storage } = req.app.locals;
+  const { errors, schedules, channels } = parseImportFile(req.body);
+  const conflicts = [];
+  const changes = {
+    schedules: { created: [], replaced: [], skipped: [] },
+    notificationChannels: { created: [], replaced: [], skipped: [] },
+    records: { overrides: 0, history: 0, absences: 0, taskCompletions: 0 },
+  };
+
+  if (errors.length > 0) {
+    return { errors, conflicts, changes };
+  }
+
+  const existingSlugs = new Set();
+  for (const { slug } of schedules) {
+    if (await findSchedule(storage, slug)) {
+      existingSlugs.add(slug);
+      conflicts.push({
+        type: "schedule",
+        slug,
+        message: `Schedule "${slug}" already exists`,
+      });
+    }
+  }
+
+  const existingChannels = new Map();
+  for (const { name } of channels) {
+    const channel = await storage.notificationChannels.findOne({ name });
+    if (channel) {
+      existingChannels.set(name, channel);
+      conflicts.push({
+        type: "notificationChannel",
+        name,
+        message: `Notification channel "${name}" already exists`,
+      });
+    }
+  }
+
+  const toStore = [];
+  for (const imported of schedules) {
+    const exists = existingSlugs.has(imported.slug);
+
+    if (exists && onConflict === "skip") {
+      changes.schedules.skipped.push(imported.slug);
+      continue;
+    }
+
+    changes.schedules[exists ? "replaced" : "created"].push(imported.slug);
+    for (const field of Object.keys(changes.records)) {
+      changes.records[field] += imported.records[field].length;
+    }
+    toStore.push(imported);
+  }
+
+  for (const { name } of channels) {
+    const exists = existingChannels.has(name);
+    changes.notificationChannels[
+      !exists ? "created" : onConflict === "skip" ? "skipped" : "replaced"
+    ].push(name);
+  }
+
+  if (dryRun || (conflicts.length > 0 && onConflict === "fail")) {
+    return { errors, conflicts, changes };
+  }
+
+  for (const imported of toStore) {
+    await storeImportedSchedule(req, imported);
+  }
 
-    const rotationStart = addDays(startMonday, rotationNumber * 14);
-    const rotationEnd = addDays(rotationStart, 13);
-    rotationEnd.setUTCHours(23, 59, 59, 999);
+  for (const fields of channels) {
+    const existing = existingChannels.get(fields.name);
 
-    rotations.push({
-      person: people[personIndex],
-      rotationNumber: rotationNumber + 1,
-      periodStart: rotationStart,
-      periodEnd: rotationEnd,
-      isCurrent: false, // These are all future rotations
-    });
+    if (!existing) {
+      await storage.notificationChannels.insert(fields);
+    } else if (onConflict === "replace") {
+      await storage.notificationChannels.update(existing.id, {
+        enabled: true,
+        scheduleSlug: undefined,
+        person: undefined,
+        events: NOTIFICATION_EVENTS,
+        daysBefore: [2],
+        ...fields,
+        updatedAt: new Date(),
+      });
+    }
   }
 
-  return rotations;
+  return { errors, conflicts, changes, applied: true };
 };
 
-// Routes - now all attached to apiRouter
+// Helper function to check, and unless it is a dry run apply, a history CSV
+// Conflicts are rows for rotations that already have a different entry
+// Returns the import report
+const importHistoryCsv = async (req, { dryRun, onConflict }) => {
+  const { storage } = req.app.locals;
+  const errors = [];
+  const conflicts = [];
+  const changes = {
+    history: { created: 0, replaced: 0, skipped: 0, unchanged: 0 },
+  };
 
-// GET /api/schedule - Get current schedule info (public)
-apiRouter.get("/schedule", async (req, res) => {
+  let rows;
   try {
-    const schedule = await Schedule.findOne().sort({ createdAt: -1 });
+    rows = parseCsv(typeof req.body === "string" ? req.body : "");
+  } catch (error) {
+    return { errors: [error.message], conflicts, changes };
+  }
 
-    if (!schedule) {
-      return res.status(404).json({ error: "No schedule found" });
-    }
+  const entries = [];
+  const seen = new Set();
 
-    const currentRotation = getCurrentRotation(
-      schedule.startDate,
-      schedule.people
-    );
-    const upcomingRotations = getUpcomingRotations(
-      schedule.startDate,
-      schedule.people
+  rows.forEach((row, index) => {
+    // Line 1 is the header
+    const line = index + 2;
+    const missing = HISTORY_CSV_COLUMNS.filter(
+      (column) => row[column] === undefined
     );
+    if (missing.length > 0) {
+      errors.push(`line ${line}: Missing columns: ${missing.join(", ")}`);
+      return;
+    }
 
-    res.json({
-      people: schedule.people,
-      startDate: schedule.startDate,
-      currentRotation,
-      upcomingRotations,
-      createdAt: schedule.createdAt,
-      updatedAt: schedule.updatedAt,
+    const parsed = parseImportedHistoryEntry({
+      ...row,
+      rotationNumber: /^\d+$/.test(row.rotationNumber)
+        ? Number(row.rotationNumber)
+        : row.rotationNumber,
+      completedAt: row.completedAt || undefined,
     });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+    if (parsed.error) {
+      errors.push(`line ${line}: ${parsed.error}`);
+      return;
+    }
+
+    const scheduleSlug = row.schedule.trim().toLowerCase();
+    const key = `${scheduleSlug}|${
+      parsed.rotationNumber
+    }|${parsed.periodStart.getTime()}`;
+    if (seen.has(key)) {
+      errors.push(
+        `line ${line}: Rotation ${parsed.rotationNumber} of "${scheduleSlug}" is listed more than once`
+      );
+      return;
+    }
+    seen.add(key);
+
+    entries.push({ line, scheduleSlug, ...parsed });
+  });
+
+  const slugs = [...new Set(entries.map((entry) => entry.scheduleSlug))];
+  for (const slug of slugs) {
+    if (!(await findSchedule(storage, slug))) {
+      errors.push(`Schedule "${slug}" does not exist`);
+    }
   }
-});
 
-// GET /api/current - Get current person responsible (public)
-apiRouter.get("/current", async (req, res) => {
-  try {
-    const schedule = await Schedule.findOne().sort({ createdAt: -1 });
+  if (errors.length > 0) {
+    return { errors, conflicts, changes };
+  }
 
-    if (!schedule) {
-      return res.status(404).json({ error: "No schedule found" });
+  const writes = [];
+  for (const { line, ...entry } of entries) {
+    const existing = await findHistoryEntry(storage, entry.scheduleSlug, entry);
+
+    if (!existing) {
+      changes.history.created++;
+      writes.push({ entry });
+      continue;
     }
 
-    const currentRotation = getCurrentRotation(
-      schedule.startDate,
-      schedule.people
+    const same = ["person", "status", "note"].every(
+      (field) => (existing[field] || undefined) === entry[field]
     );
+    if (
+      same &&
+      existing.completedAt.getTime() === entry.completedAt.getTime()
+    ) {
+      changes.history.unchanged++;
+      continue;
+    }
 
-    res.json({
-      currentPerson: currentRotation.currentPerson,
-      rotationNumber: currentRotation.rotationNumber,
-      periodStart: currentRotation.periodStart,
-      periodEnd: currentRotation.periodEnd,
-      isActive: currentRotation.isActive,
+    conflicts.push({
+      type: "history",
+      slug: entry.scheduleSlug,
+      rotationNumber: entry.rotationNumber,
+      line,
+      message: `Rotation ${entry.rotationNumber} already has a different history entry`,
     });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+
+    if (onConflict === "skip") {
+      changes.history.skipped++;
+    } else {
+      changes.history.replaced++;
+      writes.push({ entry, existing });
+    }
   }
-});
 
-// POST /api/schedule - Create or update schedule (protected)
-apiRouter.post("/schedule", requireApiKey, async (req, res) => {
-  try {
-    const { people, startDate } = req.body;
+  if (dryRun || (conflicts.length > 0 && onConflict === "fail")) {
+    return { errors, conflicts, changes };
+  }
 
-    // Validation
-    if (!people || !Array.isArray(people) || people.length === 0) {
-      return res
-        .status(400)
-        .json({ error: "People array is required and cannot be empty" });
+  for (const { entry, existing } of writes) {
+    if (existing) {
+      await storage.history.update(existing.id, entry);
+    } else {
+      await storage.history.insert(entry);
     }
+  }
 
-    if (!startDate) {
-      return res.status(400).json({ error: "Start date is required" });
-    }
+  for (const slug of slugs) {
+    await touchSchedule(storage, slug);
+    publishEvent(req, "schedule.updated", slug, { change: "imported" });
+  }
 
-    const parsedStartDate = new Date(startDate);
-    if (isNaN(parsedStartDate.getTime())) {
-      return res.status(400).json({ error: "Invalid start date format" });
-    }
+  return { errors, conflicts, changes, applied: true };
+};
 
-    // Remove any existing schedule and create new one
-    await Schedule.deleteMany({});
+// GET /api/export - Back up every schedule, or one via /schedules/:slug/export (protected)
+// JSON holds schedules with their overrides, history, absences and task
+// ticks, plus notification channels (secrets included) for callers with
+// notifications:write; ?format=csv gives just the history table
+apiRouter.get(
+  ["/export", "/schedules/:slug/export"],
+  requireScope("schedule:read"),
+  validate("exportData"),
+  async (req, res) => {
+    try {
+      const { storage } = req.app.locals;
+      const { format = "json" } = req.query;
 
-    const schedule = new Schedule({
-      people: people.map((person) => person.trim()),
-      startDate: parsedStartDate,
-      updatedAt: new Date(),
-    });
+      if (!["json", "csv"].includes(format)) {
+        return sendError(res, 400, 'Format must be "json" or "csv"');
+      }
 
-    await schedule.save();
+      const slug = req.params.slug ? getSlug(req) : null;
+      const schedules = await findExportSchedules(storage, slug);
 
-    const currentRotation = getCurrentRotation(
-      schedule.startDate,
-      schedule.people
-    );
+      if (slug && schedules.length === 0) {
+        return sendError(res, 404, "No schedule found");
+      }
 
-    res.status(201).json({
-      message: "Schedule created successfully",
-      schedule: {
-        people: schedule.people,
-        startDate: schedule.startDate,
-        currentRotation,
-        createdAt: schedule.createdAt,
-        updatedAt: schedule.updatedAt,
-      },
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+      const filename = `cleaning-${slug || "schedules"}-${new Date()
+        .toISOString()
+        .slice(0, 10)}`;
 
-// PUT /api/schedule - Update existing schedule (protected)
-apiRouter.put("/schedule", requireApiKey, async (req, res) => {
-  try {
-    const { people, startDate } = req.body;
+      if (format === "csv") {
+        const rows = [];
+        for (const schedule of schedules) {
+          const scheduleSlug = schedule.slug || DEFAULT_SCHEDULE_SLUG;
+          for (const entry of await findScheduleHistory(
+            storage,
+            scheduleSlug
+          )) {
+            rows.push({
+              schedule: scheduleSlug,
+              ...serializeHistoryEntry(entry),
+            });
+          }
+        }
 
-    const schedule = await Schedule.findOne().sort({ createdAt: -1 });
+        res.set("Content-Type", "text/csv; charset=utf-8");
+        res.set(
+          "Content-Disposition",
+          `attachment; filename="${filename}-history.csv"`
+        );
+        return res.send(formatCsv(HISTORY_CSV_COLUMNS, rows));
+      }
 
-    if (!schedule) {
-      return res.status(404).json({ error: "No schedule found to update" });
-    }
+      const data = {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date(),
+        schedules: [],
+      };
 
-    // Update fields if provided
-    if (people && Array.isArray(people) && people.length > 0) {
-      schedule.people = people.map((person) => person.trim());
-    }
+      for (const schedule of schedules) {
+        data.schedules.push(await exportSchedule(storage, schedule));
+      }
 
-    if (startDate) {
-      const parsedStartDate = new Date(startDate);
-      if (isNaN(parsedStartDate.getTime())) {
-        return res.status(400).json({ error: "Invalid start date format" });
+      if (hasScope(req.auth, "notifications:write")) {
+        const channels = await storage.notificationChannels.find(
+          slug ? { scheduleSlug: slug } : {},
+          { sort: { createdAt: 1 } }
+        );
+        data.notificationChannels = channels.map(exportChannel);
       }
-      schedule.startDate = parsedStartDate;
+
+      res.set("Content-Disposition", `attachment; filename="${filename}.json"`);
+      res.json(data);
+    } catch (error) {
+      sendError(res, 500, error.message);
     }
+  }
+);
 
-    schedule.updatedAt = new Date();
-    await schedule.save();
+// POST /api/import - Restore a JSON export, or history rows from CSV (protected)
+// ?dryRun=true validates and reports conflicts without writing anything;
+// ?onConflict=fail (default) writes nothing if anything conflicts, skip
+// keeps what exists and replace overwrites it
+apiRouter.post(
+  "/import",
+  requireScope("schedule:write"),
+  express.json({ limit: IMPORT_BODY_LIMIT }),
+  express.text({ type: "text/csv", limit: IMPORT_BODY_LIMIT }),
+  validate("importData"),
+  async (req, res) => {
+    try {
+      const dryRun = ["1", "true"].includes(req.query.dryRun);
+      const { onConflict = "fail" } = req.query;
 
-    const currentRotation = getCurrentRotation(
-      schedule.startDate,
-      schedule.people
-    );
+      if (!IMPORT_CONFLICT_MODES.includes(onConflict)) {
+        return sendError(
+          res,
+          400,
+          `onConflict must be one of: ${IMPORT_CONFLICT_MODES.join(", ")}`
+        );
+      }
 
-    res.json({
-      message: "Schedule updated successfully",
-      schedule: {
-        people: schedule.people,
-        startDate: schedule.startDate,
-        currentRotation,
-        createdAt: schedule.createdAt,
-        updatedAt: schedule.updatedAt,
-      },
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+      const format = req.is("text/csv") ? "csv" : "json";
+
+      if (
+        format === "json" &&
+        isPlainObject(req.body) &&
+        Array.isArray(req.body.notificationChannels) &&
+        req.body.notificationChannels.length > 0 &&
+        !hasScope(req.auth, "notifications:write")
+      ) {
+        return sendError(
+          res,
+          403,
+          "Importing notification channels requires notifications:write"
+        );
+      }
+
+      const { applied, ...report } =
+        format === "csv"
+          ? await importHistoryCsv(req, { dryRun, onConflict })
+          : await importExportFile(req, { dryRun, onConflict });
+
+      const blocked = report.conflicts.length > 0 && onConflict === "fail";
+      const details = {
+        dryRun,
+        format,
+        onConflict,
+        ...report,
+        applied: Boolean(applied),
+      };
+
+      // Invalid and blocked imports are errors that carry the report
+      if (report.errors.length > 0) {
+        return sendError(res, 400, "Import is invalid; nothing was changed", {
+          code: "import_invalid",
+          details,
+        });
+      }
+
+      if (blocked && !dryRun) {
+        return sendError(
+          res,
+          409,
+          "Import conflicts with existing data; nothing was changed",
+          { code: "import_conflict", details }
+        );
+      }
+
+      res.json({
+        message: dryRun ? "Dry run; nothing was changed" : "Import completed",
+        ...details,
+      });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
   }
+);
+
+// The OpenAPI document for the routes above, built from the same limits the
+// handlers check; validate() checks requests against it
+const apiDescription = createApiDescription({
+  version: require("./package.json").version,
+  slugPattern: SLUG_PATTERN,
+  reservedSlugs: RESERVED_SLUGS,
+  controlCharacters: CONTROL_CHARACTERS,
+  maxPeople: MAX_PEOPLE,
+  maxPersonNameLength: MAX_PERSON_NAME_LENGTH,
+  maxScheduleNameLength: MAX_SCHEDULE_NAME_LENGTH,
+  maxTasks: MAX_TASKS,
+  maxTaskTitleLength: MAX_TASK_TITLE_LENGTH,
+  taskIdPattern: TASK_ID_PATTERN,
+  calendarDatePattern: CALENDAR_DATE_PATTERN,
+  rotationUnits: ROTATION_UNITS,
+  strategies: ROTATION_STRATEGIES,
+  absencePolicies: ABSENCE_POLICIES,
+  maxRotationRangeDays: MAX_ROTATION_RANGE_DAYS,
+  icsMaxHorizonDays: ICS_MAX_HORIZON_DAYS,
+  importConflictModes: IMPORT_CONFLICT_MODES,
+  exportFormat: EXPORT_FORMAT,
+  exportVersion: EXPORT_VERSION,
 });
 
-// DELETE /api/schedule - Delete schedule (protected)
-apiRouter.delete("/schedule", requireApiKey, async (req, res) => {
-  try {
-    const result = await Schedule.deleteMany({});
+// GET /api/openapi.json - OpenAPI 3 description of the API (public)
+apiRouter.get("/openapi.json", validate("getOpenApiDocument"), (req, res) => {
+  res.json(apiDescription.document);
+});
 
-    if (result.deletedCount === 0) {
-      return res.status(404).json({ error: "No schedule found to delete" });
-    }
+// Swagger UI build the docs page loads from the CDN
+const SWAGGER_UI_URL = "https://unpkg.com/swagger-ui-dist@5.11.0";
 
-    res.json({ message: "Schedule deleted successfully" });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
+// The docs page's only inline script, allowed by its hash
+const DOCS_SCRIPT =
+  'SwaggerUIBundle({ url: "/api/openapi.json", dom_id: "#docs" });';
+
+// GET /api/docs - Browsable documentation of the API (public)
+apiRouter.get("/docs", validate("getApiDocs"), (req, res) => {
+  const { origin } = new URL(SWAGGER_UI_URL);
+
+  setPageSecurityHeaders(res, {
+    scripts: [DOCS_SCRIPT],
+    sources: { "script-src": [origin], "style-src": [origin] },
+  });
+  res.send(`
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Cleaning Schedule API</title>
+        <link rel="stylesheet" href="${SWAGGER_UI_URL}/swagger-ui.css">
+    </head>
+    <body>
+        <div id="docs"></div>
+        <script src="${SWAGGER_UI_URL}/swagger-ui-bundle.js"></script>
+        <script>${DOCS_SCRIPT}</script>
+    </body>
+    </html>
+  `);
+});
+
+// GET /api/locales - List the languages / and /eink can be shown in (public)
+apiRouter.get("/locales", validate("listLocales"), (req, res) => {
+  res.json({ locales: listLocales(), default: getDefaultLocale() });
+});
+
+// GET /api/eink/profiles - List the device profiles /eink can render (public)
+apiRouter.get("/eink/profiles", validate("listEinkProfiles"), (req, res) => {
+  res.json({
+    profiles: Object.entries(EINK_PROFILES).map(([name, profile]) => ({
+      name,
+      ...profile,
+    })),
+  });
 });
 
 // Health check
-apiRouter.get("/health", (req, res) => {
+apiRouter.get("/health", validate("getHealth"), (req, res) => {
   res.json({ status: "OK", timestamp: new Date().toISOString() });
 });
 
-// Mount the API router at /api
-app.use("/api", apiRouter);
+// Helper function to build the script of a schedule's web page
+// It depends on nothing but the slug, so its hash in the page's
+// Content-Security-Policy stays valid for a copy revalidated with a 304
+const renderPageScript = (slug) => `
+          var scheduleSlug = ${JSON.stringify(slug)};
+
+          // Swap in a freshly rendered page without reloading
+          function refreshSchedule() {
+            fetch(window.location.href, { cache: "no-cache" })
+              .then(function (response) { return response.text(); })
+              .then(function (html) {
+                var page = new DOMParser().parseFromString(html, "text/html");
+                var next = page.querySelector(".container");
+                if (next) {
+                  document.querySelector(".container").replaceWith(next);
+                }
+              })
+              .catch(function () {});
+          }
+
+          // Refresh on every change to this schedule. EventSource reconnects
+          // by itself and sends the last event id, so nothing is missed.
+          if (window.EventSource) {
+            var events = new EventSource("/api/events");
+            ${JSON.stringify(EVENT_TYPES)}.forEach(function (type) {
+              events.addEventListener(type, function (event) {
+                var data = JSON.parse(event.data);
+                if (data.slug === null || data.slug === scheduleSlug) {
+                  refreshSchedule();
+                }
+              });
+            });
+          } else {
+            // Auto-refresh every 5 minutes
+            setTimeout(function () { window.location.reload(); }, 300000);
+          }
+
+          // The container is swapped on refresh, so listen on the document
+          document.addEventListener("click", function (event) {
+            if (event.target.closest(".refresh-btn")) {
+              refreshSchedule();
+            }
+          });
+        `;
 
 // Serve a nice web page at the root that shows the current schedule
-app.get("/", async (req, res) => {
+pageRouter.get(["/", "/:slug"], async (req, res, next) => {
+  // Leave anything that is not a schedule slug to the 404 handler
+  if (req.params.slug && !isValidSlug(req.params.slug)) {
+    return next();
+  }
+
   try {
-    const schedule = await Schedule.findOne().sort({ createdAt: -1 });
+    const { storage, security } = req.app.locals;
+    const slug = getSlug(req);
+    const { analytics } = security;
+    const pageScript = renderPageScript(slug);
+
+    setPageSecurityHeaders(res, {
+      scripts: [pageScript],
+      sources: analytics
+        ? {
+            "script-src": [analytics.origin],
+            "connect-src": [analytics.origin],
+          }
+        : {},
+    });
+
+    const schedule = await findSchedule(storage, slug);
+
+    const { locale, error: localeError } = resolveLocale(req, res, schedule);
+    if (localeError) {
+      return sendError(res, 400, localeError);
+    }
+
+    const t = (key, params) => escapeHtml(translate(locale, key, params));
 
     if (!schedule) {
       return res.send(`
         <!DOCTYPE html>
-        <html lang="en">
+        <html lang="${locale}">
         <head>
           <meta charset="UTF-8">
           <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>Cleaning Schedule</title>
+          <title>${t("page.title")}</title>
           <style>
             body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; 
                    background: #f0f2f5; margin: 0; padding: 20px; }
@@ -357,42 +5669,60 @@ app.get("/", async (req, res) => {
           <div class="container">
             <div class="header">
               <div class="emoji">🧹</div>
-              <div class="title">Cleaning Schedule</div>
+              <div class="title">${t("page.title")}</div>
             </div>
-            <div class="message">No schedule found. Please create one first.</div>
+            <div class="message">${t("page.noSchedule")}</div>
           </div>
         </body>
         </html>
       `);
     }
 
-    const currentRotation = getCurrentRotation(
-      schedule.startDate,
-      schedule.people
+    const context = await findRotationContext(
+      storage,
+      slug,
+      schedule,
+      getNow(req)
     );
-    const upcomingRotations = getUpcomingRotations(
-      schedule.startDate,
-      schedule.people,
-      5
+    const currentRotation = getCurrentRotation(schedule, context);
+
+    if (
+      sendNotModified(req, res, getContentVersion(schedule, currentRotation))
+    ) {
+      return;
+    }
+
+    const upcomingRotations = getUpcomingRotations(schedule, 5, context);
+    const currentEntry = await findHistoryEntry(storage, slug, currentRotation);
+    const checklist = buildChecklist(
+      schedule,
+      currentRotation,
+      await findTaskCompletions(storage, slug, currentRotation)
     );
+    const { timeZone } = getCadence(schedule);
 
-    const formatDateForWeb = (dateString) => {
-      const date = new Date(dateString);
-      const options = {
+    // Only when configured; see readSecuritySettings
+    const analyticsTag = analytics
+      ? `<script defer src="${escapeHtml(
+          analytics.scriptUrl
+        )}" data-website-id="${escapeHtml(analytics.websiteId)}"></script>`
+      : "";
+
+    const formatPeriodForWeb = (rotation) =>
+      formatDateRange(locale, rotation.periodStart, rotation.periodEnd, {
+        weekday: "short",
         month: "long",
         day: "numeric",
-        timeZone: "UTC",
-      };
-      return date.toLocaleDateString("en-US", options);
-    };
+        timeZone,
+      });
 
     const html = `
       <!DOCTYPE html>
-      <html lang="en">
+      <html lang="${locale}">
       <head>
         <meta charset="UTF-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Cleaning Schedule</title>
+        <title>${t("page.title")}</title>
         <style>
           * { box-sizing: border-box; }
           body { 
@@ -443,6 +5773,24 @@ app.get("/", async (req, res) => {
           .upcoming-item:last-child { border-bottom: none; }
           .upcoming-name { font-weight: 600; color: #856404; margin-right: 8px; }
           .upcoming-date { color: #6c757d; font-size: 0.9em; }
+          .status-done { color: #128c7e; font-weight: 600; }
+          .status-skipped { color: #856404; font-weight: 600; }
+          .override-note { color: #6c757d; font-size: 0.85em; font-style: italic; }
+          
+          .tasks { 
+            background: #e7f0fd; border-radius: 15px 15px 5px 15px;
+            padding: 15px; margin-bottom: 15px;
+            box-shadow: 0 2px 5px rgba(0,0,0,0.1);
+          }
+          .tasks-progress { 
+            height: 8px; background: #cfdcf0; border-radius: 4px;
+            overflow: hidden; margin-bottom: 10px;
+          }
+          .tasks-progress-bar { height: 100%; background: #128c7e; }
+          .task-item { display: flex; align-items: center; padding: 3px 0; color: #303030; }
+          .task-check { margin-right: 8px; }
+          .task-done .task-title { text-decoration: line-through; color: #6c757d; }
+          .task-count { margin-left: auto; color: #6c757d; font-size: 0.85em; }
           
           .footer { 
             padding: 15px 20px; background: #f8f9fa; 
@@ -461,52 +5809,105 @@ app.get("/", async (req, res) => {
             body { padding: 10px; }
           }
         </style>
-        <script defer src="https://umami.koev.cz/script.js" data-website-id="e8d3a665-143f-42a5-aaf7-32dc9c294431"></script>
-        <script>
-          function refreshSchedule() {
-            window.location.reload();
-          }
-          // Auto-refresh every 5 minutes
-          setTimeout(refreshSchedule, 300000);
-        </script>
+        ${analyticsTag}
+        <script>${pageScript}</script>
       </head>
       <body>
         <div class="container">
           <div class="header">
             <div class="header-emoji">🧹</div>
-            <h1 class="header-title">Cleaning Schedule</h1>
-            <div class="header-subtitle">House cleaning rotation</div>
+            <h1 class="header-title">${t("page.title")}</h1>
+            <div class="header-subtitle">${
+              schedule.name ? escapeHtml(schedule.name) : t("page.subtitle")
+            }</div>
           </div>
           
           <div class="message-container">
             <div class="message">
               <div class="message-header">
                 <span class="message-emoji">🎯</span>
-                Current Responsibility
+                ${t("page.current")}
               </div>
               <div class="message-content">
-                <strong>${
+                <strong>${escapeHtml(
                   currentRotation.currentPerson
-                }</strong> is responsible for cleaning<br>
-                📅 ${formatDateForWeb(
-                  currentRotation.periodStart
-                )} - ${formatDateForWeb(currentRotation.periodEnd)}<br>
+                )}</strong> ${t("page.responsible")}<br>
+                📅 ${formatPeriodForWeb(currentRotation)}<br>
+                ${
+                  currentEntry
+                    ? `<span class="status-${currentEntry.status}">${t(
+                        `page.status.${currentEntry.status}`
+                      )} ${
+                        currentEntry.status === "done" ? "✅" : "⏭️"
+                      }</span><br>`
+                    : ""
+                }
+                ${
+                  currentRotation.isOverride
+                    ? `<span class="override-note">🔁 ${t("page.coveringFor", {
+                        person: currentRotation.originalPerson,
+                      })}</span>`
+                    : ""
+                }
+              </div>
+            </div>
+            
+            ${
+              checklist.tasks.length > 0
+                ? `
+            <div class="tasks">
+              <div class="message-header">
+                <span class="message-emoji">📋</span>
+                ${t("page.tasks", {
+                  completed: checklist.progress.completed,
+                  required: checklist.progress.required,
+                })}
+              </div>
+              <div class="tasks-progress">
+                <div class="tasks-progress-bar" style="width: ${
+                  checklist.progress.percent
+                }%"></div>
               </div>
+              ${checklist.tasks
+                .map(
+                  (task) => `
+                  <div class="task-item${task.done ? " task-done" : ""}">
+                    <span class="task-check">${task.done ? "☑️" : "⬜"}</span>
+                    <span class="task-title">${escapeHtml(task.title)}</span>
+                    ${
+                      task.required > 1
+                        ? `<span class="task-count">${task.completed}/${task.required}</span>`
+                        : ""
+                    }
+                  </div>
+                `
+                )
+                .join("")}
             </div>
+            `
+                : ""
+            }
             
             <div class="upcoming">
               <div class="message-header">
                 <span class="message-emoji">🔮</span>
-                Upcoming Rotations
+                ${t("page.upcoming")}
               </div>
               ${upcomingRotations
                 .map((rotation) => {
                   return `
                   <div class="upcoming-item">
-                    <span class="upcoming-name">${rotation.person}</span>
-                    <span class="upcoming-date">${formatDateForWeb(
-                      rotation.periodStart
-                    )} - ${formatDateForWeb(rotation.periodEnd)}</span>
+                    <span class="upcoming-name">${escapeHtml(rotation.person)}${
+                    rotation.isOverride
+                      ? ` <span class="override-note" title="${t(
+                          "page.coveringFor",
+                          { person: rotation.originalPerson }
+                        )}">🔁</span>`
+                      : ""
+                  }</span>
+                    <span class="upcoming-date">${formatPeriodForWeb(
+                      rotation
+                    )}</span>
                   </div>
                 `;
                 })
@@ -515,12 +5916,18 @@ app.get("/", async (req, res) => {
           </div>
           
           <div class="footer">
-            <div>Last updated: ${new Date().toLocaleString("en-US", {
-              timeZone: "Europe/Prague",
+            <div>${t("page.lastUpdated", {
+              time: formatDate(locale, new Date(), {
+                dateStyle: "medium",
+                timeStyle: "short",
+                timeZone,
+              }),
             })}</div>
-            <button class="refresh-btn" onclick="refreshSchedule()">🔄 Refresh</button>
+            <button class="refresh-btn">🔄 ${t("page.refresh")}</button>
             <div style="margin-top: 10px;">
-              <small>👥 ${schedule.people.join(" • ")}</small>
+              <small>👥 ${schedule.people
+                .map((person) => escapeHtml(person))
+                .join(" • ")}</small>
             </div>
           </div>
         </div>
@@ -530,138 +5937,515 @@ app.get("/", async (req, res) => {
 
     res.send(html);
   } catch (error) {
+    const locale = res.get("Content-Language") || getDefaultLocale();
+    const t = (key, params) => escapeHtml(translate(locale, key, params));
+
     res.status(500).send(`
       <!DOCTYPE html>
-      <html><head><title>Error</title></head>
+      <html lang="${locale}"><head><title>${t("page.error")}</title></head>
       <body style="font-family: Arial; text-align: center; padding: 50px;">
-        <h1>❌ Error</h1>
-        <p>Could not load cleaning schedule: ${error.message}</p>
+        <h1>❌ ${t("page.error")}</h1>
+        <p>${t("page.loadError", { message: error.message })}</p>
       </body></html>
     `);
   }
 });
 
-app.get("/eink", async (req, res) => {
+pageRouter.get(["/eink", "/eink/:slug"], async (req, res) => {
   try {
-    const schedule = await Schedule.findOne().sort({ createdAt: -1 });
+    const { storage } = req.app.locals;
+    const slug = getSlug(req);
+    const schedule = await findSchedule(storage, slug);
 
     if (!schedule) {
-      return res.status(404).send("No schedule found");
+      return sendError(res, 404, "No schedule found");
     }
 
-    const currentRotation = getCurrentRotation(
-      schedule.startDate,
-      schedule.people
-    );
-    const upcomingRotations = getUpcomingRotations(
-      schedule.startDate,
-      schedule.people,
-      3
+    const options = resolveEinkOptions(req.query, schedule.einkProfile);
+    if (options.error) {
+      return sendError(res, 400, options.error);
+    }
+
+    const { locale, error: localeError } = resolveLocale(req, res, schedule);
+    if (localeError) {
+      return sendError(res, 400, localeError);
+    }
+
+    const context = await findRotationContext(
+      storage,
+      slug,
+      schedule,
+      getNow(req)
     );
+    const currentRotation = getCurrentRotation(schedule, context);
+    const version = getContentVersion(schedule, currentRotation);
+
+    if (sendNotModified(req, res, version)) {
+      return;
+    }
 
-    const formatDateForEink = (dateString) => {
-      const date = new Date(dateString);
-      return date.toLocaleDateString("en-US", {
+    // Rendering dominates the cost of this route, so reuse an image rendered
+    // with the same options for the same content version
+    const cacheKey = `${slug}|${locale}|${JSON.stringify(options)}`;
+    const cached = getRenderCache(storage).get(cacheKey);
+    let buffer =
+      cached && cached.version === version.key ? cached.buffer : null;
+
+    if (!buffer) {
+      const upcomingRotations = getUpcomingRotations(schedule, 3, context);
+      const checklist = buildChecklist(
+        schedule,
+        currentRotation,
+        await findTaskCompletions(storage, slug, currentRotation)
+      );
+      const { timeZone } = getCadence(schedule);
+
+      // The current period names its weekdays; upcoming rows have less room
+      const formatPeriodForEink = (rotation, options = {}) =>
+        formatDateRange(locale, rotation.periodStart, rotation.periodEnd, {
+          month: "short",
+          day: "numeric",
+          timeZone,
+          ...options,
+        });
+
+      const timestamp = formatDate(locale, new Date(), {
         month: "short",
         day: "numeric",
-        timeZone: "UTC",
+        hour: "2-digit",
+        minute: "2-digit",
+        timeZone,
       });
-    };
-
-    const currentDates = `${formatDateForEink(
-      currentRotation.periodStart
-    )} - ${formatDateForEink(currentRotation.periodEnd)}`;
-
-    const timestamp = new Date().toLocaleDateString("en-US", {
-      month: "short",
-      day: "numeric",
-      hour: "2-digit",
-      minute: "2-digit",
-      timeZone: "Europe/Prague",
-    });
 
-    // Create SVG with 758x1024 resolution
-    const svg = `
-      <svg width="758" height="1024" xmlns="http://www.w3.org/2000/svg">
-        <rect width="758" height="1024" fill="white"/>
-        
-        <!-- Header -->
-        <text x="379" y="100" font-family="Arial" font-size="70" font-weight="bold" text-anchor="middle" fill="black">CLEANING</text>
-        <text x="379" y="150" font-family="Arial" font-size="35" text-anchor="middle" fill="black">House Schedule</text>
-        <line x1="80" y1="180" x2="678" y2="180" stroke="black" stroke-width="5"/>
-        
-        <!-- Current Section Box -->
-        <rect x="80" y="220" width="598" height="280" fill="none" stroke="black" stroke-width="5"/>
-        <text x="379" y="270" font-family="Arial" font-size="32" font-weight="bold" text-anchor="middle" fill="black">CURRENT WEEK</text>
-        <text x="379" y="380" font-family="Arial" font-size="90" font-weight="bold" text-anchor="middle" fill="black">${
-          currentRotation.currentPerson
-        }</text>
-        <text x="379" y="460" font-family="Arial" font-size="32" text-anchor="middle" fill="black">${currentDates}</text>
-        
-        <!-- Upcoming Section -->
-        <text x="80" y="570" font-family="Arial" font-size="36" font-weight="bold" fill="black">UPCOMING</text>
-        <line x1="80" y1="585" x2="678" y2="585" stroke="black" stroke-width="4"/>
-        
-        ${upcomingRotations
-          .map((rotation, i) => {
-            const y = 650 + i * 80;
-            return `
-            <text x="100" y="${y}" font-family="Arial" font-size="32" font-weight="bold" fill="black">${
-              rotation.person
-            }</text>
-            <text x="658" y="${y}" font-family="Arial" font-size="28" text-anchor="end" fill="black">${formatDateForEink(
-              rotation.periodStart
-            )} - ${formatDateForEink(rotation.periodEnd)}</text>
-            ${
-              i < upcomingRotations.length - 1
-                ? `<line x1="100" y1="${y + 20}" x2="658" y2="${
-                    y + 20
-                  }" stroke="black" stroke-width="2"/>`
-                : ""
-            }
-          `;
-          })
-          .join("")}
-        
-        <!-- Footer -->
-        <line x1="80" y1="970" x2="678" y2="970" stroke="black" stroke-width="3"/>
-        <text x="379" y="1005" font-family="Arial" font-size="24" text-anchor="middle" fill="black">${timestamp}</text>
-      </svg>
-    `;
+      const svg = renderEinkSvg(
+        {
+          locale,
+          title: schedule.name || translate(locale, "eink.title"),
+          currentLabel: translate(
+            locale,
+            `eink.current.${getCadence(schedule).unit}`
+          ),
+          currentPerson: currentRotation.currentPerson,
+          currentDates: formatPeriodForEink(currentRotation, {
+            weekday: "short",
+          }),
+          coveringFor: currentRotation.isOverride
+            ? currentRotation.originalPerson
+            : null,
+          upcoming: upcomingRotations.map((rotation) => ({
+            person: rotation.person,
+            isOverride: rotation.isOverride,
+            dates: formatPeriodForEink(rotation),
+          })),
+          // Only what is left to do; null when the schedule has no tasks
+          tasks:
+            checklist.tasks.length > 0
+              ? {
+                  done: checklist.progress.done,
+                  total: checklist.progress.total,
+                  remaining: checklist.tasks
+                    .filter((task) => !task.done)
+                    .map((task) => ({
+                      title: task.title,
+                      remaining: task.remaining,
+                    })),
+                }
+              : null,
+          timestamp,
+        },
+        options
+      );
 
-    // Convert SVG to JPEG using Sharp
-    const buffer = await sharp(Buffer.from(svg))
-      .jpeg({ quality: 90 })
-      .toBuffer();
+      buffer = await renderEinkImage(svg, options);
+      cacheRender(storage, cacheKey, version.key, buffer);
+    }
 
-    res.set("Content-Type", "image/jpeg");
+    res.set("Content-Type", options.contentType);
     res.set(
       "Content-Disposition",
-      'attachment; filename="cleaning-schedule.jpg"'
+      `${
+        ["1", "true"].includes(req.query.inline) ? "inline" : "attachment"
+      }; filename="cleaning-schedule.${options.extension}"`
     );
-    res.set("Cache-Control", "no-cache, no-store, must-revalidate");
     res.send(buffer);
   } catch (error) {
+    // Answer with JSON rather than a broken image so devices and logs can
+    // tell the failure apart from a blank render
     console.error("Error generating image:", error);
-    res.status(500).send("Error generating image");
+    res.removeHeader("ETag");
+    res.removeHeader("Last-Modified");
+    sendError(res, 500, "Error generating image", {
+      details: { reason: error.message },
+    });
   }
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ error: "Something went wrong!" });
-});
+// Helper function to gather what the printable calendar shows: the person
+// on duty each day of its months, who is away, and the overrides and
+// absences that fall in them. Days are calendar dates in the schedule's
+// timezone; a day belongs to the rotation in effect at its local midnight.
+const buildCalendarData = (schedule, months, context, locale) => {
+  const { timeZone, weekStartDay } = getCadence(schedule);
+  const firstDay = new Date(Date.UTC(months[0].year, months[0].month - 1, 1));
+  const lastMonth = months[months.length - 1];
+  const lastDay = new Date(Date.UTC(lastMonth.year, lastMonth.month, 0));
+  const rotations = getRotationsInRange(
+    schedule,
+    getLocalMidnight(firstDay, timeZone),
+    new Date(getLocalMidnight(addDays(lastDay, 1), timeZone).getTime() - 1),
+    context
+  );
+  const absences = context.absences.filter(
+    (absence) => absence.startDate <= lastDay && absence.endDate >= firstDay
+  );
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({ error: "Route not found" });
-});
+  const calendarMonths = months.map((month) => ({
+    ...month,
+    days: getMonthDays(month).map((date) => {
+      const instant = getLocalMidnight(date, timeZone);
+      const rotation = rotations.find(
+        (candidate) =>
+          candidate.periodStart <= instant && candidate.periodEnd >= instant
+      );
+
+      return {
+        date,
+        person: rotation ? rotation.person : null,
+        isOverride: Boolean(rotation && rotation.isOverride),
+        away: absences
+          .filter(
+            (absence) => absence.startDate <= date && absence.endDate >= date
+          )
+          .map((absence) => absence.person),
+      };
+    }),
+  }));
+
+  // Everyone who is on duty gets a colour, even if no longer on the roster
+  const people = [...schedule.people];
+  for (const month of calendarMonths) {
+    for (const day of month.days) {
+      if (day.person && !people.includes(day.person)) {
+        people.push(day.person);
+      }
+    }
+  }
+
+  return {
+    locale,
+    title: schedule.name || translate(locale, "page.title"),
+    weekStartDay,
+    people,
+    months: calendarMonths,
+    overrides: rotations
+      .filter((rotation) => rotation.isOverride)
+      .map((rotation) => ({
+        person: rotation.person,
+        originalPerson: rotation.originalPerson,
+        dates: formatDateRange(
+          locale,
+          rotation.periodStart,
+          rotation.periodEnd,
+          { month: "short", day: "numeric", timeZone }
+        ),
+        reason: rotation.override.reason || null,
+      })),
+    absences: absences.map((absence) => ({
+      person: absence.person,
+      // Absence dates are calendar dates, read in UTC
+      dates: formatDateRange(locale, absence.startDate, absence.endDate, {
+        month: "short",
+        day: "numeric",
+        timeZone: "UTC",
+      }),
+      reason: absence.reason || null,
+    })),
+  };
+};
+
+// GET /calendar.pdf, /calendar.png - Printable month or year calendar (public)
+pageRouter.get(
+  ["/calendar.:format(pdf|png)", "/calendar/:slug.:format(pdf|png)"],
+  async (req, res) => {
+    try {
+      const { storage } = req.app.locals;
+      const slug = getSlug(req);
+      const schedule = await findSchedule(storage, slug);
+
+      if (!schedule) {
+        return sendError(res, 404, "No schedule found");
+      }
+
+      const { timeZone } = getCadence(schedule);
+      const options = resolveCalendarOptions(req.query, {
+        format: req.params.format,
+        today: toCalendarDate(getNow(req), timeZone),
+      });
+      if (options.error) {
+        return sendError(res, 400, options.error);
+      }
+
+      const { locale, error: localeError } = resolveLocale(req, res, schedule);
+      if (localeError) {
+        return sendError(res, 400, localeError);
+      }
+
+      const context = await findRotationContext(
+        storage,
+        slug,
+        schedule,
+        getNow(req)
+      );
+      const version = getContentVersion(
+        schedule,
+        getCurrentRotation(schedule, context)
+      );
+
+      if (sendNotModified(req, res, version)) {
+        return;
+      }
+
+      // Renders share the e-ink cache, keyed apart from e-ink images
+      const cacheKey = `${slug}|calendar|${locale}|${JSON.stringify(options)}`;
+      const cached = getRenderCache(storage).get(cacheKey);
+      let buffer =
+        cached && cached.version === version.key ? cached.buffer : null;
+
+      if (!buffer) {
+        const html = renderCalendarHtml(
+          buildCalendarData(
+            schedule,
+            getCalendarMonths(options),
+            context,
+            locale
+          ),
+          options
+        );
+
+        buffer = await renderCalendar(html, options);
+        cacheRender(storage, cacheKey, version.key, buffer);
+      }
+
+      const period =
+        options.layout === "month"
+          ? `${options.year}-${String(options.month).padStart(2, "0")}`
+          : String(options.year);
+
+      res.set("Content-Type", options.contentType);
+      res.set(
+        "Content-Disposition",
+        `${
+          ["1", "true"].includes(req.query.inline) ? "inline" : "attachment"
+        }; filename="cleaning-schedule-${period}.${options.extension}"`
+      );
+      res.send(buffer);
+    } catch (error) {
+      console.error("Error generating calendar:", error);
+      res.removeHeader("ETag");
+      res.removeHeader("Last-Modified");
+      sendError(res, 500, "Error generating calendar", {
+        details: { reason: error.message },
+      });
+    }
+  }
+);
+
+// Helper function to read a count or number of seconds from the environment
+const readInteger = (value, fallback) =>
+  /^\d+$/.test(value || "") ? parseInt(value, 10) : fallback;
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Cleaning Schedule API running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || "development"}`);
+// Helper function to read the security settings from the environment:
+// - RATE_LIMIT_MAX requests per RATE_LIMIT_WINDOW_SECONDS from one address
+//   (0 turns the limit off)
+// - AUTH_LOCKOUT_FAILURES invalid API keys within AUTH_LOCKOUT_SECONDS lock
+//   an address out of the protected routes for as long (0 turns it off)
+// - CORS_ORIGINS, comma-separated, are the origins browsers may send writes
+//   from; reads are open to every origin
+// - UMAMI_SCRIPT_URL and UMAMI_WEBSITE_ID add umami analytics to the web
+//   page, only when both are set
+const readSecuritySettings = () => ({
+  rateLimitMax: readInteger(process.env.RATE_LIMIT_MAX, 300),
+  rateLimitWindowMs:
+    readInteger(process.env.RATE_LIMIT_WINDOW_SECONDS, 60) * 1000,
+  lockoutFailures: readInteger(process.env.AUTH_LOCKOUT_FAILURES, 5),
+  lockoutMs: readInteger(process.env.AUTH_LOCKOUT_SECONDS, 900) * 1000,
+  corsOrigins: (process.env.CORS_ORIGINS || "")
+    .split(",")
+    .map((origin) => origin.trim())
+    .filter(Boolean),
+  analytics:
+    process.env.UMAMI_SCRIPT_URL && process.env.UMAMI_WEBSITE_ID
+      ? {
+          scriptUrl: process.env.UMAMI_SCRIPT_URL,
+          websiteId: process.env.UMAMI_WEBSITE_ID,
+        }
+      : null,
 });
 
-module.exports = app;
+const READ_METHODS = ["GET", "HEAD"];
+
+// Helper function to pick the CORS options for a request (cors' delegate)
+// Reads are open to every origin; writes, and the preflights asking to send
+// them, only to the allowed origins
+const getCorsOptions = (req, callback) => {
+  const method =
+    req.method === "OPTIONS"
+      ? req.header("Access-Control-Request-Method") || ""
+      : req.method;
+
+  callback(null, {
+    origin: READ_METHODS.includes(method.toUpperCase())
+      ? "*"
+      : req.app.locals.security.corsOrigins,
+  });
+};
+
+// Middleware to limit how many requests one address may send per window
+// Sets the RateLimit-* headers, and answers 429 once the limit is reached
+const limitRequests = (req, res, next) => {
+  const now = getNow(req).getTime();
+  const { allowed, limit, remaining, resetAt } = req.app.locals.rateLimiter.hit(
+    req.ip,
+    now
+  );
+
+  if (limit === null) {
+    return next();
+  }
+
+  const reset = Math.ceil((resetAt - now) / 1000);
+  res.set("RateLimit-Limit", String(limit));
+  res.set("RateLimit-Remaining", String(remaining));
+  res.set("RateLimit-Reset", String(reset));
+
+  if (!allowed) {
+    return sendRetryLater(res, "Too many requests", "rate_limited", reset);
+  }
+
+  next();
+};
+
+// Helper function to tell POST /api/import's path, matched the way Express
+// routes are: ignoring case and a trailing slash
+const isImportPath = (path) => /^\/api\/import\/?$/i.test(path);
+
+// Helper function to build the Express app on top of a storage
+// Nothing is connected or listened on here, so tests can create apps freely.
+// `security` overrides single settings read by readSecuritySettings.
+const createApp = ({ storage, clock = () => new Date(), security = {} }) => {
+  const app = express();
+  const settings = { ...readSecuritySettings(), ...security };
+
+  // Set TRUST_PROXY (e.g. "1" or "loopback") behind a reverse proxy so req.ip,
+  // recorded in the audit log, is the client's address
+  if (process.env.TRUST_PROXY) {
+    app.set(
+      "trust proxy",
+      /^\d+$/.test(process.env.TRUST_PROXY)
+        ? parseInt(process.env.TRUST_PROXY, 10)
+        : process.env.TRUST_PROXY
+    );
+  }
+
+  // Handlers reach the storage, and the clock that decides which rotation is
+  // current, through req.app.locals
+  app.locals.storage = storage;
+  app.locals.clock = clock;
+  // Write routes publish to GET /api/events listeners through this stream
+  app.locals.events = createEventStream();
+  app.locals.security = {
+    ...settings,
+    analytics: settings.analytics && {
+      ...settings.analytics,
+      origin: new URL(settings.analytics.scriptUrl).origin,
+    },
+  };
+  app.locals.rateLimiter = createRateLimiter({
+    windowMs: settings.rateLimitWindowMs,
+    max: settings.rateLimitMax,
+    lockoutMs: settings.lockoutMs,
+    maxFailures: settings.lockoutFailures,
+  });
+
+  // Middleware
+  // CORS first, so 429 responses reach browsers and preflights are not
+  // counted against the limit
+  app.use(cors(getCorsOptions));
+  app.use(limitRequests);
+  app.use((req, res, next) => {
+    res.set("X-Content-Type-Options", "nosniff");
+    next();
+  });
+  // The import route parses its own, larger bodies once the caller is known
+  const parseJson = express.json();
+  app.use((req, res, next) =>
+    isImportPath(req.path) ? next() : parseJson(req, res, next)
+  );
+
+  // Mount the API router at /api and the pages at the root
+  app.use("/api", apiRouter);
+  app.use(pageRouter);
+
+  // Error handling middleware
+  // Errors from the body parsers carry a 4xx status, e.g. for invalid JSON
+  app.use((err, req, res, next) => {
+    if (err.status >= 400 && err.status < 500) {
+      return sendError(res, err.status, err.message, {
+        code: err.type === "entity.parse.failed" ? "invalid_json" : undefined,
+      });
+    }
+
+    console.error(err.stack);
+    sendError(res, 500, "Something went wrong!");
+  });
+
+  // 404 handler
+  app.use((req, res) => {
+    sendError(res, 404, "Route not found");
+  });
+
+  return app;
+};
+
+// Start server: connect the storage chosen by STORAGE, listen on PORT and
+// run the notification scheduler
+const start = async ({ storage = createStorage(), port = PORT } = {}) => {
+  await storage.connect();
+
+  const app = createApp({ storage });
+
+  return new Promise((resolve) => {
+    const server = app.listen(port, () => {
+      console.log(
+        `Cleaning Schedule API running on port ${server.address().port}`
+      );
+      console.log(`Environment: ${process.env.NODE_ENV || "development"}`);
+      console.log(`Storage: ${storage.type}`);
+      const scheduler = startNotificationScheduler(storage);
+      const watcher = startRotationWatcher(app);
+      server.on("close", () => {
+        clearInterval(scheduler);
+        clearInterval(watcher);
+        closeCalendarBrowser();
+      });
+      resolve(server);
+    });
+  });
+};
+
+if (require.main === module) {
+  start().catch((error) => {
+    console.error("Could not start server:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createApp,
+  start,
+  checkRotations,
+  runNotificationCycle,
+  getCurrentRotation,
+  getUpcomingRotations,
+  buildCalendarData,
+};
@@ -0,0 +1,128 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  resolveCalendarOptions,
+  getCalendarMonths,
+  getMonthDays,
+  renderCalendarHtml,
+} = require("../lib/calendar");
+
+// Option parsing and the page the printable calendar is printed from
+
+const TODAY = new Date("2026-03-04T00:00:00Z");
+
+describe("resolveCalendarOptions", () => {
+  it("defaults to this month on landscape A4", () => {
+    const options = resolveCalendarOptions({}, { format: "pdf", today: TODAY });
+
+    assert.equal(options.layout, "month");
+    assert.equal(options.year, 2026);
+    assert.equal(options.month, 3);
+    assert.equal(options.paper, "a4");
+    assert.deepEqual([options.width, options.height], [297, 210]);
+    assert.equal(options.contentType, "application/pdf");
+  });
+
+  it("prints a whole year on portrait Letter", () => {
+    const options = resolveCalendarOptions(
+      { year: "2027", paper: "letter" },
+      { format: "png", today: TODAY }
+    );
+
+    assert.equal(options.layout, "year");
+    assert.equal(options.month, null);
+    assert.deepEqual([options.width, options.height], [215.9, 279.4]);
+    assert.equal(getCalendarMonths(options).length, 12);
+    assert.equal(options.contentType, "image/png");
+  });
+
+  it("rejects periods and paper it cannot print", () => {
+    const errorFor = (query) =>
+      resolveCalendarOptions(query, { format: "pdf", today: TODAY }).error;
+
+    assert.match(errorFor({ month: "2026-13" }), /YYYY-MM/);
+    assert.match(errorFor({ year: "26" }), /YYYY/);
+    assert.match(errorFor({ year: "1900" }), /between/);
+    assert.match(errorFor({ month: "2026-03", year: "2026" }), /not both/);
+    assert.match(errorFor({ paper: "a3" }), /a4, letter/);
+  });
+});
+
+describe("getMonthDays", () => {
+  it("lists every calendar date of a month", () => {
+    const days = getMonthDays({ year: 2028, month: 2 });
+
+    assert.equal(days.length, 29);
+    assert.equal(days[28].toISOString(), "2028-02-29T00:00:00.000Z");
+  });
+});
+
+describe("renderCalendarHtml", () => {
+  const options = resolveCalendarOptions(
+    { month: "2026-03" },
+    { format: "pdf", today: TODAY }
+  );
+  const month = { year: 2026, month: 3 };
+  const data = {
+    locale: "en",
+    title: "Flat <2>",
+    weekStartDay: 1,
+    people: ["Alice", "Bob"],
+    months: [
+      {
+        ...month,
+        days: getMonthDays(month).map((date, index) => ({
+          date,
+          person: index < 7 ? "Alice" : "Bob",
+          isOverride: index >= 7 && index < 14,
+          away: index === 9 ? ["Alice"] : [],
+        })),
+      },
+    ],
+    overrides: [
+      {
+        person: "Bob",
+        originalPerson: "Alice",
+        dates: "Mar 8 – 14",
+        reason: "Trip",
+      },
+    ],
+    absences: [{ person: "Alice", dates: "Mar 10", reason: null }],
+  };
+
+  it("sizes the sheet and lays out the month from the week start", () => {
+    const html = renderCalendarHtml(data, options);
+
+    assert.match(html, /@page \{ size: 297mm 210mm; margin: 0; \}/);
+    assert.match(html, /<caption>March 2026<\/caption>/);
+    assert.match(html, /<thead><tr><th>Mon<\/th>/);
+    // March 1 2026 is a Sunday, the seventh cell of the first week
+    assert.match(html, /<tr>(<td class="empty"><\/td>){6}<td style/);
+  });
+
+  it("shows the legend, overrides and absences, escaped", () => {
+    const html = renderCalendarHtml(data, options);
+
+    assert.match(html, /<h1>Flat &lt;2&gt;<\/h1>/);
+    assert.match(
+      html,
+      /class="swatch" style="background: #[0-9a-f]{6}"><\/span>Bob/
+    );
+    assert.match(html, /Bob covers for Alice – Trip/);
+    assert.match(html, /Away: Alice/);
+    assert.match(html, /<strong>Mar 10<\/strong> Alice<\/li>/);
+    assert.match(html, /\* someone else is covering/);
+  });
+
+  it("translates labels and leaves out empty lists", () => {
+    const html = renderCalendarHtml(
+      { ...data, locale: "cs", overrides: [], absences: [] },
+      options
+    );
+
+    assert.match(html, /<caption>březen 2026<\/caption>/);
+    assert.match(html, /Pryč: Alice/);
+    assert.doesNotMatch(html, /Změny/);
+    assert.doesNotMatch(html, /class="notes"/);
+  });
+});
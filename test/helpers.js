@@ -0,0 +1,190 @@
+const express = require("express");
+const { createApp } = require("../server");
+const { createStorage } = require("../lib/storage");
+
+// Shared setup for the HTTP tests: an app on the in-memory storage with a
+// clock the test controls, listening on a free port
+
+const API_KEY = "test-api-key-0123456789abcdef";
+process.env.API_KEY = API_KEY;
+
+// Helper function to build a clock that stands still until it is set
+const createClock = (start) => {
+  let now = new Date(start);
+
+  const clock = () => new Date(now);
+  clock.set = (date) => {
+    now = new Date(date);
+  };
+
+  return clock;
+};
+
+// Helper function to list every route in a router stack, nested ones too
+const collectRoutes = (stack, routes = []) => {
+  for (const layer of stack) {
+    if (layer.route) {
+      routes.push(layer.route);
+    } else if (layer.handle && layer.handle.stack) {
+      collectRoutes(layer.handle.stack, routes);
+    }
+  }
+
+  return routes;
+};
+
+// Helper function to list every route an app serves, API and pages
+const listRoutes = (app) => collectRoutes(app._router.stack);
+
+// Helper function to list the routes of the router mounted at /api, with
+// paths relative to it
+const listApiRoutes = (app) =>
+  collectRoutes(
+    app._router.stack.find(
+      (layer) =>
+        layer.handle.stack &&
+        !layer.regexp.fast_slash &&
+        layer.regexp.test("/api")
+    ).handle.stack
+  );
+
+// Helper function to describe a route for failure messages
+const describeRoute = (route) =>
+  `${Object.keys(route.methods).join(",").toUpperCase()} ${[]
+    .concat(route.path)
+    .join(" | ")}`;
+
+// Starts an app at `now`; `reached` collects every route a request ended in
+// The clock stands still, so rate limits and lockouts are off unless
+// `security` turns them on
+const startTestServer = async ({ now, security = {} }) => {
+  const storage = createStorage({ type: "memory" });
+  await storage.connect();
+
+  const clock = createClock(now);
+  const app = createApp({
+    storage,
+    clock,
+    security: { rateLimitMax: 0, lockoutFailures: 0, ...security },
+  });
+  const reached = new Set();
+
+  const outer = express();
+  outer.use((req, res, next) => {
+    // "close" rather than "finish", so event streams the client hung up on
+    // count too
+    res.on("close", () => {
+      if (req.route) {
+        reached.add(req.route);
+      }
+    });
+    next();
+  });
+  outer.use(app);
+
+  const server = await new Promise((resolve) => {
+    const listening = outer.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Sends a request with the API key unless apiKey is null; JSON bodies are
+  // parsed, anything else is returned as text alongside the raw bytes
+  const request = async (
+    method,
+    path,
+    { body, apiKey = API_KEY, headers = {} } = {}
+  ) => {
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers: {
+        ...(body !== undefined &&
+          typeof body !== "string" && { "Content-Type": "application/json" }),
+        ...(apiKey && { "X-API-Key": apiKey }),
+        ...headers,
+      },
+      body:
+        body === undefined || typeof body === "string"
+          ? body
+          : JSON.stringify(body),
+    });
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    const type = response.headers.get("content-type") || "";
+
+    return {
+      status: response.status,
+      headers: response.headers,
+      buffer,
+      body: type.includes("application/json")
+        ? JSON.parse(buffer.toString())
+        : buffer.toString(),
+    };
+  };
+
+  // Opens GET /api/events; next() resolves with the next event as
+  // { id, type, data }, passing over comments and retry hints
+  const openEvents = async ({ lastEventId } = {}) => {
+    const controller = new AbortController();
+    const response = await fetch(`${baseUrl}/api/events`, {
+      headers:
+        lastEventId === undefined ? {} : { "Last-Event-ID": lastEventId },
+      signal: controller.signal,
+    });
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let received = "";
+
+    const next = async () => {
+      for (;;) {
+        const end = received.indexOf("\n\n");
+
+        if (end === -1) {
+          const { value, done } = await reader.read();
+          if (done) {
+            throw new Error("Event stream ended");
+          }
+          received += decoder.decode(value, { stream: true });
+          continue;
+        }
+
+        const fields = {};
+        for (const line of received.slice(0, end).split("\n")) {
+          const match = /^(id|event|data): ?(.*)$/.exec(line);
+          if (match) {
+            fields[match[1]] = match[2];
+          }
+        }
+        received = received.slice(end + 2);
+
+        if (fields.event) {
+          return {
+            id: fields.id,
+            type: fields.event,
+            data: JSON.parse(fields.data),
+          };
+        }
+      }
+    };
+
+    return { response, next, close: () => controller.abort() };
+  };
+
+  return {
+    app,
+    storage,
+    clock,
+    request,
+    openEvents,
+    reached,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+module.exports = {
+  API_KEY,
+  createClock,
+  listRoutes,
+  listApiRoutes,
+  describeRoute,
+  startTestServer,
+};
@@ -0,0 +1,69 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  LOCALES,
+  translate,
+  formatDateRange,
+  listLocales,
+} = require("../lib/i18n");
+
+describe("translate", () => {
+  it("fills in placeholders", () => {
+    assert.equal(
+      translate("en", "page.tasks", { completed: 2, required: 5 }),
+      "Tasks 2/5"
+    );
+    assert.equal(
+      translate("cs", "page.coveringFor", { person: "Bob" }),
+      "Zaskakuje za: Bob"
+    );
+  });
+
+  it("picks plural forms by the locale's rules", () => {
+    assert.equal(translate("en", "eink.more", { count: 1 }), "+1 more");
+    assert.equal(translate("cs", "eink.more", { count: 3 }), "+3 další");
+    assert.equal(translate("cs", "eink.more", { count: 5 }), "+5 dalších");
+  });
+
+  it("falls back to English, then to the key", () => {
+    assert.equal(translate("xx", "page.refresh"), "Refresh");
+    assert.equal(translate("cs", "page.unknown"), "page.unknown");
+  });
+
+  it("has every English message in every catalog", () => {
+    for (const locale of LOCALES) {
+      for (const key of [
+        "page.title",
+        "page.upcoming",
+        "eink.heading",
+        "eink.current.week",
+      ]) {
+        assert.notEqual(translate(locale, key), key, `${locale} ${key}`);
+      }
+    }
+  });
+});
+
+describe("formatDateRange", () => {
+  it("formats periods with Intl in the locale", () => {
+    const options = { month: "short", day: "numeric", timeZone: "UTC" };
+    const start = new Date("2026-03-02T00:00:00Z");
+    const end = new Date("2026-03-08T23:59:59Z");
+
+    // Intl separates the parts with thin and non-breaking spaces
+    assert.match(formatDateRange("en", start, end, options), /^Mar\s2\s–\s8$/);
+    assert.match(
+      formatDateRange("cs", start, end, options),
+      /^2\.\s3\.\s–\s8\.\s3\.$/
+    );
+  });
+});
+
+describe("listLocales", () => {
+  it("names each locale in its own language", () => {
+    assert.deepEqual(listLocales(), [
+      { code: "en", name: "English", englishName: "English" },
+      { code: "cs", name: "čeština", englishName: "Czech" },
+    ]);
+  });
+});
@@ -0,0 +1,152 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { validateSchema } = require("../lib/json-schema");
+const { createApiDescription } = require("../lib/openapi");
+
+// Request validation, and the OpenAPI document it is built on
+
+const schemas = {
+  Task: {
+    type: "object",
+    additionalProperties: false,
+    required: ["title"],
+    properties: {
+      title: { type: "string", minLength: 1 },
+      perWeek: { type: "integer", nullable: true, minimum: 1, maximum: 7 },
+    },
+  },
+};
+
+const taskList = {
+  type: "array",
+  maxItems: 2,
+  items: { oneOf: [{ type: "string" }, { $ref: "#/components/schemas/Task" }] },
+};
+
+describe("validateSchema", () => {
+  it("accepts a valid value", () => {
+    assert.deepEqual(
+      validateSchema(taskList, ["Dishes", { title: "Floors", perWeek: null }], {
+        schemas,
+      }),
+      []
+    );
+  });
+
+  it("reports every problem with its path", () => {
+    assert.deepEqual(
+      validateSchema(
+        taskList,
+        [{ title: "", perWeek: 9, colour: "red" }, 7, "Dishes"],
+        { schemas, path: "tasks" }
+      ),
+      [
+        { path: "tasks", message: "must have at most 2 items" },
+        { path: "tasks[0].title", message: "must not be empty" },
+        { path: "tasks[0].perWeek", message: "must be at most 7" },
+        { path: "tasks[0].colour", message: "is not allowed" },
+        { path: "tasks[1]", message: "does not match any allowed form" },
+      ]
+    );
+  });
+
+  it("reports missing fields and nulls where none are allowed", () => {
+    assert.deepEqual(
+      validateSchema(
+        { $ref: "#/components/schemas/Task" },
+        { perWeek: 2 },
+        {
+          schemas,
+        }
+      ),
+      [{ path: "title", message: "is required" }]
+    );
+    assert.deepEqual(validateSchema({ type: "string" }, null), [
+      { path: "", message: "must be a string" },
+    ]);
+  });
+
+  it("fails on an unknown reference", () => {
+    assert.throws(
+      () => validateSchema({ $ref: "#/components/schemas/Nope" }, 1),
+      /Unknown schema reference/
+    );
+  });
+});
+
+describe("createApiDescription", () => {
+  const { document, validateRequest } = createApiDescription({
+    version: "1.0.0",
+    slugPattern: /^[a-z0-9-]+$/,
+    reservedSlugs: ["api"],
+    controlCharacters: /[\u0000-\u001f]/,
+    maxPeople: 3,
+    maxPersonNameLength: 10,
+    maxScheduleNameLength: 20,
+    maxTasks: 5,
+    maxTaskTitleLength: 20,
+    taskIdPattern: /^[a-z-]+$/,
+    calendarDatePattern: /^\d{4}-\d{2}-\d{2}$/,
+    rotationUnits: ["day", "week"],
+    strategies: ["round-robin"],
+    absencePolicies: ["pass"],
+    maxRotationRangeDays: 31,
+    icsMaxHorizonDays: 90,
+    importConflictModes: ["fail"],
+    exportFormat: "test-export",
+    exportVersion: 1,
+  });
+
+  it("only refers to schemas it defines", () => {
+    const refs = JSON.stringify(document).match(/#\/components\/\w+\/\w+/g);
+
+    for (const ref of new Set(refs)) {
+      const [, , section, name] = ref.split("/");
+      assert.ok(document.components[section][name], `${ref} is not defined`);
+    }
+  });
+
+  it("names both paths of default-schedule routes", () => {
+    assert.equal(document.paths["/schedule"].get.operationId, "getSchedule");
+    assert.equal(
+      document.paths["/schedules/{slug}"].get.operationId,
+      "getScheduleBySlug"
+    );
+    assert.deepEqual(
+      document.paths["/schedules/{slug}"].get.parameters.map(
+        (parameter) => parameter.name
+      ),
+      ["slug"]
+    );
+  });
+
+  it("validates parameters as their types and bodies against the limits", () => {
+    const issues = validateRequest("createSchedule", {
+      params: {},
+      query: {},
+      body: {
+        people: ["Alice", "Bob", "Carl", "Dana"],
+        startDate: "2026-01-05",
+        name: "Flat\n2",
+      },
+      is: () => false,
+    });
+
+    assert.deepEqual(
+      issues.map(({ path, message }) => [path, message]),
+      [
+        ["people", "must have at most 3 items"],
+        ["name", "must match the pattern ^[^\\u0000-\\u001f]*$"],
+      ]
+    );
+
+    assert.deepEqual(
+      validateRequest("listHistory", {
+        params: { slug: "flat" },
+        query: { page: "2", limit: "0" },
+        body: {},
+      }),
+      [{ in: "query", path: "limit", message: "must be at least 1" }]
+    );
+  });
+});
@@ -0,0 +1,338 @@
+const { spawnSync } = require("child_process");
+const path = require("path");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getCurrentRotation,
+  getUpcomingRotations,
+  buildCalendarData,
+} = require("../server");
+
+// Rotation math, with `at` standing in for the clock
+
+const weekly = (fields = {}) => ({
+  people: ["Alice", "Bob", "Carl"],
+  startDate: new Date("2024-03-18"),
+  rotation: { unit: "week", length: 1 },
+  timezone: "UTC",
+  ...fields,
+});
+
+const at = (iso) => ({ at: new Date(iso) });
+
+describe("getCurrentRotation", () => {
+  it("starts with the first person on the start date", () => {
+    const rotation = getCurrentRotation(weekly(), at("2024-03-18T08:00:00Z"));
+
+    assert.equal(rotation.currentPerson, "Alice");
+    assert.equal(rotation.currentPersonIndex, 0);
+    assert.equal(rotation.rotationNumber, 1);
+    assert.equal(rotation.isActive, true);
+    assert.deepEqual(rotation.periodStart, new Date("2024-03-18T00:00:00Z"));
+    assert.deepEqual(rotation.periodEnd, new Date("2024-03-24T23:59:59.999Z"));
+  });
+
+  it("moves on at the week boundary", () => {
+    const schedule = weekly();
+
+    assert.equal(
+      getCurrentRotation(schedule, at("2024-03-24T23:59:59Z")).currentPerson,
+      "Alice"
+    );
+    assert.equal(
+      getCurrentRotation(schedule, at("2024-03-25T00:00:00Z")).currentPerson,
+      "Bob"
+    );
+    assert.equal(
+      getCurrentRotation(schedule, at("2024-04-08T12:00:00Z")).currentPerson,
+      "Alice"
+    );
+  });
+
+  it("puts a Sunday start date in the week that ends on it", () => {
+    const schedule = weekly({ startDate: new Date("2024-03-17") });
+    const sunday = getCurrentRotation(schedule, at("2024-03-17T12:00:00Z"));
+
+    assert.equal(sunday.rotationNumber, 1);
+    assert.equal(sunday.currentPerson, "Alice");
+    assert.deepEqual(sunday.periodStart, new Date("2024-03-11T00:00:00Z"));
+    assert.equal(sunday.daysSinceStart, 6);
+
+    const monday = getCurrentRotation(schedule, at("2024-03-18T00:00:00Z"));
+    assert.equal(monday.rotationNumber, 2);
+    assert.equal(monday.currentPerson, "Bob");
+  });
+
+  it("starts weeks on Sunday when weekStartDay is 0", () => {
+    const schedule = weekly({
+      startDate: new Date("2024-03-17"),
+      weekStartDay: 0,
+    });
+    const rotation = getCurrentRotation(schedule, at("2024-03-17T12:00:00Z"));
+
+    assert.equal(rotation.rotationNumber, 1);
+    assert.deepEqual(rotation.periodStart, new Date("2024-03-17T00:00:00Z"));
+    assert.deepEqual(rotation.periodEnd, new Date("2024-03-23T23:59:59.999Z"));
+  });
+
+  it("numbers rotations before a future start date zero and below", () => {
+    const schedule = weekly({ startDate: new Date("2030-01-07") });
+    const rotation = getCurrentRotation(schedule, at("2029-12-27T12:00:00Z"));
+
+    assert.equal(rotation.rotationNumber, -1);
+    assert.equal(rotation.daysSinceStart, -11);
+    assert.equal(rotation.selection.reason, "before-start");
+    // Roster order continues backwards from the first rotation
+    assert.equal(rotation.currentPerson, "Bob");
+    assert.ok(rotation.currentPersonIndex >= 0);
+  });
+
+  it("rolls monthly rotations over the end of the year", () => {
+    const schedule = weekly({
+      people: ["Alice", "Bob"],
+      startDate: new Date("2024-11-15"),
+      rotation: { unit: "month", length: 1, dayOfMonth: 15 },
+    });
+
+    const december = getCurrentRotation(schedule, at("2024-12-31T12:00:00Z"));
+    assert.equal(december.rotationNumber, 2);
+    assert.equal(december.currentPerson, "Bob");
+    assert.deepEqual(december.periodStart, new Date("2024-12-15T00:00:00Z"));
+    assert.deepEqual(december.periodEnd, new Date("2025-01-14T23:59:59.999Z"));
+
+    const january = getCurrentRotation(schedule, at("2025-01-15T00:00:00Z"));
+    assert.equal(january.rotationNumber, 3);
+    assert.equal(january.currentPerson, "Alice");
+  });
+
+  it("places a start date before dayOfMonth in the previous month's period", () => {
+    const schedule = weekly({
+      startDate: new Date("2025-01-03"),
+      rotation: { unit: "month", length: 1, dayOfMonth: 10 },
+    });
+    const rotation = getCurrentRotation(schedule, at("2025-01-05T12:00:00Z"));
+
+    assert.equal(rotation.rotationNumber, 1);
+    assert.deepEqual(rotation.periodStart, new Date("2024-12-10T00:00:00Z"));
+  });
+
+  it("crosses the year on daily rotations", () => {
+    const schedule = weekly({
+      startDate: new Date("2024-12-30"),
+      rotation: { unit: "day", length: 1 },
+    });
+    const rotation = getCurrentRotation(schedule, at("2025-01-01T18:00:00Z"));
+
+    assert.equal(rotation.rotationNumber, 3);
+    assert.equal(rotation.currentPerson, "Carl");
+    assert.deepEqual(rotation.periodStart, new Date("2025-01-01T00:00:00Z"));
+  });
+
+  it("begins periods at local midnight across a DST change", () => {
+    const schedule = weekly({ timezone: "Europe/Prague" });
+    // Clocks go forward on Sunday March 31 2024, inside the second week
+    const rotation = getCurrentRotation(schedule, at("2024-03-28T12:00:00Z"));
+
+    assert.equal(rotation.rotationNumber, 2);
+    assert.deepEqual(rotation.periodStart, new Date("2024-03-24T23:00:00Z"));
+    assert.deepEqual(rotation.periodEnd, new Date("2024-03-31T21:59:59.999Z"));
+  });
+
+  it("uses the local date of the instant, not the UTC one", () => {
+    const schedule = weekly({ timezone: "Europe/Prague" });
+    // Already Monday March 25 in Prague
+    const rotation = getCurrentRotation(schedule, at("2024-03-24T23:30:00Z"));
+
+    assert.equal(rotation.rotationNumber, 2);
+  });
+
+  it("applies a person override to its rotation", () => {
+    const rotation = getCurrentRotation(weekly(), {
+      ...at("2024-03-26T12:00:00Z"),
+      overrides: [{ type: "person", rotationNumber: 2, person: "Carl" }],
+    });
+
+    assert.equal(rotation.currentPerson, "Carl");
+    assert.equal(rotation.isOverride, true);
+    assert.equal(rotation.originalPerson, "Bob");
+  });
+});
+
+describe("getUpcomingRotations", () => {
+  it("lists the rotations after the current one, back to back", () => {
+    const upcoming = getUpcomingRotations(
+      weekly(),
+      5,
+      at("2024-03-20T12:00:00Z")
+    );
+
+    assert.deepEqual(
+      upcoming.map((rotation) => [rotation.rotationNumber, rotation.person]),
+      [
+        [2, "Bob"],
+        [3, "Carl"],
+        [4, "Alice"],
+        [5, "Bob"],
+        [6, "Carl"],
+      ]
+    );
+    assert.ok(upcoming.every((rotation) => rotation.isCurrent === false));
+
+    for (let i = 1; i < upcoming.length; i++) {
+      assert.equal(
+        upcoming[i].periodStart.getTime(),
+        upcoming[i - 1].periodEnd.getTime() + 1
+      );
+    }
+  });
+
+  it("defaults to five rotations", () => {
+    assert.equal(
+      getUpcomingRotations(weekly(), undefined, at("2024-03-20T12:00:00Z"))
+        .length,
+      5
+    );
+  });
+
+  it("counts up through zero to the first rotation of a future schedule", () => {
+    const upcoming = getUpcomingRotations(
+      weekly({ startDate: new Date("2030-01-07") }),
+      3,
+      at("2029-12-27T12:00:00Z")
+    );
+
+    assert.deepEqual(
+      upcoming.map((rotation) => [rotation.rotationNumber, rotation.person]),
+      [
+        [0, "Carl"],
+        [1, "Alice"],
+        [2, "Bob"],
+      ]
+    );
+    assert.deepEqual(upcoming[1].periodStart, new Date("2030-01-07T00:00:00Z"));
+  });
+
+  it("keeps multi-month periods aligned over a year end", () => {
+    const upcoming = getUpcomingRotations(
+      weekly({
+        startDate: new Date("2024-01-01"),
+        rotation: { unit: "month", length: 2, dayOfMonth: 1 },
+      }),
+      3,
+      at("2024-10-15T12:00:00Z")
+    );
+
+    assert.deepEqual(
+      upcoming.map((rotation) => rotation.periodStart.toISOString()),
+      [
+        "2024-11-01T00:00:00.000Z",
+        "2025-01-01T00:00:00.000Z",
+        "2025-03-01T00:00:00.000Z",
+      ]
+    );
+    assert.deepEqual(
+      upcoming[0].periodEnd,
+      new Date("2024-12-31T23:59:59.999Z")
+    );
+  });
+
+  it("handles February in monthly rotations", () => {
+    const upcoming = getUpcomingRotations(
+      weekly({
+        startDate: new Date("2024-01-28"),
+        rotation: { unit: "month", length: 1, dayOfMonth: 28 },
+      }),
+      2,
+      at("2024-02-01T12:00:00Z")
+    );
+
+    assert.deepEqual(
+      upcoming.map((rotation) => rotation.periodStart.toISOString()),
+      ["2024-02-28T00:00:00.000Z", "2024-03-28T00:00:00.000Z"]
+    );
+    // 2024 is a leap year, so the February period runs through the 29th
+    assert.deepEqual(
+      upcoming[0].periodEnd,
+      new Date("2024-03-27T23:59:59.999Z")
+    );
+  });
+});
+
+describe("buildCalendarData", () => {
+  const march = [{ year: 2024, month: 3 }];
+
+  it("colours each day by the rotation in effect at its local midnight", () => {
+    // Week 13 starts on Monday March 25 in Prague, still the 24th in UTC
+    const { months, weekStartDay } = buildCalendarData(
+      weekly({ timezone: "Europe/Prague" }),
+      march,
+      { overrides: [], absences: [] },
+      "en"
+    );
+    const people = months[0].days.map((day) => day.person);
+
+    assert.equal(weekStartDay, 1);
+    assert.equal(people.length, 31);
+    assert.deepEqual(people.slice(0, 17), Array(17).fill(null));
+    assert.deepEqual(people.slice(17, 24), Array(7).fill("Alice"));
+    assert.deepEqual(people.slice(24), Array(7).fill("Bob"));
+  });
+
+  it("marks overrides and who is away", () => {
+    const data = buildCalendarData(
+      weekly(),
+      march,
+      {
+        overrides: [
+          { id: "o1", type: "assign", rotationNumber: 2, person: "Carl" },
+        ],
+        absences: [
+          {
+            person: "Bob",
+            startDate: new Date("2024-03-24"),
+            endDate: new Date("2024-03-26"),
+            reason: "Trip",
+          },
+          {
+            person: "Carl",
+            startDate: new Date("2024-04-01"),
+            endDate: new Date("2024-04-03"),
+          },
+        ],
+      },
+      "en"
+    );
+    const days = data.months[0].days;
+
+    assert.equal(days[24].person, "Carl");
+    assert.equal(days[24].isOverride, true);
+    assert.deepEqual(days[24].away, ["Bob"]);
+    assert.deepEqual(days[22].away, []);
+    // Intl separates ranges with thin spaces
+    assert.equal(data.overrides.length, 1);
+    assert.equal(data.overrides[0].person, "Carl");
+    assert.equal(data.overrides[0].originalPerson, "Bob");
+    assert.match(data.overrides[0].dates, /^Mar 25\s–\s31$/);
+    assert.equal(data.absences.length, 1);
+    assert.equal(data.absences[0].person, "Bob");
+    assert.match(data.absences[0].dates, /^Mar 24\s–\s26$/);
+    assert.equal(data.absences[0].reason, "Trip");
+    assert.deepEqual(data.people, ["Alice", "Bob", "Carl"]);
+  });
+});
+
+describe("DEFAULT_TIMEZONE", () => {
+  it("refuses to load with a timezone Intl does not know", () => {
+    const result = spawnSync(process.execPath, ["-e", 'require("./server")'], {
+      cwd: path.join(__dirname, ".."),
+      env: { ...process.env, DEFAULT_TIMEZONE: "Europe/Atlantis" },
+      encoding: "utf8",
+    });
+
+    assert.notEqual(result.status, 0);
+    assert.match(
+      result.stderr,
+      /DEFAULT_TIMEZONE must be an IANA timezone \(got "Europe\/Atlantis"\)/
+    );
+  });
+});
@@ -0,0 +1,1198 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+const { checkRotations, runNotificationCycle } = require("../server");
+const { closeCalendarBrowser } = require("../lib/calendar");
+const {
+  listRoutes,
+  listApiRoutes,
+  describeRoute,
+  startTestServer,
+} = require("./helpers");
+
+// Every route of the app against the in-memory storage, with the clock fixed
+// on Wednesday March 4 2026: rotation 9 of the default schedule, Carl's week
+
+const NOW = "2026-03-04T10:00:00Z";
+
+const DEFAULT_SCHEDULE = {
+  people: ["Alice", "Bob", "Carl"],
+  startDate: "2026-01-05",
+  rotation: { unit: "week", length: 1 },
+  timezone: "UTC",
+};
+
+let server;
+let request;
+
+before(async () => {
+  server = await startTestServer({ now: NOW });
+  ({ request } = server);
+});
+
+after(async () => {
+  await closeCalendarBrowser();
+  await server.close();
+});
+
+// Helper function to read the pixel size of a rendered e-ink image
+// sharp has no BMP decoder, so BMP sizes come from the DIB header
+const getImageSize = async (buffer, contentType) => {
+  if (contentType === "image/bmp") {
+    return {
+      width: buffer.readInt32LE(18),
+      height: Math.abs(buffer.readInt32LE(22)),
+    };
+  }
+
+  const { width, height } = await sharp(buffer).metadata();
+  return { width, height };
+};
+
+describe("schedules", () => {
+  it("rejects writes without a valid API key", async () => {
+    const missing = await request("POST", "/api/schedule", {
+      body: DEFAULT_SCHEDULE,
+      apiKey: null,
+    });
+    assert.equal(missing.status, 401);
+
+    const wrong = await request("POST", "/api/schedule", {
+      body: DEFAULT_SCHEDULE,
+      apiKey: "not-the-key",
+    });
+    assert.equal(wrong.status, 403);
+  });
+
+  it("validates a new schedule", async () => {
+    const response = await request("POST", "/api/schedule", {
+      body: { ...DEFAULT_SCHEDULE, people: ["Alice", "Alice"] },
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.code, "validation_failed");
+    assert.match(response.body.error.message, /"Alice" is repeated/);
+  });
+
+  it("checks request bodies against the API schema", async () => {
+    const response = await request("POST", "/api/schedule", {
+      body: {
+        ...DEFAULT_SCHEDULE,
+        people: ["Alice", 42, null],
+        rotation: { unit: "fortnight" },
+        colour: "blue",
+      },
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.code, "validation_failed");
+    assert.equal(response.body.error.message, "people[1] must be a string");
+    assert.deepEqual(response.body.error.details.issues, [
+      { in: "body", path: "people[1]", message: "must be a string" },
+      { in: "body", path: "people[2]", message: "must be a string" },
+      {
+        in: "body",
+        path: "rotation.unit",
+        message: "must be one of: day, week, month",
+      },
+      { in: "body", path: "colour", message: "is not allowed" },
+    ]);
+
+    const query = await request("GET", "/api/history?page=first", {
+      apiKey: null,
+    });
+    assert.equal(query.status, 400);
+    assert.equal(
+      query.body.error.message,
+      "Query parameter page must be an integer"
+    );
+
+    const malformed = await request("POST", "/api/schedule", {
+      body: "{ not json",
+      headers: { "Content-Type": "application/json" },
+    });
+    assert.equal(malformed.status, 400);
+    assert.equal(malformed.body.error.code, "invalid_json");
+  });
+
+  it("creates the default schedule at the injected time", async () => {
+    const response = await request("POST", "/api/schedule", {
+      body: DEFAULT_SCHEDULE,
+    });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.schedule.slug, "default");
+    assert.equal(response.body.schedule.currentRotation.rotationNumber, 9);
+    assert.equal(response.body.schedule.currentRotation.currentPerson, "Carl");
+  });
+
+  it("creates a named schedule", async () => {
+    const response = await request("POST", "/api/schedules", {
+      body: {
+        slug: "flat",
+        people: ["Dana", "Eve"],
+        startDate: "2026-03-02",
+        rotation: { unit: "day", length: 1 },
+        timezone: "UTC",
+      },
+    });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.schedule.slug, "flat");
+  });
+
+  it("lists schedules with their current person", async () => {
+    const response = await request("GET", "/api/schedules", { apiKey: null });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      response.body.schedules.map((schedule) => [
+        schedule.slug,
+        schedule.currentPerson,
+      ]),
+      [
+        ["default", "Carl"],
+        ["flat", "Dana"],
+      ]
+    );
+  });
+
+  it("returns a schedule with its upcoming rotations", async () => {
+    const response = await request("GET", "/api/schedule", { apiKey: null });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.currentRotation.currentPerson, "Carl");
+    assert.deepEqual(
+      response.body.upcomingRotations.map((rotation) => rotation.person),
+      ["Alice", "Bob", "Carl", "Alice", "Bob"]
+    );
+
+    // fetch adds "Cache-Control: no-cache" to conditional requests unless
+    // told otherwise, and Express never answers those with a 304
+    const cached = await request("GET", "/api/schedule", {
+      apiKey: null,
+      headers: {
+        "If-None-Match": response.headers.get("etag"),
+        "Cache-Control": "max-age=0",
+      },
+    });
+    assert.equal(cached.status, 304);
+
+    const named = await request("GET", "/api/schedules/flat", { apiKey: null });
+    assert.equal(named.status, 200);
+    assert.equal(named.body.currentRotation.currentPerson, "Dana");
+
+    const missing = await request("GET", "/api/schedules/nope", {
+      apiKey: null,
+    });
+    assert.equal(missing.status, 404);
+    assert.deepEqual(missing.body, {
+      error: {
+        code: "not_found",
+        message: "No schedule found",
+        details: null,
+      },
+    });
+  });
+
+  it("returns the current rotation now or at a given time", async () => {
+    const now = await request("GET", "/api/current", { apiKey: null });
+    assert.equal(now.status, 200);
+    assert.equal(now.body.rotationNumber, 9);
+    assert.equal(now.body.currentPerson, "Carl");
+    assert.equal(now.body.periodStart, "2026-03-02T00:00:00.000Z");
+
+    const past = await request("GET", "/api/current?at=2026-01-05", {
+      apiKey: null,
+    });
+    assert.equal(past.body.rotationNumber, 1);
+    assert.equal(past.body.currentPerson, "Alice");
+
+    const invalid = await request("GET", "/api/current?at=soon", {
+      apiKey: null,
+    });
+    assert.equal(invalid.status, 400);
+  });
+
+  it("follows the injected clock", async () => {
+    server.clock.set("2026-03-09T08:00:00Z");
+    try {
+      const response = await request("GET", "/api/current", { apiKey: null });
+      assert.equal(response.body.rotationNumber, 10);
+      assert.equal(response.body.currentPerson, "Alice");
+    } finally {
+      server.clock.set(NOW);
+    }
+  });
+
+  it("lists the rotations overlapping a range", async () => {
+    const response = await request(
+      "GET",
+      "/api/rotations?from=2026-03-01&to=2026-03-15",
+      { apiKey: null }
+    );
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      response.body.rotations.map((rotation) => [
+        rotation.rotationNumber,
+        rotation.person,
+        rotation.isCurrent,
+      ]),
+      [
+        [8, "Bob", false],
+        [9, "Carl", true],
+        [10, "Alice", false],
+      ]
+    );
+
+    const missing = await request("GET", "/api/rotations", { apiKey: null });
+    assert.equal(missing.status, 400);
+  });
+
+  it("exports the schedule as an iCalendar feed", async () => {
+    const response = await request("GET", "/api/schedule.ics?days=28", {
+      apiKey: null,
+    });
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get("content-type"), /^text\/calendar/);
+    assert.match(response.body, /^BEGIN:VCALENDAR/);
+    // The current rotation plus the four weeks after it
+    assert.equal(response.body.match(/BEGIN:VEVENT/g).length, 5);
+
+    // Nothing was written since, so a second later the feed is the same
+    server.clock.set("2026-03-04T10:00:01Z");
+    try {
+      const cached = await request("GET", "/api/schedule.ics?days=28", {
+        apiKey: null,
+        headers: {
+          "If-None-Match": response.headers.get("etag"),
+          "Cache-Control": "max-age=0",
+        },
+      });
+      assert.equal(cached.status, 304);
+    } finally {
+      server.clock.set(NOW);
+    }
+
+    const invalid = await request("GET", "/api/schedule.ics?days=0", {
+      apiKey: null,
+    });
+    assert.equal(invalid.status, 400);
+  });
+
+  it("updates a schedule", async () => {
+    const response = await request("PUT", "/api/schedule", {
+      body: { people: ["Alice", "Bob", "Carl", "Dana"] },
+    });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.schedule.people, [
+      "Alice",
+      "Bob",
+      "Carl",
+      "Dana",
+    ]);
+    // A roster change starts with the next rotation
+    assert.equal(response.body.schedule.rosterHistory.length, 2);
+    assert.equal(
+      response.body.schedule.rosterHistory[1].fromRotationNumber,
+      10
+    );
+
+    const current = await request("GET", "/api/current", { apiKey: null });
+    assert.equal(current.body.currentPerson, "Carl");
+
+    const missing = await request("PUT", "/api/schedules/nope", {
+      body: { people: ["Alice"] },
+    });
+    assert.equal(missing.status, 404);
+  });
+
+  it("deletes a schedule", async () => {
+    const response = await request("DELETE", "/api/schedules/flat");
+    assert.equal(response.status, 200);
+
+    const gone = await request("GET", "/api/schedules/flat", { apiKey: null });
+    assert.equal(gone.status, 404);
+
+    const again = await request("DELETE", "/api/schedules/flat");
+    assert.equal(again.status, 404);
+  });
+});
+
+describe("overrides", () => {
+  it("assigns a rotation to someone else and removes the override", async () => {
+    const created = await request("POST", "/api/schedule/overrides", {
+      body: { type: "assign", person: "Bob", rotationNumber: 10 },
+    });
+    assert.equal(created.status, 201);
+
+    const list = await request("GET", "/api/schedule/overrides");
+    assert.equal(list.status, 200);
+    assert.deepEqual(
+      list.body.overrides.map((override) => override.id),
+      [created.body.override.id]
+    );
+
+    const rotations = await request(
+      "GET",
+      "/api/rotations?from=2026-03-09&to=2026-03-10",
+      { apiKey: null }
+    );
+    assert.equal(rotations.body.rotations[0].person, "Bob");
+    assert.equal(rotations.body.rotations[0].isOverride, true);
+
+    const deleted = await request(
+      "DELETE",
+      `/api/schedule/overrides/${created.body.override.id}`
+    );
+    assert.equal(deleted.status, 200);
+
+    const again = await request(
+      "DELETE",
+      `/api/schedule/overrides/${created.body.override.id}`
+    );
+    assert.equal(again.status, 404);
+  });
+
+  it("rejects an override for someone off the roster", async () => {
+    const response = await request("POST", "/api/schedule/overrides", {
+      body: { type: "assign", person: "Zoe", rotationNumber: 10 },
+    });
+
+    assert.equal(response.status, 400);
+  });
+
+  it("reassigns the days of a range in the schedule's timezone", async () => {
+    await request("POST", "/api/schedules", {
+      body: {
+        slug: "eastern",
+        people: ["Dana", "Eve"],
+        startDate: "2026-03-01",
+        rotation: { unit: "day", length: 1 },
+        timezone: "America/New_York",
+      },
+    });
+    const created = await request("POST", "/api/schedules/eastern/overrides", {
+      body: {
+        type: "assign",
+        person: "Eve",
+        startDate: "2026-03-05",
+        endDate: "2026-03-05",
+      },
+    });
+    assert.equal(created.status, 201);
+
+    const rotations = await request(
+      "GET",
+      "/api/schedules/eastern/rotations?from=2026-03-04T12:00:00Z&to=2026-03-06T12:00:00Z",
+      { apiKey: null }
+    );
+    assert.deepEqual(
+      rotations.body.rotations.map((rotation) => [
+        rotation.periodStart,
+        rotation.person,
+        rotation.isOverride,
+      ]),
+      [
+        ["2026-03-04T05:00:00.000Z", "Eve", false],
+        ["2026-03-05T05:00:00.000Z", "Eve", true],
+        ["2026-03-06T05:00:00.000Z", "Eve", false],
+      ]
+    );
+
+    await request("DELETE", "/api/schedules/eastern");
+  });
+
+  it("takes date ranges as days, without a time of day", async () => {
+    for (const [startDate, endDate] of [
+      ["2026-03-09T15:00:00-05:00", "2026-03-10"],
+      ["2026-03-09", "2026-03-10T00:00:00Z"],
+      ["2026-02-30", "2026-03-01"],
+    ]) {
+      const response = await request("POST", "/api/schedule/overrides", {
+        body: { type: "assign", person: "Bob", startDate, endDate },
+      });
+      assert.equal(response.status, 400, startDate);
+      assert.equal(response.body.error.code, "validation_failed");
+    }
+  });
+});
+
+describe("absences", () => {
+  it("passes an absent person's turn on and forgets it once removed", async () => {
+    const created = await request("POST", "/api/people/Alice/absences", {
+      body: { startDate: "2026-03-09", endDate: "2026-03-15", reason: "Trip" },
+    });
+    assert.equal(created.status, 201);
+
+    const overlapping = await request("POST", "/api/people/Alice/absences", {
+      body: { startDate: "2026-03-14", endDate: "2026-03-20" },
+    });
+    assert.equal(overlapping.status, 409);
+    assert.equal(overlapping.body.error.code, "absence_overlap");
+    assert.equal(
+      overlapping.body.error.details.absence.id,
+      created.body.absence.id
+    );
+
+    const list = await request("GET", "/api/people/Alice/absences");
+    assert.equal(list.status, 200);
+    assert.equal(list.body.absences.length, 1);
+
+    const rotations = await request(
+      "GET",
+      "/api/rotations?from=2026-03-09&to=2026-03-10",
+      { apiKey: null }
+    );
+    assert.notEqual(rotations.body.rotations[0].person, "Alice");
+
+    const deleted = await request(
+      "DELETE",
+      `/api/people/Alice/absences/${created.body.absence.id}`
+    );
+    assert.equal(deleted.status, 200);
+
+    const again = await request(
+      "DELETE",
+      `/api/people/Alice/absences/${created.body.absence.id}`
+    );
+    assert.equal(again.status, 404);
+  });
+
+  it("rejects an absence for someone off the roster", async () => {
+    const response = await request("POST", "/api/people/Zoe/absences", {
+      body: { startDate: "2026-03-09", endDate: "2026-03-15" },
+    });
+
+    assert.equal(response.status, 404);
+  });
+});
+
+describe("history", () => {
+  it("records the current rotation as done", async () => {
+    const created = await request("POST", "/api/current/complete", {
+      body: { note: "Oven too" },
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.entry.person, "Carl");
+    assert.equal(created.body.entry.rotationNumber, 9);
+    assert.equal(created.body.entry.completedAt, "2026-03-04T10:00:00.000Z");
+
+    const replaced = await request("POST", "/api/current/complete", {
+      body: { status: "skipped" },
+    });
+    assert.equal(replaced.status, 200);
+
+    const history = await request("GET", "/api/history", { apiKey: null });
+    assert.equal(history.status, 200);
+    assert.equal(history.body.pagination.total, 1);
+    assert.equal(history.body.history[0].status, "skipped");
+    assert.deepEqual(history.body.stats, [
+      { person: "Carl", done: 0, skipped: 1, total: 1, completionRate: 0 },
+    ]);
+  });
+});
+
+describe("tasks", () => {
+  it("ticks and unticks tasks of the current rotation", async () => {
+    const updated = await request("PUT", "/api/schedule", {
+      body: { tasks: [{ title: "Vacuum" }, { title: "Bins", perWeek: 2 }] },
+    });
+    assert.equal(updated.status, 200);
+
+    const ticked = await request("POST", "/api/current/tasks/bins");
+    assert.equal(ticked.status, 201);
+    const tick = await server.storage.taskCompletions.findOne({
+      taskId: "bins",
+    });
+    assert.deepEqual(tick.completedAt, new Date(NOW));
+
+    const tasks = await request("GET", "/api/current/tasks", { apiKey: null });
+    assert.equal(tasks.status, 200);
+    assert.equal(tasks.body.person, "Carl");
+    assert.deepEqual(
+      tasks.body.tasks.map((task) => [task.id, task.completed, task.required]),
+      [
+        ["vacuum", 0, 1],
+        ["bins", 1, 2],
+      ]
+    );
+
+    const unticked = await request("DELETE", "/api/current/tasks/bins");
+    assert.equal(unticked.status, 200);
+
+    const nothingLeft = await request("DELETE", "/api/current/tasks/bins");
+    assert.equal(nothingLeft.status, 404);
+
+    const unknown = await request("POST", "/api/current/tasks/dishes");
+    assert.equal(unknown.status, 404);
+  });
+});
+
+describe("tokens", () => {
+  it("lets a member token act only for its person", async () => {
+    const created = await request("POST", "/api/tokens", {
+      body: { name: "Carl's phone", scopes: ["member"], person: "Carl" },
+    });
+    assert.equal(created.status, 201);
+    const { token, details } = created.body;
+
+    const list = await request("GET", "/api/tokens");
+    assert.equal(list.status, 200);
+    assert.ok(list.body.tokens.some((entry) => entry.id === details.id));
+
+    const complete = await request("POST", "/api/current/complete", {
+      apiKey: token,
+      body: { status: "done" },
+    });
+    assert.equal(complete.status, 200);
+
+    const edit = await request("PUT", "/api/schedule", {
+      apiKey: token,
+      body: { name: "Ours now" },
+    });
+    assert.equal(edit.status, 403);
+
+    // Members read their own absences but need absences:write to change them
+    const ownAbsences = await request("GET", "/api/people/Carl/absences", {
+      apiKey: token,
+    });
+    assert.equal(ownAbsences.status, 200);
+    const otherAbsences = await request("GET", "/api/people/Bob/absences", {
+      apiKey: token,
+    });
+    assert.equal(otherAbsences.status, 403);
+    const away = await request("POST", "/api/people/Carl/absences", {
+      apiKey: token,
+      body: { startDate: "2026-04-01", endDate: "2026-04-03" },
+    });
+    assert.equal(away.status, 403);
+
+    const revoked = await request("DELETE", `/api/tokens/${details.id}`);
+    assert.equal(revoked.status, 200);
+
+    const afterRevoke = await request("POST", "/api/current/complete", {
+      apiKey: token,
+      body: { status: "done" },
+    });
+    assert.equal(afterRevoke.status, 403);
+
+    const again = await request("DELETE", `/api/tokens/${details.id}`);
+    assert.equal(again.status, 404);
+  });
+});
+
+describe("notifications", () => {
+  let directory;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "cleaning-schedule-"));
+    process.env.NOTIFICATION_LOG_DIR = directory;
+  });
+
+  after(() => {
+    delete process.env.NOTIFICATION_LOG_DIR;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it("keeps local channel files inside NOTIFICATION_LOG_DIR", async () => {
+    for (const file of [
+      path.join(directory, "notifications.jsonl"),
+      "../notifications.jsonl",
+      "logs/../../notifications.jsonl",
+      "",
+    ]) {
+      const response = await request("POST", "/api/notifications/channels", {
+        body: { name: "Log", type: "local", config: { path: file } },
+      });
+      assert.equal(response.status, 400, file);
+    }
+
+    delete process.env.NOTIFICATION_LOG_DIR;
+    try {
+      const response = await request("POST", "/api/notifications/channels", {
+        body: { name: "Log", type: "local", config: { path: "log.jsonl" } },
+      });
+      assert.equal(response.status, 400);
+      assert.match(response.body.error.message, /NOTIFICATION_LOG_DIR/);
+    } finally {
+      process.env.NOTIFICATION_LOG_DIR = directory;
+    }
+  });
+
+  it("sends only the nearest reminder that is due", async () => {
+    const file = path.join(directory, "reminders.jsonl");
+    const created = await request("POST", "/api/notifications/channels", {
+      body: {
+        name: "Reminders",
+        type: "local",
+        config: { path: "reminders.jsonl" },
+        scheduleSlug: "default",
+        events: ["reminder.upcoming"],
+        daysBefore: [1, 3, 7],
+      },
+    });
+    assert.equal(created.status, 201);
+
+    // Half a day before the next turn, all three offsets have come
+    await runNotificationCycle(server.storage, new Date("2026-03-08T12:00Z"));
+    await runNotificationCycle(server.storage, new Date("2026-03-08T13:00Z"));
+
+    const sent = fs.readFileSync(file, "utf8").trim().split("\n");
+    assert.equal(sent.length, 1);
+    assert.match(JSON.parse(sent[0]).title, /starts in 1 day /);
+
+    await request(
+      "DELETE",
+      `/api/notifications/channels/${created.body.channel.id}`
+    );
+  });
+
+  it("manages channels and logs their deliveries", async () => {
+    const file = path.join(directory, "notifications.jsonl");
+
+    const created = await request("POST", "/api/notifications/channels", {
+      body: {
+        name: "Log",
+        type: "local",
+        config: { path: "notifications.jsonl" },
+      },
+    });
+    assert.equal(created.status, 201);
+    const { id } = created.body.channel;
+
+    const list = await request("GET", "/api/notifications/channels");
+    assert.equal(list.status, 200);
+    assert.equal(list.body.channels.length, 1);
+
+    const updated = await request("PUT", `/api/notifications/channels/${id}`, {
+      body: { enabled: false },
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.channel.enabled, false);
+
+    const test = await request(
+      "POST",
+      `/api/notifications/channels/${id}/test`
+    );
+    assert.equal(test.status, 200);
+    assert.equal(test.body.delivery.status, "sent");
+    assert.equal(test.body.delivery.person, "Carl");
+    assert.match(fs.readFileSync(file, "utf8"), /Carl/);
+
+    const deliveries = await request(
+      "GET",
+      `/api/notifications/deliveries?channel=${id}`
+    );
+    assert.equal(deliveries.status, 200);
+    assert.equal(deliveries.body.pagination.total, 1);
+
+    const invalid = await request(
+      "GET",
+      "/api/notifications/deliveries?channel=nope"
+    );
+    assert.equal(invalid.status, 400);
+
+    const deleted = await request(
+      "DELETE",
+      `/api/notifications/channels/${id}`
+    );
+    assert.equal(deleted.status, 200);
+
+    const again = await request("DELETE", `/api/notifications/channels/${id}`);
+    assert.equal(again.status, 404);
+  });
+});
+
+describe("audit", () => {
+  it("restores a deleted schedule from the audit log", async () => {
+    const log = await request("GET", "/api/audit");
+    assert.equal(log.status, 200);
+
+    const deletion = log.body.entries.find(
+      (entry) => entry.action === "delete" && entry.scheduleSlug === "flat"
+    );
+    assert.ok(deletion, "the deletion of flat is logged");
+
+    const restored = await request(
+      "POST",
+      `/api/audit/${deletion.id}/restore`,
+      { body: { state: "before" } }
+    );
+    assert.equal(restored.status, 200);
+
+    const schedule = await request("GET", "/api/schedules/flat", {
+      apiKey: null,
+    });
+    assert.equal(schedule.status, 200);
+    assert.deepEqual(schedule.body.people, ["Dana", "Eve"]);
+  });
+});
+
+describe("export and import", () => {
+  it("exports JSON and CSV", async () => {
+    const json = await request("GET", "/api/export");
+    assert.equal(json.status, 200);
+    assert.equal(json.body.format, "cleaning-schedule-export");
+    assert.deepEqual(
+      json.body.schedules.map((schedule) => schedule.slug).sort(),
+      ["default", "flat"]
+    );
+
+    const csv = await request("GET", "/api/schedules/flat/export?format=csv");
+    assert.equal(csv.status, 200);
+    assert.match(csv.headers.get("content-type"), /^text\/csv/);
+  });
+
+  it("reports conflicts on a dry run and replaces on request", async () => {
+    const exported = (await request("GET", "/api/export")).body;
+
+    const dryRun = await request("POST", "/api/import?dryRun=true", {
+      body: exported,
+    });
+    assert.equal(dryRun.status, 200);
+    assert.ok(dryRun.body.conflicts.length > 0);
+
+    const replaced = await request("POST", "/api/import?onConflict=replace", {
+      body: exported,
+    });
+    assert.equal(replaced.status, 200);
+
+    const current = await request("GET", "/api/current", { apiKey: null });
+    assert.equal(current.body.currentPerson, "Carl");
+  });
+
+  it("reads back an export larger than other requests may be", async () => {
+    await request("POST", "/api/schedules", {
+      body: {
+        slug: "archive",
+        people: ["Dana", "Eve"],
+        startDate: "2020-01-06",
+        timezone: "UTC",
+      },
+    });
+    const start = Date.parse("2020-01-06T00:00:00Z");
+    const week = 7 * 24 * 60 * 60 * 1000;
+    await server.storage.history.insertMany(
+      Array.from({ length: 1500 }, (_, index) => ({
+        scheduleSlug: "archive",
+        rotationNumber: index + 1,
+        person: index % 2 ? "Eve" : "Dana",
+        periodStart: new Date(start + index * week),
+        periodEnd: new Date(start + (index + 1) * week - 1),
+        status: "done",
+        note: "Kitchen, bathroom and hallway",
+        completedAt: new Date(start + (index + 1) * week - 1),
+      }))
+    );
+
+    const exported = await request("GET", "/api/schedules/archive/export");
+    assert.ok(JSON.stringify(exported.body).length > 120 * 1024);
+
+    const imported = await request("POST", "/api/import?onConflict=replace", {
+      body: exported.body,
+    });
+    assert.equal(imported.status, 200);
+    assert.equal(imported.body.changes.records.history, 1500);
+
+    await request("DELETE", "/api/schedules/archive");
+  });
+
+  it("puts a schedule back when replacing it fails halfway", async () => {
+    const { storage } = server;
+    const stored = async () => ({
+      schedules: await storage.schedules.find({ slug: "flat" }),
+      history: await storage.history.find({ scheduleSlug: "flat" }),
+    });
+    await storage.history.insert({
+      scheduleSlug: "flat",
+      rotationNumber: 1,
+      person: "Dana",
+      periodStart: new Date("2026-03-02T00:00:00Z"),
+      periodEnd: new Date("2026-03-02T23:59:59Z"),
+      status: "done",
+    });
+    const exported = await request("GET", "/api/schedules/flat/export");
+    const previous = await stored();
+
+    // The first history write fails, after the old records are deleted
+    const { insertMany } = storage.history;
+    storage.history.insertMany = async () => {
+      storage.history.insertMany = insertMany;
+      throw new Error("Connection lost");
+    };
+    const failed = await request("POST", "/api/import?onConflict=replace", {
+      body: exported.body,
+    });
+    assert.equal(failed.status, 500);
+
+    assert.deepEqual(await stored(), previous);
+    await storage.history.deleteMany({ scheduleSlug: "flat" });
+  });
+
+  it("answers an invalid import with its report as the error details", async () => {
+    const response = await request("POST", "/api/import", {
+      body: {
+        format: "cleaning-schedule-export",
+        version: 1,
+        schedules: [{ slug: "Not A Slug" }],
+      },
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.code, "import_invalid");
+    assert.ok(response.body.error.details.errors.length > 0);
+    assert.equal(response.body.error.details.applied, false);
+  });
+});
+
+describe("live updates", () => {
+  it("streams an event for each write", async () => {
+    const stream = await server.openEvents();
+    try {
+      assert.equal(stream.response.status, 200);
+      assert.match(
+        stream.response.headers.get("content-type"),
+        /^text\/event-stream/
+      );
+
+      const override = await request("POST", "/api/schedule/overrides", {
+        body: { type: "assign", person: "Bob", rotationNumber: 11 },
+      });
+      const created = await stream.next();
+      assert.equal(created.type, "override.created");
+      assert.equal(created.data.slug, "default");
+      assert.equal(created.data.override.id, override.body.override.id);
+
+      await request("POST", "/api/current/tasks/vacuum");
+      const ticked = await stream.next();
+      assert.equal(ticked.type, "task.completed");
+      assert.equal(ticked.data.task.id, "vacuum");
+      assert.equal(ticked.data.rotationNumber, 9);
+      assert.equal(ticked.data.progress.completed, 1);
+
+      await request("PUT", "/api/schedules/flat", { body: { name: "Flat" } });
+      const updated = await stream.next();
+      assert.equal(updated.type, "schedule.updated");
+      assert.deepEqual(updated.data, { slug: "flat", change: "updated" });
+    } finally {
+      stream.close();
+    }
+  });
+
+  it("replays what a reconnecting client missed", async () => {
+    const first = await server.openEvents();
+    let seen;
+    try {
+      await request("DELETE", "/api/current/tasks/vacuum");
+      seen = await first.next();
+      assert.equal(seen.data.change, "task-unticked");
+    } finally {
+      first.close();
+    }
+
+    // Written while nobody listens
+    const { overrides } = (await request("GET", "/api/schedule/overrides"))
+      .body;
+    await request("DELETE", `/api/schedule/overrides/${overrides[0].id}`);
+    await request("POST", "/api/current/tasks/bins");
+
+    const resumed = await server.openEvents({ lastEventId: seen.id });
+    try {
+      const missed = [await resumed.next(), await resumed.next()];
+      assert.deepEqual(
+        missed.map((event) => event.type),
+        ["schedule.updated", "task.completed"]
+      );
+      assert.equal(missed[0].data.change, "override-deleted");
+      assert.equal(Number(missed[0].id), Number(seen.id) + 1);
+    } finally {
+      resumed.close();
+    }
+
+    const stale = await server.openEvents({ lastEventId: "12" });
+    try {
+      const resync = await stale.next();
+      assert.equal(resync.type, "schedule.updated");
+      assert.deepEqual(resync.data, { slug: null, change: "resync" });
+    } finally {
+      stale.close();
+    }
+  });
+
+  it("announces a rotation boundary", async () => {
+    // The first check only notes where each schedule stands
+    await checkRotations(server.app);
+
+    const stream = await server.openEvents();
+    server.clock.set("2026-03-09T08:00:00Z");
+    try {
+      await checkRotations(server.app);
+
+      const changes = [await stream.next(), await stream.next()];
+      assert.ok(changes.every((event) => event.type === "rotation.changed"));
+
+      const change = changes.find((event) => event.data.slug === "default");
+      const current = await request("GET", "/api/current", { apiKey: null });
+      assert.equal(change.data.rotationNumber, 10);
+      assert.equal(change.data.person, current.body.currentPerson);
+      assert.deepEqual(change.data.previous, {
+        rotationNumber: 9,
+        person: "Carl",
+      });
+    } finally {
+      server.clock.set(NOW);
+      stream.close();
+    }
+  });
+});
+
+describe("info", () => {
+  it("reports health", async () => {
+    const response = await request("GET", "/api/health", { apiKey: null });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, "OK");
+  });
+
+  it("lists the available locales", async () => {
+    const response = await request("GET", "/api/locales", { apiKey: null });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.default, "en");
+    assert.deepEqual(
+      response.body.locales.find((locale) => locale.code === "cs"),
+      { code: "cs", name: "čeština", englishName: "Czech" }
+    );
+  });
+
+  it("describes every API route in the OpenAPI document", async () => {
+    const response = await request("GET", "/api/openapi.json", {
+      apiKey: null,
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.openapi, "3.0.3");
+
+    const undocumented = [];
+    for (const route of listApiRoutes(server.app)) {
+      for (const path of [].concat(route.path)) {
+        const documented = response.body.paths[path.replace(/:(\w+)/g, "{$1}")];
+
+        for (const method of Object.keys(route.methods)) {
+          if (!documented || !documented[method]) {
+            undocumented.push(`${method.toUpperCase()} ${path}`);
+          }
+        }
+      }
+    }
+    assert.deepEqual(undocumented, []);
+
+    const operationIds = Object.values(response.body.paths).flatMap((methods) =>
+      Object.values(methods).map((operation) => operation.operationId)
+    );
+    assert.equal(new Set(operationIds).size, operationIds.length);
+  });
+
+  it("serves the API docs page", async () => {
+    const response = await request("GET", "/api/docs", { apiKey: null });
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get("content-type"), /^text\/html/);
+    assert.match(response.body, /url: "\/api\/openapi.json"/);
+  });
+});
+
+describe("pages", () => {
+  it("renders the schedule page", async () => {
+    const page = await request("GET", "/", { apiKey: null });
+
+    assert.equal(page.status, 200);
+    assert.match(page.headers.get("content-type"), /^text\/html/);
+    assert.match(page.body, /Carl/);
+    assert.match(page.body, /new EventSource\("\/api\/events"\)/);
+
+    const named = await request("GET", "/flat", { apiKey: null });
+    assert.equal(named.status, 200);
+    assert.match(named.body, /Dana/);
+  });
+
+  it("renders /eink at the size of every device profile", async () => {
+    const { profiles } = (
+      await request("GET", "/api/eink/profiles", { apiKey: null })
+    ).body;
+    assert.ok(profiles.length > 0);
+
+    for (const profile of profiles) {
+      const response = await request("GET", `/eink?profile=${profile.name}`, {
+        apiKey: null,
+      });
+      const contentType = response.headers.get("content-type");
+
+      assert.equal(response.status, 200, profile.name);
+      assert.equal(contentType, `image/${profile.format}`, profile.name);
+      assert.deepEqual(
+        await getImageSize(response.buffer, contentType),
+        { width: profile.width, height: profile.height },
+        profile.name
+      );
+    }
+  });
+
+  it("keeps the panel size when the picture is rotated", async () => {
+    const response = await request(
+      "GET",
+      "/eink/flat?profile=kindle&rotate=90&format=png&levels=16",
+      { apiKey: null }
+    );
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(await getImageSize(response.buffer, "image/png"), {
+      width: 758,
+      height: 1024,
+    });
+  });
+
+  it("rejects an unknown profile", async () => {
+    const response = await request("GET", "/eink?profile=etch-a-sketch", {
+      apiKey: null,
+    });
+
+    assert.equal(response.status, 400);
+
+    // Names every object inherits are not profiles either
+    for (const profile of ["__proto__", "constructor", "toString"]) {
+      const inherited = await request("GET", `/eink?profile=${profile}`, {
+        apiKey: null,
+      });
+      assert.equal(inherited.status, 400, profile);
+      assert.equal(inherited.body.error.code, "validation_failed", profile);
+    }
+  });
+
+  it("prints the calendar as PDF and PNG", async (t) => {
+    const pdf = await request("GET", "/calendar.pdf?month=2026-03", {
+      apiKey: null,
+    });
+
+    // Chromium needs system libraries that not every machine has
+    if (
+      pdf.status === 500 &&
+      /launch|browser/i.test(pdf.body.error.details.reason)
+    ) {
+      t.skip("Chromium could not start");
+      return;
+    }
+
+    assert.equal(pdf.status, 200);
+    assert.equal(pdf.headers.get("content-type"), "application/pdf");
+    assert.match(
+      pdf.headers.get("content-disposition"),
+      /filename="cleaning-schedule-2026-03\.pdf"/
+    );
+    assert.equal(pdf.buffer.subarray(0, 5).toString(), "%PDF-");
+    // A4 landscape, in points
+    assert.match(
+      pdf.buffer.toString("latin1"),
+      /\/MediaBox \[0 0 84[12](\.\d+)? 59[56](\.\d+)?\]/
+    );
+
+    const png = await request(
+      "GET",
+      "/calendar/flat.png?year=2026&paper=letter&inline=1",
+      { apiKey: null }
+    );
+    assert.equal(png.status, 200);
+    assert.match(png.headers.get("content-disposition"), /^inline/);
+    // Letter portrait at twice 96 dpi
+    assert.deepEqual(await getImageSize(png.buffer, "image/png"), {
+      width: 1632,
+      height: 2112,
+    });
+  });
+
+  it("rejects calendar periods it cannot print", async () => {
+    const badMonth = await request("GET", "/calendar.pdf?month=2026-13", {
+      apiKey: null,
+    });
+    assert.equal(badMonth.status, 400);
+    assert.match(badMonth.body.error.message, /YYYY-MM/);
+
+    const both = await request(
+      "GET",
+      "/calendar/flat.png?month=2026-03&year=2026",
+      { apiKey: null }
+    );
+    assert.equal(both.status, 400);
+
+    const missing = await request("GET", "/calendar/nobody.pdf", {
+      apiKey: null,
+    });
+    assert.equal(missing.status, 404);
+  });
+
+  it("picks the language from ?lang=, Accept-Language or the schedule", async () => {
+    const page = (headers = {}, query = "") =>
+      request("GET", `/${query}`, { apiKey: null, headers });
+
+    // fetch() sends "Accept-Language: *", which is no preference
+    const english = await page();
+    assert.equal(english.headers.get("content-language"), "en");
+    assert.match(english.body, /<html lang="en">/);
+    assert.match(english.body, /Mon, March\s2\s–\sSun, March\s8/);
+
+    const czech = await page({}, "?lang=cs");
+    assert.equal(czech.headers.get("content-language"), "cs");
+    assert.match(czech.body, /<html lang="cs">/);
+    assert.match(czech.body, /Rozpis úklidu/);
+    assert.match(czech.body, /po\s2\.\s3\.\s–\sne\s8\.\s3\./);
+    assert.notEqual(czech.headers.get("etag"), english.headers.get("etag"));
+
+    const negotiated = await page({ "Accept-Language": "de, cs-CZ;q=0.8" });
+    assert.equal(negotiated.headers.get("content-language"), "cs");
+    assert.match(negotiated.headers.get("vary"), /Accept-Language/);
+
+    const invalid = await page({}, "?lang=tlh");
+    assert.equal(invalid.status, 400);
+
+    const badDefault = await request("PUT", "/api/schedule", {
+      body: { locale: "tlh" },
+    });
+    assert.equal(badDefault.status, 400);
+
+    await request("PUT", "/api/schedule", { body: { locale: "cs" } });
+    try {
+      assert.equal((await page()).headers.get("content-language"), "cs");
+      assert.equal(
+        (await page({ "Accept-Language": "en-GB" })).headers.get(
+          "content-language"
+        ),
+        "en"
+      );
+
+      const image = await request("GET", "/eink?profile=kindle", {
+        apiKey: null,
+      });
+      assert.equal(image.status, 200);
+      assert.equal(image.headers.get("content-language"), "cs");
+    } finally {
+      await request("PUT", "/api/schedule", { body: { locale: null } });
+    }
+  });
+});
+
+describe("route coverage", () => {
+  it("exercises every route", () => {
+    const missed = listRoutes(server.app).filter(
+      (route) => !server.reached.has(route)
+    );
+
+    assert.deepEqual(missed.map(describeRoute), []);
+  });
+});
@@ -0,0 +1,246 @@
+const crypto = require("crypto");
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createRateLimiter } = require("../lib/rate-limit");
+const { startTestServer } = require("./helpers");
+
+// Rate limits, API key lockouts, CORS and the headers of the HTML pages
+
+const NOW = "2026-03-04T10:00:00Z";
+const MINUTE = 60 * 1000;
+
+const SCHEDULE = {
+  people: ["Alice", "Bob", "Carl"],
+  startDate: "2026-01-05",
+  timezone: "UTC",
+};
+
+describe("createRateLimiter", () => {
+  const limiter = () =>
+    createRateLimiter({
+      windowMs: MINUTE,
+      max: 2,
+      lockoutMs: 10 * MINUTE,
+      maxFailures: 3,
+    });
+
+  it("allows max requests per window and address", () => {
+    const limits = limiter();
+
+    assert.deepEqual(limits.hit("a", 0), {
+      allowed: true,
+      limit: 2,
+      remaining: 1,
+      resetAt: MINUTE,
+    });
+    assert.equal(limits.hit("a", 1000).allowed, true);
+    assert.equal(limits.hit("a", 2000).allowed, false);
+    assert.equal(limits.hit("b", 2000).allowed, true);
+    assert.equal(limits.hit("a", MINUTE).allowed, true);
+  });
+
+  it("locks an address out after repeated failures until the lockout ends", () => {
+    const limits = limiter();
+
+    assert.equal(limits.recordFailure("a", 0), null);
+    assert.equal(limits.recordFailure("a", 1000), null);
+    assert.equal(limits.recordFailure("a", 2000), 2000 + 10 * MINUTE);
+    assert.equal(limits.lockedUntil("a", 3000), 2000 + 10 * MINUTE);
+    assert.equal(limits.lockedUntil("b", 3000), null);
+    assert.equal(limits.lockedUntil("a", 2000 + 10 * MINUTE), null);
+  });
+
+  it("forgets failures only once they are old", () => {
+    const limits = limiter();
+
+    limits.recordFailure("a", 0);
+    limits.recordFailure("a", 1000);
+    // The first has aged out, the second still counts
+    assert.equal(limits.recordFailure("a", 10 * MINUTE), null);
+    assert.equal(
+      limits.recordFailure("a", 10 * MINUTE + 500),
+      20 * MINUTE + 500
+    );
+  });
+
+  it("turns limits off at 0", () => {
+    const limits = createRateLimiter({
+      windowMs: MINUTE,
+      max: 0,
+      lockoutMs: MINUTE,
+      maxFailures: 0,
+    });
+
+    assert.equal(limits.hit("a", 0).allowed, true);
+    assert.equal(limits.recordFailure("a", 0), null);
+    assert.equal(limits.lockedUntil("a", 0), null);
+  });
+});
+
+describe("over HTTP", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer({
+      now: NOW,
+      security: {
+        rateLimitMax: 5,
+        rateLimitWindowMs: MINUTE,
+        lockoutFailures: 2,
+        lockoutMs: 10 * MINUTE,
+        corsOrigins: ["https://flat.example"],
+      },
+    });
+    await server.request("POST", "/api/schedule", { body: SCHEDULE });
+  });
+
+  after(() => server.close());
+
+  // Helper function to move the test clock on, past every window so far
+  let minutesOn = 0;
+  const nextWindow = (minutes = 1) => {
+    minutesOn += minutes;
+    server.clock.set(new Date(Date.parse(NOW) + minutesOn * MINUTE));
+  };
+
+  it("limits requests per address and says when to retry", async () => {
+    nextWindow();
+    const responses = [];
+    for (let i = 0; i < 6; i++) {
+      responses.push(await server.request("GET", "/api/health"));
+    }
+
+    assert.deepEqual(
+      responses.map((response) => response.status),
+      [200, 200, 200, 200, 200, 429]
+    );
+    assert.equal(responses[0].headers.get("ratelimit-limit"), "5");
+    assert.equal(responses[3].headers.get("ratelimit-remaining"), "1");
+    assert.equal(responses[5].headers.get("retry-after"), "60");
+    assert.equal(responses[5].body.error.code, "rate_limited");
+    assert.deepEqual(responses[5].body.error.details, { retryAfter: 60 });
+
+    nextWindow();
+    assert.equal((await server.request("GET", "/api/health")).status, 200);
+  });
+
+  it("locks out an address that keeps sending invalid keys", async () => {
+    nextWindow();
+    const tokens = () =>
+      server.request("GET", "/api/tokens", { apiKey: "guess" });
+
+    assert.equal((await tokens()).status, 403);
+    assert.equal((await tokens()).status, 403);
+
+    // Even the right key is refused during the lockout
+    const locked = await server.request("GET", "/api/tokens");
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.error.code, "locked_out");
+    assert.equal(locked.headers.get("retry-after"), "600");
+
+    // Public routes stay open
+    assert.equal((await server.request("GET", "/api/health")).status, 200);
+
+    nextWindow(10);
+    assert.equal((await server.request("GET", "/api/tokens")).status, 200);
+  });
+
+  it("keeps counting invalid keys between valid ones", async () => {
+    nextWindow(10);
+    const audit = (apiKey) =>
+      server.request("GET", "/api/audit", { ...(apiKey && { apiKey }) });
+
+    // A valid key must not wipe the count, or guessing would never stop
+    assert.equal((await audit("guess-1")).status, 403);
+    assert.equal((await audit()).status, 200);
+    assert.equal((await audit("guess-2")).status, 403);
+
+    const locked = await audit();
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.error.code, "locked_out");
+  });
+
+  it("lets any origin read but only allowed origins write", async () => {
+    nextWindow();
+    const preflight = (origin, method) =>
+      server.request("OPTIONS", "/api/schedule", {
+        apiKey: null,
+        headers: {
+          Origin: origin,
+          "Access-Control-Request-Method": method,
+          "Access-Control-Request-Headers": "x-api-key",
+        },
+      });
+
+    const allowed = await preflight("https://flat.example", "PUT");
+    assert.equal(allowed.status, 204);
+    assert.equal(
+      allowed.headers.get("access-control-allow-origin"),
+      "https://flat.example"
+    );
+    assert.match(allowed.headers.get("vary"), /Origin/);
+
+    const refused = await preflight("https://elsewhere.example", "DELETE");
+    assert.equal(refused.headers.get("access-control-allow-origin"), null);
+
+    const read = await preflight("https://elsewhere.example", "GET");
+    assert.equal(read.headers.get("access-control-allow-origin"), "*");
+
+    const health = await server.request("GET", "/api/health", {
+      headers: { Origin: "https://elsewhere.example" },
+    });
+    assert.equal(health.headers.get("access-control-allow-origin"), "*");
+    assert.equal(health.headers.get("x-content-type-options"), "nosniff");
+  });
+
+  it("allows only the page's own script and no framing", async () => {
+    nextWindow();
+    const page = await server.request("GET", "/", { apiKey: null });
+    const policy = page.headers.get("content-security-policy");
+    const [, script] = /<script>([\s\S]*?)<\/script>/.exec(page.body);
+    const hash = crypto.createHash("sha256").update(script).digest("base64");
+
+    assert.equal(page.headers.get("x-frame-options"), "DENY");
+    assert.match(policy, /default-src 'none'/);
+    assert.match(policy, /frame-ancestors 'none'/);
+    assert.ok(policy.includes(`script-src 'sha256-${hash}';`), policy);
+    assert.doesNotMatch(page.body, /onclick|umami|data-website-id/);
+
+    const docs = await server.request("GET", "/api/docs", { apiKey: null });
+    assert.match(
+      docs.headers.get("content-security-policy"),
+      /script-src 'sha256-[^']+' https:\/\/unpkg\.com;/
+    );
+  });
+});
+
+describe("analytics", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer({
+      now: NOW,
+      security: {
+        analytics: {
+          scriptUrl: "https://stats.example/script.js",
+          websiteId: "site-1",
+        },
+      },
+    });
+    await server.request("POST", "/api/schedule", { body: SCHEDULE });
+  });
+
+  after(() => server.close());
+
+  it("adds the script, and its origin to the policy, when configured", async () => {
+    const page = await server.request("GET", "/", { apiKey: null });
+    const policy = page.headers.get("content-security-policy");
+
+    assert.match(
+      page.body,
+      /<script defer src="https:\/\/stats\.example\/script\.js" data-website-id="site-1"><\/script>/
+    );
+    assert.match(policy, /script-src 'sha256-[^']+' https:\/\/stats\.example;/);
+    assert.match(policy, /connect-src 'self' https:\/\/stats\.example;/);
+  });
+});